@@ -0,0 +1,201 @@
+/**
+ * account.controller.js — Account Deletion & Data Export Controller
+ *
+ *  requestAccountDeletion  DELETE /api/auth/account  { password }
+ *              Schedules the account for deletion at the end of the grace
+ *              period (ACCOUNT_DELETION_GRACE_DAYS) and returns
+ *              { message, deletionScheduledAt }. The user stays logged in and
+ *              can cancel until then; lib/accountDeletion.js does the actual
+ *              deleting. With a grace period of 0 the account is deleted right
+ *              away and the response has { deleted: true } instead.
+ *
+ *  cancelAccountDeletion   POST /api/auth/account/cancel-deletion
+ *              Keeps the account after all.
+ *
+ *  exportAccountData       GET /api/auth/export
+ *              Downloads everything stored about the user as one JSON file:
+ *              their profile, signed-in devices, every conversation they can
+ *              see (direct and group, oldest message first) and a list of all
+ *              image URLs in it, so the images can be fetched too.
+ *
+ * Both deletion endpoints tell the user's other devices (`accountUpdated` with
+ * { deletionScheduledAt }) so every tab shows the same banner.
+ * All handlers run behind protectRoute.
+ */
+import bcrypt from "bcryptjs";
+import { ACCOUNT_DELETION_GRACE_MS, deleteAccount } from "../lib/accountDeletion.js";
+import { emitToUser, getOriginSocketId } from "../lib/socket.js";
+import { clearAuthCookies } from "../lib/utils.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Group from "../models/Group.js";
+import Message from "../models/message.js";
+
+// What each message looks like in the export
+const EXPORT_MESSAGE_FIELDS =
+  "senderId receiverId groupId text image replyTo createdAt editedAt isDeleted reactions";
+
+// --- REQUEST ACCOUNT DELETION ---
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (typeof password !== "string" || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ message: "Incorrect password" });
+    }
+    if (user.deletionScheduledAt) {
+      return res.status(400).json({ message: "Your account is already scheduled for deletion" });
+    }
+
+    user.deletionScheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_MS);
+    await user.save();
+
+    // No grace period configured — delete it now (this also disconnects every socket)
+    if (ACCOUNT_DELETION_GRACE_MS === 0) {
+      await deleteAccount(user._id);
+      clearAuthCookies(res);
+      return res.status(200).json({ message: "Your account has been deleted", deleted: true });
+    }
+
+    const { deletionScheduledAt } = user;
+    emitToUser(user._id, "accountUpdated", { deletionScheduledAt }, await getOriginSocketId(req));
+
+    res.status(200).json({
+      message: "Your account is scheduled for deletion. You can still cancel until then.",
+      deletionScheduledAt,
+    });
+  } catch (error) {
+    console.log("Error in requestAccountDeletion controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- CANCEL ACCOUNT DELETION ---
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledAt) {
+      return res.status(400).json({ message: "Your account isn't scheduled for deletion" });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $unset: { deletionScheduledAt: 1 } });
+    emitToUser(
+      req.user._id,
+      "accountUpdated",
+      { deletionScheduledAt: null },
+      await getOriginSocketId(req)
+    );
+
+    res.status(200).json({ message: "Your account will not be deleted" });
+  } catch (error) {
+    console.log("Error in cancelAccountDeletion controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- EXPORT ACCOUNT DATA ---
+export const exportAccountData = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const isMine = (id) => id.equals(userId);
+
+    // 2FA secrets are `select: false`, so they're left out along with the password hash
+    const profile = await User.findById(userId).select("-password").lean();
+    const sessions = await Session.find({ userId })
+      .select("userAgent ip createdAt lastSeenAt -_id")
+      .lean();
+    const groups = await Group.find({ "members.user": userId })
+      .populate("members.user", "username")
+      .lean();
+
+    const [directMessages, groupMessages] = await Promise.all([
+      Message.find({
+        $or: [{ senderId: userId, receiverId: { $exists: true } }, { receiverId: userId }],
+        deletedFor: { $ne: userId },
+      })
+        .sort({ _id: 1 })
+        .select(EXPORT_MESSAGE_FIELDS)
+        .lean(),
+      Message.find({ groupId: { $in: groups.map((group) => group._id) }, deletedFor: { $ne: userId } })
+        .sort({ _id: 1 })
+        .select(EXPORT_MESSAGE_FIELDS)
+        .lean(),
+    ]);
+
+    // Names for every sender, so the file is readable on its own
+    const partnerIds = directMessages.map((message) =>
+      isMine(message.senderId) ? message.receiverId : message.senderId
+    );
+    const partners = await User.find({ _id: { $in: partnerIds } }).select("username").lean();
+    const names = new Map(partners.map((partner) => [partner._id.toString(), partner.username]));
+    groups.forEach((group) =>
+      group.members.forEach(({ user }) => user && names.set(user._id.toString(), user.username))
+    );
+    const nameOf = (id) => (isMine(id) ? "You" : names.get(id.toString()) ?? "Deleted user");
+
+    const toExportMessage = (message) => ({
+      _id: message._id,
+      from: nameOf(message.senderId),
+      senderId: message.senderId,
+      text: message.text,
+      image: message.image,
+      replyTo: message.replyTo,
+      createdAt: message.createdAt,
+      editedAt: message.editedAt,
+      isDeleted: message.isDeleted,
+      reactions: message.reactions,
+    });
+
+    // One conversation per chat partner, in order of first message
+    const directConversations = new Map();
+    directMessages.forEach((message) => {
+      const partnerId = isMine(message.senderId) ? message.receiverId : message.senderId;
+      const key = partnerId.toString();
+      if (!directConversations.has(key)) {
+        directConversations.set(key, {
+          type: "direct",
+          partner: { _id: partnerId, username: nameOf(partnerId) },
+          messages: [],
+        });
+      }
+      directConversations.get(key).messages.push(toExportMessage(message));
+    });
+
+    const groupConversations = groups.map((group) => ({
+      type: "group",
+      group: {
+        _id: group._id,
+        name: group.name,
+        avatar: group.avatar,
+        members: group.members.map(({ user, role }) => ({
+          username: user?.username ?? "Deleted user",
+          role,
+        })),
+      },
+      messages: groupMessages
+        .filter((message) => message.groupId.equals(group._id))
+        .map(toExportMessage),
+    }));
+
+    const images = [
+      profile.profilePicture,
+      ...directMessages.map((message) => message.image),
+      ...groupMessages.map((message) => message.image),
+    ].filter(Boolean);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile,
+      sessions,
+      conversations: [...directConversations.values(), ...groupConversations],
+      images: [...new Set(images)],
+    };
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`whisprr-export-${profile.username}-${date}.json`); // download, not display
+    res.status(200).send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    console.log("Error in exportAccountData controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -5,30 +5,266 @@
  *
  *  signup      POST /api/auth/signup
  *              Validates input, checks for duplicate email/username, hashes
- *              the password with bcrypt, saves the new User, issues a JWT
- *              cookie via generateToken(), and sends a welcome email (Resend).
+ *              the password with bcrypt, saves the new User, starts a session
+ *              (access + refresh cookies, see lib/utils.js), and emails a verification link (Resend).
  *
  *  login       POST /api/auth/login
- *              Looks up the user by email, compares the password hash, issues
- *              a JWT cookie, and returns the public user fields.
+ *              Looks up the user by email, compares the password hash, starts
+ *              a session (access + refresh cookies), and returns the public
+ *              user fields. If the user has two-factor authentication on, no
+ *              session is started yet: the response is { twoFactorRequired,
+ *              challengeToken } instead.
+ *              Failed attempts are counted per email and per IP
+ *              (lib/loginThrottle.js): repeated failures have to wait longer
+ *              and longer, then get locked out for a while (429 + Retry-After),
+ *              and the account's owner is emailed. Unknown emails take as long
+ *              and are throttled the same way as real ones.
+ *
+ *  verifyLoginCode POST /api/auth/login/2fa
+ *              Second login step: { challengeToken, code }, where code is a
+ *              current authenticator code or an unused backup code. Starts the
+ *              session like login would. Wrong codes count as failed logins too.
+ *
+ *  refresh     POST /api/auth/refresh
+ *              Trades the refresh cookie for a new short-lived access token and
+ *              a new refresh token (rotation). Presenting a refresh token that
+ *              was already rotated away revokes its whole session (see
+ *              models/Session.js for the reuse rules).
  *
  *  logout      POST /api/auth/logout
- *              Clears the JWT cookie by setting its maxAge to 0.
+ *              Ends the refresh cookie's session (so neither token works any
+ *              more, even if copied) and clears both cookies.
  *
  *  updateProfile  PUT /api/auth/update-profile  (protected)
  *              Accepts a base64 image in req.body.profilePicture, uploads it
  *              to Cloudinary, and stores the resulting secure URL in the DB.
  *              Returns the updated user document (password excluded).
  *
+ *  updatePrivacy  PUT /api/auth/privacy  (protected)
+ *              Updates privacy settings — currently { readReceiptsEnabled }.
+ *              Returns the updated user document (password excluded).
+ *
+ *  updateAccount  PUT /api/auth/account  (protected)
+ *              Changes { username?, bio? }. Usernames stay unique. Returns the
+ *              updated user document (password excluded).
+ *
+ *  changeEmail    PUT /api/auth/email  (protected)
+ *              Moves the account to a new address { email, password }. The new
+ *              address starts unverified and gets a verification link.
+ *
+ *  changePassword PUT /api/auth/password  (protected)
+ *              Sets a new password { currentPassword, newPassword } and signs
+ *              out every other session. This one keeps going with a fresh token.
+ *
+ * Profile changes others can see (username, picture, bio) are broadcast to
+ * every connected client as `userUpdated`, so contact lists, chat headers and
+ * group member lists update live. The user's own other devices also get
+ * `accountUpdated` with their full public user fields after any settings change.
+ *
+ *  forgotPassword POST /api/auth/forgot-password
+ *              Emails a password reset link if the address belongs to an account.
+ *              Always answers with the same generic message, so it can't be
+ *              used to find out who has an account.
+ *
+ *  resetPassword  POST /api/auth/reset-password
+ *              Sets a new password given a valid reset token, then signs the
+ *              user out everywhere (old JWTs rejected, sockets disconnected).
+ *
+ *  verifyEmail    GET /api/auth/verify-email/:token
+ *              Marks the account's email as verified (the link from the
+ *              verification email), then sends the welcome email.
+ *
+ *  resendVerification POST /api/auth/resend-verification  (protected)
+ *              Emails a fresh verification link — at most once every
+ *              VERIFICATION_RESEND_COOLDOWN_SECONDS per user (429 + Retry-After).
+ *
+ * Verification tokens carry the email address they were sent to, so a link
+ * stops working if the account's email changes before it's clicked.
+ *
+ * Reset tokens are JWTs signed with JWT_SECRET + the user's current password
+ * hash. That makes them single-use without storing anything: once the password
+ * changes, the hash changes and every outstanding link stops verifying.
+ *
  * All protected routes require the protectRoute middleware to run first,
  * which verifies the JWT and attaches req.user.
  */
-import { sendWelcomeEmail } from "../emails/email.Handlers.js";
-import { generateToken } from "../lib/utils.js";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import {
+  sendLoginLockoutEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendWelcomeEmail,
+} from "../emails/email.Handlers.js";
+import {
+  clearAuthCookies,
+  createRefreshSecret,
+  generateToken,
+  readRefreshCookie,
+  REFRESH_TOKEN_LIFETIME_MS,
+  setRefreshCookie,
+} from "../lib/utils.js";
 import User from "../models/User.js";
+import Session, { REFRESH_REUSE_GRACE_MS } from "../models/Session.js";
 import bcrypt from "bcryptjs";
 import { ENV } from "../lib/env.js";
+import { verifyTotp } from "../lib/totp.js";
+import {
+  clearLoginFailures,
+  getLoginRetryAfter,
+  LOGIN_LOCKOUT_MINUTES,
+  recordLoginFailure,
+} from "../lib/loginThrottle.js";
 import cloudinary from "../lib/cloudinary.js";
+import {
+  disconnectSession,
+  disconnectUser,
+  emitToUser,
+  emitUserUpdated,
+  getOriginSocketId,
+} from "../lib/socket.js";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // basic "something@something.tld" check
+const MIN_PASSWORD_LENGTH = 6;
+const USERNAME_MAX_LENGTH = 30;
+const BIO_MAX_LENGTH = 160;
+
+const RESET_TOKEN_PURPOSE = "password-reset"; // keeps login JWTs from being used as reset tokens
+const RESET_TOKEN_EXPIRY_MINUTES = 30;
+const FORGOT_PASSWORD_RESPONSE = {
+  message: "If an account exists for that email, we've sent a link to reset the password.",
+};
+
+// Compared against when nobody has the email, so a login takes as long
+// whether or not the account exists (same bcrypt cost as real hashes)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = "2fa-login";
+const TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES = 5;
+
+const VERIFY_TOKEN_PURPOSE = "email-verify";
+const VERIFY_TOKEN_EXPIRY_HOURS = 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Emails the user a link that verifies their current address. Runs in the
+// background — callers record `verificationEmailSentAt` themselves.
+const sendVerificationLink = (user) => {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, purpose: VERIFY_TOKEN_PURPOSE },
+    ENV.JWT_SECRET,
+    { expiresIn: `${VERIFY_TOKEN_EXPIRY_HOURS}h` }
+  );
+  const verifyURL = `${ENV.CLIENT_URL}/verify-email/${token}`;
+
+  sendVerificationEmail(user.email, user.username, verifyURL, VERIFY_TOKEN_EXPIRY_HOURS).catch(
+    (error) => console.error("Failed to send verification email:", error)
+  );
+};
+
+// The user fields the client gets after signup / login (no password hash!)
+const toPublicUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  profilePicture: user.profilePicture,
+  readReceiptsEnabled: user.readReceiptsEnabled,
+  bio: user.bio,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  deletionScheduledAt: user.deletionScheduledAt,
+});
+
+// Brings the user's other tabs/devices up to date after a settings change
+// (the one that made it has the API response)
+const syncOtherDevices = async (req, user) =>
+  emitToUser(user._id, "accountUpdated", toPublicUser(user), await getOriginSocketId(req));
+
+// Hashes a new password — NEVER store plain text passwords!
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Accepts a current authenticator code or an unused backup code and records
+// its use on `user` (the caller saves). Needs the user loaded with
+// +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep.
+const redeemSecondFactor = async (user, code) => {
+  const normalized = String(code ?? "").replace(/[\s-]/g, "").toLowerCase();
+
+  const step = verifyTotp(user.twoFactorSecret, normalized);
+  if (step !== null) {
+    // Each code works once, even while it's still on screen
+    if (step <= (user.twoFactorLastUsedStep ?? -1)) return false;
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const backupCodes = user.twoFactorBackupCodes ?? [];
+  for (const [index, hash] of backupCodes.entries()) {
+    if (await bcrypt.compare(normalized, hash)) {
+      user.twoFactorBackupCodes = backupCodes.filter((_, i) => i !== index); // used up
+      return true;
+    }
+  }
+  return false;
+};
+
+// 429 for a login attempted during a backoff or lockout
+const rejectLoginAttempt = (res, retryAfter) => {
+  const wait =
+    retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`;
+  res.set("Retry-After", String(retryAfter));
+  return res
+    .status(429)
+    .json({ message: `Too many failed login attempts. Please try again in ${wait}.`, retryAfter });
+};
+
+// Counts a wrong password or code and, if that locked the account, warns its owner
+const handleLoginFailure = async (email, user, req) => {
+  const accountLocked = await recordLoginFailure(email, req.ip);
+  if (!accountLocked || !user) return;
+
+  const resetURL = `${ENV.CLIENT_URL}/forgot-password`;
+  sendLoginLockoutEmail(user.email, user.username, LOGIN_LOCKOUT_MINUTES, req.ip, resetURL).catch(
+    (error) => console.error("Failed to send login lockout email:", error)
+  );
+};
+
+// Records a new login session for this device and sets its access + refresh cookies
+const startSession = async (userId, req, res) => {
+  const { secret, hash } = createRefreshSecret();
+  const session = await Session.create({
+    userId,
+    userAgent: req.get("User-Agent") || "",
+    ip: req.ip,
+    refreshTokenHash: hash,
+  });
+  setRefreshCookie(session._id, secret, res);
+  generateToken(userId, session._id, res);
+};
+
+// Secret for a user's reset tokens — changes whenever their password does
+const getResetSecret = (user) => ENV.JWT_SECRET + user.password;
+
+// Returns the user a reset token belongs to, or null if it's invalid, expired or already used
+const findUserByResetToken = async (token) => {
+  // Read the payload unverified first — we need the user to know the secret
+  const payload = jwt.decode(token);
+  if (payload?.purpose !== RESET_TOKEN_PURPOSE || !mongoose.isValidObjectId(payload.id)) {
+    return null;
+  }
+
+  const user = await User.findById(payload.id);
+  if (!user) return null;
+
+  try {
+    jwt.verify(token, getResetSecret(user));
+    return user;
+  } catch {
+    return null; // expired, tampered with, or the password has changed since
+  }
+};
 
 // --- SIGNUP ---
 // Creates a new user account with a hashed password and JWT cookie
@@ -42,13 +278,12 @@ export const signup = async (req, res) => {
     }
 
     // Password must be at least 6 characters
-    if (password.length < 6) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return res.status(400).json({ message: "Password must be at least 6 characters" });
     }
 
     // Basic email format check using a regular expression
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       return res.status(400).json({ message: "Invalid email format" });
     }
 
@@ -74,6 +309,7 @@ export const signup = async (req, res) => {
       username,
       email,
       password: hashedPassword, // store the hash, not the plain password
+      verificationEmailSentAt: new Date(), // the link goes out right after saving
     });
 
     if (newUser) {
@@ -81,23 +317,14 @@ export const signup = async (req, res) => {
       const savedUser = await newUser.save();
 
       // Generate a JWT and set it as an httpOnly cookie in the response
-      generateToken(savedUser._id, res);
+      await startSession(savedUser._id, req, res);
 
       // Send back the user's public info (no password hash!)
-      res.status(201).json({
-        _id: savedUser._id,
-        username: savedUser.username,
-        email: savedUser.email,
-        profilePicture: savedUser.profilePicture,
-      });
+      res.status(201).json(toPublicUser(savedUser));
 
-      // Try to send a welcome email — wrap in try/catch so a failure here
-      // doesn't affect the signup response (the user is already created)
-      try {
-        await sendWelcomeEmail(savedUser.email, savedUser.username, ENV.CLIENT_URL);
-      } catch (error) {
-        console.error("Failed to send welcome email:", error);
-      }
+      // Ask the user to confirm their address — the welcome email follows
+      // once they do (see verifyEmail)
+      sendVerificationLink(savedUser);
     } else {
       res.status(400).json({ message: "Invalid user data" });
     }
@@ -123,43 +350,180 @@ export const login = async (req, res) => {
   const { email, password } = req.body;
 
   // Reject immediately if either field is missing
-  if (!email || !password) {
+  if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
     return res.status(400).json({ message: "Email and password are required" });
   }
 
   try {
+    // Still waiting out a backoff or lockout — don't even check the password
+    const retryAfter = await getLoginRetryAfter(email, req.ip);
+    if (retryAfter > 0) return rejectLoginAttempt(res, retryAfter);
+
     // Look up the user by their email address
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    // bcrypt.compare hashes the input and checks it against the stored hash.
+    // Unknown emails are checked against a dummy hash so they take just as long.
+    const isPasswordCorrect = await bcrypt.compare(password, user?.password ?? DUMMY_PASSWORD_HASH);
 
     // Return "Invalid credentials" for BOTH wrong email and wrong password —
     // never tell the client which one is wrong (security best practice)
-    if (!user) return res.status(400).json({ message: "Invalid credentials" });
+    if (!user || !isPasswordCorrect) {
+      await handleLoginFailure(email, user, req);
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
 
-    // bcrypt.compare hashes the input and checks it against the stored hash
-    const isPasswordCorrect = await bcrypt.compare(password, user.password);
-    if (!isPasswordCorrect) return res.status(400).json({ message: "Invalid credentials" });
+    // With 2FA on, the password alone doesn't log in: hand back a short-lived
+    // challenge to redeem with a code at POST /login/2fa instead
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+        ENV.JWT_SECRET,
+        { expiresIn: `${TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES}m` }
+      );
+      return res.status(200).json({ twoFactorRequired: true, challengeToken });
+    }
 
     // Credentials are correct — create a JWT cookie for this session
-    generateToken(user._id, res);
+    await clearLoginFailures(email);
+    await startSession(user._id, req, res);
 
     // Send back the user's public info (no password hash!)
-    res.status(200).json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      profilePicture: user.profilePicture,
-    });
+    res.status(200).json(toPublicUser(user));
   } catch (error) {
     console.error("Error in login controller:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
 
+// --- VERIFY LOGIN CODE ---
+// Second step of a 2FA login: the challenge from the password step plus a code
+export const verifyLoginCode = async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const EXPIRED = {
+    message: "Your login attempt has expired. Please sign in again.",
+    code: "CHALLENGE_EXPIRED", // the client goes back to the password step
+  };
+
+  if (typeof challengeToken !== "string" || !code) {
+    return res.status(400).json({ message: "Challenge and code are required" });
+  }
+
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, ENV.JWT_SECRET);
+    } catch {
+      return res.status(400).json(EXPIRED);
+    }
+    if (payload.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) return res.status(400).json(EXPIRED);
+
+    const user = await User.findById(payload.id).select(
+      "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep"
+    );
+    // 2FA may have been turned off (or the account deleted) since the password step
+    if (!user?.twoFactorEnabled) return res.status(400).json(EXPIRED);
+
+    // Codes are guessable too — they share the password's failure count
+    const retryAfter = await getLoginRetryAfter(user.email, req.ip);
+    if (retryAfter > 0) return rejectLoginAttempt(res, retryAfter);
+
+    if (!(await redeemSecondFactor(user, code))) {
+      await handleLoginFailure(user.email, user, req);
+      return res.status(400).json({ message: "Invalid code" });
+    }
+    await user.save();
+
+    await clearLoginFailures(user.email);
+    await startSession(user._id, req, res);
+    res.status(200).json(toPublicUser(user));
+  } catch (error) {
+    console.log("Error in verifyLoginCode controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- REFRESH ---
+// Issues a new access token for the session in the refresh cookie, rotating
+// the refresh token as it goes
+export const refresh = async (req, res) => {
+  // Any failure means this browser has no usable session left
+  const reject = (message) => {
+    clearAuthCookies(res);
+    return res.status(401).json({ message });
+  };
+
+  try {
+    const presented = readRefreshCookie(req);
+    if (!presented) return reject("Unauthorized - No refresh token");
+
+    // Rotate — atomically, so of two requests racing with the same token only one wins
+    const { secret, hash } = createRefreshSecret();
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      { _id: presented.sessionId, refreshTokenHash: presented.hash },
+      {
+        refreshTokenHash: hash,
+        previousRefreshTokenHash: presented.hash,
+        rotatedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_LIFETIME_MS), // sliding expiry
+      },
+      { new: true }
+    );
+    if (session) {
+      setRefreshCookie(session._id, secret, res);
+      generateToken(session.userId, session._id, res);
+      return res.status(200).json({ message: "Session refreshed" });
+    }
+
+    const current = await Session.findById(presented.sessionId);
+    if (!current) return reject("Unauthorized - Session expired");
+
+    // Another tab rotated this very token a moment ago — its response carries
+    // the new refresh cookie, so this one only needs an access token
+    const justRotated =
+      current.previousRefreshTokenHash === presented.hash &&
+      now - current.rotatedAt < REFRESH_REUSE_GRACE_MS;
+    if (justRotated) {
+      generateToken(current.userId, current._id, res);
+      return res.status(200).json({ message: "Session refreshed" });
+    }
+
+    // An old refresh token came back: someone has a copy. Revoke the whole family.
+    console.log(`Refresh token reuse detected — revoking session ${current._id} of user ${current.userId}`);
+    await Session.deleteOne({ _id: current._id });
+    disconnectSession(current._id);
+    return reject("Unauthorized - Session revoked");
+  } catch (error) {
+    console.log("Error in refresh controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 // --- LOGOUT ---
-// Clears the JWT cookie by setting its expiry to 0 (immediate expiry)
-export const logout = (_, res) => {
-  res.cookie("jwt", "", { maxAge: 0 }); // overwrite cookie with empty value + instant expiry
-  res.status(200).json({ message: "Logged out successfully" });
+// Ends this device's session and clears both auth cookies (immediate expiry).
+// Not behind protectRoute: logging out with an expired access token must still work.
+export const logout = async (req, res) => {
+  try {
+    const presented = readRefreshCookie(req);
+    if (presented) {
+      // Only the holder of the session's (current or just-rotated) refresh token may end it
+      const session = await Session.findOneAndDelete({
+        _id: presented.sessionId,
+        $or: [{ refreshTokenHash: presented.hash }, { previousRefreshTokenHash: presented.hash }],
+      });
+      if (session) {
+        // Other tabs sharing these cookies are signed out too; this one closes its own socket
+        disconnectSession(session._id, await getOriginSocketId(req, session.userId));
+      }
+    }
+
+    clearAuthCookies(res); // overwrite both cookies with empty values + instant expiry
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.log("Error in logout controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
 };
 
 // --- UPDATE PROFILE ---
@@ -186,9 +550,330 @@ export const updateProfile = async (req, res) => {
     ).select("-password"); // exclude password hash from the response
     console.log("[updateProfile] DB updated, profilePicture saved:", updatedUser.profilePicture);
 
+    // Everyone who can see this user gets the new avatar live
+    emitUserUpdated(updatedUser);
+    await syncOtherDevices(req, updatedUser);
+
     res.status(200).json(updatedUser); // send the updated user back to the frontend
   } catch (error) {
     console.log("[updateProfile] Error:", error.message);
     res.status(500).json({ message: "Internal server error" });
   }
-};
\ No newline at end of file
+};
+
+// --- UPDATE PRIVACY ---
+// Lets the logged-in user turn read receipts on or off
+export const updatePrivacy = async (req, res) => {
+  try {
+    const { readReceiptsEnabled } = req.body;
+    if (typeof readReceiptsEnabled !== "boolean") {
+      return res.status(400).json({ message: "readReceiptsEnabled must be true or false" });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { readReceiptsEnabled },
+      { new: true }
+    ).select("-password");
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    console.log("Error in updatePrivacy controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- UPDATE ACCOUNT ---
+// Changes the logged-in user's username and/or bio. Fields left out stay as they are.
+export const updateAccount = async (req, res) => {
+  const { username, bio } = req.body;
+
+  if (username === undefined && bio === undefined) {
+    return res.status(400).json({ message: "Nothing to update" });
+  }
+  if (username !== undefined && (typeof username !== "string" || !username.trim())) {
+    return res.status(400).json({ message: "Username is required" });
+  }
+  if (username?.trim().length > USERNAME_MAX_LENGTH) {
+    return res
+      .status(400)
+      .json({ message: `Username must be at most ${USERNAME_MAX_LENGTH} characters` });
+  }
+  if (bio !== undefined && typeof bio !== "string") {
+    return res.status(400).json({ message: "Bio must be text" });
+  }
+  if (bio?.trim().length > BIO_MAX_LENGTH) {
+    return res.status(400).json({ message: `Bio must be at most ${BIO_MAX_LENGTH} characters` });
+  }
+
+  try {
+    const updates = {};
+    if (username !== undefined) {
+      updates.username = username.trim();
+      const taken = await User.exists({ username: updates.username, _id: { $ne: req.user._id } });
+      if (taken) return res.status(400).json({ message: "Username already exists" });
+    }
+    if (bio !== undefined) updates.bio = bio.trim();
+
+    const updatedUser = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true,
+    }).select("-password");
+
+    emitUserUpdated(updatedUser);
+    await syncOtherDevices(req, updatedUser);
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    // Two users grabbing the same name at the same moment — the unique index decides
+    if (error?.code === 11000) {
+      return res.status(400).json({ message: "Username already exists" });
+    }
+    console.log("Error in updateAccount controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- CHANGE EMAIL ---
+// Moves the account to a new email address. Needs the password, so an unlocked
+// computer isn't enough to take the account over (reset links go to the email).
+export const changeEmail = async (req, res) => {
+  const { email, password } = req.body;
+
+  if (typeof email !== "string" || !email.trim() || typeof password !== "string" || !password) {
+    return res.status(400).json({ message: "Email and password are required" });
+  }
+  const newEmail = email.trim().toLowerCase();
+  if (!EMAIL_REGEX.test(newEmail)) {
+    return res.status(400).json({ message: "Invalid email format" });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ message: "Incorrect password" });
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: "That's already your email" });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: "Email already exists" });
+    }
+
+    // The new address has to be confirmed like a new account's. Links sent to
+    // the old address stop working, since they name the email they were sent to.
+    user.email = newEmail;
+    user.emailVerified = false;
+    user.verificationEmailSentAt = new Date();
+    await user.save();
+    sendVerificationLink(user);
+
+    await syncOtherDevices(req, user);
+
+    res.status(200).json({
+      message: `We've sent a verification link to ${user.email}`,
+      user: toPublicUser(user),
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(400).json({ message: "Email already exists" });
+    }
+    console.log("Error in changeEmail controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- CHANGE PASSWORD ---
+// Sets a new password given the current one. Every other session is signed
+// out (a changed password usually means the old one might be known); this
+// device stays logged in.
+export const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+    return res.status(400).json({ message: "Current and new password are required" });
+  }
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res
+      .status(400)
+      .json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await hashPassword(newPassword); // also invalidates password reset links
+    user.passwordChangedAt = new Date();              // rejects every JWT issued before now…
+    await user.save();
+
+    // …so this device needs a new access token to stay logged in
+    generateToken(user._id, req.sessionId, res);
+
+    // End the other sessions and drop their live connections
+    const others = { userId: user._id, _id: { $ne: req.sessionId } };
+    const sessionIds = await Session.find(others).distinct("_id");
+    await Session.deleteMany({ _id: { $in: sessionIds } });
+    sessionIds.forEach((sessionId) => disconnectSession(sessionId));
+
+    res.status(200).json({
+      message:
+        sessionIds.length > 0
+          ? "Password changed. Your other devices have been signed out."
+          : "Password changed",
+    });
+  } catch (error) {
+    console.log("Error in changePassword controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- FORGOT PASSWORD ---
+// Emails a one-time reset link. The response is identical whether or not the
+// email is registered, and the email is sent in the background so response
+// times don't give it away either.
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== "string" || !email.trim()) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (user) {
+      const token = jwt.sign({ id: user._id, purpose: RESET_TOKEN_PURPOSE }, getResetSecret(user), {
+        expiresIn: `${RESET_TOKEN_EXPIRY_MINUTES}m`,
+      });
+      const resetURL = `${ENV.CLIENT_URL}/reset-password/${token}`;
+
+      // Not awaited — see above
+      sendPasswordResetEmail(user.email, user.username, resetURL, RESET_TOKEN_EXPIRY_MINUTES).catch(
+        (error) => console.error("Failed to send password reset email:", error)
+      );
+    }
+
+    res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+  } catch (error) {
+    console.log("Error in forgotPassword controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- RESET PASSWORD ---
+// Sets a new password from a reset link and signs the user out on every device
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof token !== "string" || typeof password !== "string") {
+    return res.status(400).json({ message: "Token and new password are required" });
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res
+      .status(400)
+      .json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const user = await findUserByResetToken(token);
+    if (!user) {
+      return res.status(400).json({ message: "This reset link is invalid or has expired" });
+    }
+
+    user.password = await hashPassword(password);     // also invalidates this link
+    user.passwordChangedAt = new Date();              // rejects every JWT issued before now
+    user.emailVerified = true;                        // the link reached their inbox
+    await user.save();
+
+    // End every session and drop live connections — reconnecting needs a fresh login
+    await Session.deleteMany({ userId: user._id });
+    disconnectUser(user._id);
+
+    // This browser may itself be logged in with an old token
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Password updated. Please log in with your new password." });
+  } catch (error) {
+    console.log("Error in resetPassword controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- VERIFY EMAIL ---
+// Confirms the address from the link in the verification email. Doesn't need
+// a login: the link may well be opened on a different device.
+export const verifyEmail = async (req, res) => {
+  const INVALID_LINK = { message: "This verification link is invalid or has expired" };
+
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(req.params.token, ENV.JWT_SECRET);
+    } catch {
+      return res.status(400).json(INVALID_LINK);
+    }
+    if (payload.purpose !== VERIFY_TOKEN_PURPOSE || !mongoose.isValidObjectId(payload.id)) {
+      return res.status(400).json(INVALID_LINK);
+    }
+
+    const user = await User.findById(payload.id);
+    // A link sent to an address the account no longer uses proves nothing
+    if (!user || user.email !== payload.email) return res.status(400).json(INVALID_LINK);
+
+    if (user.emailVerified) {
+      return res.status(200).json({ message: "Your email is already verified" });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    // Hide the "verify your email" banner on every open tab
+    emitToUser(user._id, "emailVerified");
+
+    sendWelcomeEmail(user.email, user.username, ENV.CLIENT_URL).catch((error) =>
+      console.error("Failed to send welcome email:", error)
+    );
+
+    res.status(200).json({ message: "Email verified — you're all set!" });
+  } catch (error) {
+    console.log("Error in verifyEmail controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- RESEND VERIFICATION ---
+// Sends the logged-in user a fresh verification link, rate-limited per user
+export const resendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Your email is already verified" });
+    }
+
+    const elapsedSeconds = user.verificationEmailSentAt
+      ? (Date.now() - user.verificationEmailSentAt.getTime()) / 1000
+      : Infinity;
+    if (elapsedSeconds < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+      res.set("Retry-After", String(retryAfter));
+      return res
+        .status(429)
+        .json({ message: `Please wait ${retryAfter}s before requesting another email`, retryAfter });
+    }
+
+    user.verificationEmailSentAt = new Date();
+    await user.save();
+    sendVerificationLink(user);
+
+    res.status(200).json({
+      message: `We've sent a new verification link to ${user.email}`,
+      retryAfter: VERIFICATION_RESEND_COOLDOWN_SECONDS, // when the next resend is allowed
+    });
+  } catch (error) {
+    console.log("Error in resendVerification controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,383 @@
+/**
+ * group.controller.js — Group Conversations Controller
+ *
+ * Handles all HTTP logic for group chats. All routes require the user to be
+ * authenticated (protectRoute middleware), and every group-specific route
+ * also checks that the logged-in user is a member of that group.
+ *
+ *  createGroup        POST   /api/groups
+ *                     Creates a group from { name, memberIds, avatar? }. The
+ *                     creator becomes its first admin. Optional base64 avatar
+ *                     is uploaded to Cloudinary.
+ *
+ *  getMyGroups        GET    /api/groups
+ *                     Returns every group the logged-in user belongs to, with
+ *                     members populated (username + profilePicture) plus
+ *                     `lastMessage` and `unreadCount`, most recent activity first.
+ *
+ *  getGroupMessages   GET    /api/groups/:id/messages?before=<messageId>&limit=<n>
+ *                     Returns one page of a group's message history as
+ *                     { messages, hasMore } — same cursor rules as getMessagesByUserId.
+ *
+ *  markGroupAsRead    PUT    /api/groups/:id/read
+ *                     Resets the group's unread count for the logged-in user.
+ *
+ *  sendGroupMessage   POST   /api/groups/:id/messages
+ *                     Same payload rules as sendMessage (text and/or image,
+ *                     optional `replyTo` from the same group, optional
+ *                     `clientMessageId`) — both live in lib/messageSending.js.
+ *                     Emits `newMessage` to the group's socket.io room so every
+ *                     online member (except the sender) receives it instantly.
+ *
+ *  addMembers         POST   /api/groups/:id/members          (admins only)
+ *  removeMember       DELETE /api/groups/:id/members/:userId  (admins only)
+ *  updateMemberRole   PATCH  /api/groups/:id/members/:userId  (admins only)
+ *  leaveGroup         POST   /api/groups/:id/leave
+ *                     Membership changes keep socket rooms in sync and emit
+ *                     `groupUpdated` to the remaining members and
+ *                     `groupRemoved` to users who are no longer members.
+ *                     A group always keeps at least one admin; when the last
+ *                     member leaves, the group and its messages are deleted.
+ */
+import mongoose from "mongoose";
+import cloudinary from "../lib/cloudinary.js";
+import { sendGroupMessage as sendMessageToGroup } from "../lib/messageSending.js";
+import {
+  emitToUser,
+  getGroupRoom,
+  getOriginSocketId,
+  io,
+  joinGroupRoom,
+  leaveGroupRoom,
+} from "../lib/socket.js";
+import Group from "../models/Group.js";
+import Message from "../models/message.js";
+import ReadState from "../models/ReadState.js";
+import User from "../models/User.js";
+import { parsePagination } from "../lib/utils.js";
+
+// Public fields of each member returned alongside a group
+const MEMBER_FIELDS = "username profilePicture";
+
+const GROUP_NAME_MAX_LENGTH = 50; // the Group model's maxlength (after trimming)
+
+// Loads a group by ID with members populated, or null if the ID is invalid/unknown
+const findGroupById = async (groupId) => {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+  return Group.findById(groupId).populate("members.user", MEMBER_FIELDS);
+};
+
+// Returns the member entry for userId, or undefined if they're not in the group.
+// Works whether or not members.user has been populated.
+const findMember = (group, userId) =>
+  group.members.find((member) => (member.user._id || member.user).equals(userId));
+
+const isAdmin = (group, userId) => findMember(group, userId)?.role === "admin";
+
+// Keeps only valid, unique IDs of existing users (and never the caller themselves)
+const resolveMemberIds = async (memberIds, excludeId) => {
+  const uniqueIds = [...new Set((memberIds || []).map(String))].filter(
+    (id) => mongoose.isValidObjectId(id) && id !== excludeId.toString()
+  );
+  const users = await User.find({ _id: { $in: uniqueIds } }).select("_id");
+  return users.map((user) => user._id);
+};
+
+// Tells every online member about the group's latest state (name, members, roles)
+const emitGroupUpdated = (group) => {
+  io.to(getGroupRoom(group._id)).emit("groupUpdated", group);
+};
+
+// Tells a user who is no longer a member to drop the group from their sidebar
+const emitGroupRemoved = (userId, groupId) => {
+  emitToUser(userId, "groupRemoved", { groupId }); // on all of their devices
+  leaveGroupRoom(userId, groupId);
+};
+
+// --- CREATE GROUP ---
+// Creates a new group; the logged-in user becomes its first admin.
+export const createGroup = async (req, res) => {
+  try {
+    const { name, memberIds, avatar } = req.body;
+    const creatorId = req.user._id;
+
+    // Checked here, before the avatar is uploaded, rather than left to Group.create
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ message: "Group name is required." });
+    }
+    if (name.trim().length > GROUP_NAME_MAX_LENGTH) {
+      return res
+        .status(400)
+        .json({ message: `Group name must be at most ${GROUP_NAME_MAX_LENGTH} characters.` });
+    }
+
+    // A group needs at least one other person in it
+    const otherMemberIds = await resolveMemberIds(memberIds, creatorId);
+    if (otherMemberIds.length === 0) {
+      return res.status(400).json({ message: "Add at least one member to the group." });
+    }
+
+    // Optional group picture, uploaded the same way as chat images
+    let avatarUrl;
+    if (avatar) {
+      const uploadResponse = await cloudinary.uploader.upload(avatar);
+      avatarUrl = uploadResponse.secure_url;
+    }
+
+    const group = await Group.create({
+      name,
+      avatar: avatarUrl,
+      createdBy: creatorId,
+      members: [
+        { user: creatorId, role: "admin" },
+        ...otherMemberIds.map((user) => ({ user, role: "member" })),
+      ],
+    });
+    await group.populate("members.user", MEMBER_FIELDS);
+
+    // Put every online member (creator included) into the new group's room
+    group.members.forEach((member) => joinGroupRoom(member.user._id.toString(), group._id));
+    emitGroupUpdated(group);
+
+    res.status(201).json(group);
+  } catch (error) {
+    console.log("Error in createGroup controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- GET MY GROUPS ---
+// Returns every group the logged-in user is a member of (for the Chats tab),
+// each with a last-message preview and unread count.
+export const getMyGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ "members.user": req.user._id }).populate(
+      "members.user",
+      MEMBER_FIELDS
+    );
+
+    const summaries = await Message.getChatSummaries(
+      req.user._id,
+      groups.map((group) => group._id)
+    );
+    const summariesById = new Map(summaries.map((s) => [s.chatId.toString(), s]));
+
+    // Groups without messages yet have no summary: no preview, nothing unread
+    const lastActivity = (group) => group.lastMessage?.createdAt || group.createdAt;
+    const groupsWithSummaries = groups
+      .map((group) => {
+        const summary = summariesById.get(group._id.toString());
+        return {
+          ...group.toObject(),
+          lastMessage: summary?.lastMessage || null,
+          unreadCount: summary?.unreadCount || 0,
+        };
+      })
+      .sort((a, b) => lastActivity(b) - lastActivity(a)); // most recent first
+
+    res.status(200).json(groupsWithSummaries);
+  } catch (error) {
+    console.log("Error in getMyGroups controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- GET GROUP MESSAGES ---
+// Returns one page of the message history of a group the logged-in user belongs to.
+export const getGroupMessages = async (req, res) => {
+  try {
+    const { before, limit, error } = parsePagination(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const group = await findGroupById(req.params.id);
+    if (!group || !findMember(group, req.user._id)) {
+      return res.status(404).json({ message: "Group not found." });
+    }
+
+    // skip messages we deleted "for me"
+    const { messages, hasMore } = await Message.findPage(
+      { groupId: group._id, deletedFor: { $ne: req.user._id } },
+      { before, limit }
+    );
+
+    res.status(200).json({ messages, hasMore });
+  } catch (error) {
+    console.log("Error in getGroupMessages controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- MARK GROUP AS READ ---
+// Called by the frontend when the logged-in user opens (or is looking at) a group.
+// Groups have no per-member read receipts — this only clears our unread badge.
+export const markGroupAsRead = async (req, res) => {
+  try {
+    const group = await findGroupById(req.params.id);
+    if (!group || !findMember(group, req.user._id)) {
+      return res.status(404).json({ message: "Group not found." });
+    }
+
+    await ReadState.markRead(req.user._id, group._id);
+
+    res.status(200).json({ message: "Group marked as read" });
+  } catch (error) {
+    console.log("Error in markGroupAsRead controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- SEND GROUP MESSAGE ---
+// Posts a text message, an image, or both to a group.
+export const sendGroupMessage = async (req, res) => {
+  try {
+    const { text, image, replyTo, clientMessageId } = req.body;
+
+    const { status, message, error } = await sendMessageToGroup(
+      req.user._id,
+      req.params.id,
+      { text, image, replyTo, clientMessageId },
+      await getOriginSocketId(req)
+    );
+    if (error) return res.status(status).json({ message: error });
+
+    res.status(status).json(message);
+  } catch (error) {
+    console.log("Error in sendGroupMessage controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- ADD MEMBERS ---
+// Admins can add one or more users to the group.
+export const addMembers = async (req, res) => {
+  try {
+    const group = await findGroupById(req.params.id);
+    if (!group || !findMember(group, req.user._id)) {
+      return res.status(404).json({ message: "Group not found." });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ message: "Only group admins can add members." });
+    }
+
+    // Skip anyone who is already a member
+    const newMemberIds = (await resolveMemberIds(req.body.memberIds, req.user._id)).filter(
+      (id) => !findMember(group, id)
+    );
+    if (newMemberIds.length === 0) {
+      return res.status(400).json({ message: "No new members to add." });
+    }
+
+    newMemberIds.forEach((user) => group.members.push({ user, role: "member" }));
+    await group.save();
+    await group.populate("members.user", MEMBER_FIELDS);
+
+    newMemberIds.forEach((id) => joinGroupRoom(id.toString(), group._id));
+    emitGroupUpdated(group);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in addMembers controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- REMOVE MEMBER ---
+// Admins can remove another member. To remove yourself, use leaveGroup.
+export const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const group = await findGroupById(req.params.id);
+    if (!group || !findMember(group, req.user._id)) {
+      return res.status(404).json({ message: "Group not found." });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ message: "Only group admins can remove members." });
+    }
+    if (req.user._id.equals(userId)) {
+      return res.status(400).json({ message: "Use leave to remove yourself from a group." });
+    }
+    if (!mongoose.isValidObjectId(userId) || !findMember(group, userId)) {
+      return res.status(404).json({ message: "Member not found." });
+    }
+
+    group.members = group.members.filter((member) => !member.user._id.equals(userId));
+    await group.save();
+
+    emitGroupRemoved(userId, group._id);
+    emitGroupUpdated(group);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in removeMember controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- UPDATE MEMBER ROLE ---
+// Admins can promote a member to admin or demote an admin to member.
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!["admin", "member"].includes(role)) {
+      return res.status(400).json({ message: "Role must be 'admin' or 'member'." });
+    }
+
+    const group = await findGroupById(req.params.id);
+    if (!group || !findMember(group, req.user._id)) {
+      return res.status(404).json({ message: "Group not found." });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ message: "Only group admins can change roles." });
+    }
+
+    const member = mongoose.isValidObjectId(userId) && findMember(group, userId);
+    if (!member) {
+      return res.status(404).json({ message: "Member not found." });
+    }
+
+    // Never leave a group without an admin
+    const adminCount = group.members.filter((m) => m.role === "admin").length;
+    if (member.role === "admin" && role === "member" && adminCount === 1) {
+      return res.status(400).json({ message: "A group must have at least one admin." });
+    }
+
+    member.role = role;
+    await group.save();
+
+    emitGroupUpdated(group);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in updateMemberRole controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- LEAVE GROUP ---
+// Removes the logged-in user from the group. If they were the last admin, the
+// longest-standing remaining member is promoted; if nobody is left, the group
+// and its messages are deleted.
+export const leaveGroup = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const group = await findGroupById(req.params.id);
+    if (!group || !findMember(group, userId)) {
+      return res.status(404).json({ message: "Group not found." });
+    }
+
+    // promotes a new admin if needed; the last one out deletes the group
+    const wasDeleted = await group.removeMember(userId);
+
+    emitGroupRemoved(userId.toString(), group._id);
+    if (!wasDeleted) emitGroupUpdated(group);
+
+    res.status(200).json({ message: "Left group successfully" });
+  } catch (error) {
+    console.log("Error in leaveGroup controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -9,28 +9,109 @@
 *                    Used to populate the "Contacts" tab in the sidebar.
 *
 *  getChatPartners   GET /api/messages/chats
-*                    Finds all messages involving the logged-in user and returns
-*                    the unique set of users they have exchanged messages with.
+*                    Returns every user the logged-in user has exchanged messages
+*                    with, each with `lastMessage` (compact preview) and
+*                    `unreadCount`, most recent conversation first. Computed by a
+*                    single aggregation (Message.getChatSummaries).
 *                    Used to populate the "Chats" tab in the sidebar.
 *
-*  getMessagesByUserId  GET /api/messages/:id
-*                    Returns the full message history between the logged-in user
-*                    and the user specified by :id (both directions).
+*  getMessagesByUserId  GET /api/messages/:id?before=<messageId>&limit=<n>
+*                    Returns one page of the message history between the logged-in
+*                    user and the user specified by :id (both directions), as
+*                    { messages, hasMore }. Pages go newest-first; pass the oldest
+*                    loaded message's _id as `before` to get the previous page.
 *
 *  sendMessage       POST /api/messages/send/:id
 *                    Validates the payload (text or image required, can't message
-*                    yourself). If an image is included (base64), uploads it to
+*                    yourself, optional `replyTo` must be a message from this same
+*                    conversation). If an image is included (base64), uploads it to
 *                    Cloudinary and stores the secure URL. Saves the Message doc.
-*                    Real-time delivery via socket.io is currently commented out
-*                    (see TODO comments).
+*                    If the recipient is online, emits `newMessage` to their socket
+*                    and marks the message "delivered" once the client acknowledges it.
+*                    An optional `clientMessageId` (idempotency key) makes retries
+*                    safe: resending it returns the message already saved (200).
+*                    The same logic serves the socket's `message:send` event
+*                    (lib/messageSending.js).
 *
-* Note: socket.io real-time events (newMessage emit) are prepared but currently
-* commented out pending full socket.io integration.
+*  syncMessages      GET /api/messages/sync?since=<ISO date>&after=<messageId>&limit=<n>
+*                    Catch-up after the client's socket was disconnected: every
+*                    message in all of the logged-in user's chats (direct and
+*                    group) sent or changed (edited, deleted for everyone,
+*                    reacted to, delivered / seen) at or after `since`, in order
+*                    of that change (updatedAt, then _id), as { messages, hasMore }.
+*                    For the next page pass the last message's updatedAt as
+*                    `since` and its _id as `after`.
+*
+*  markMessagesAsSeen  PUT /api/messages/:id/seen
+*                    Resets the chat's unread count (ReadState), then marks every
+*                    message user :id sent to the logged-in user as "seen" and
+*                    notifies the sender via `messageStatus` — unless the logged-in
+*                    user has turned read receipts off, in which case no message is
+*                    marked (their messages stay "delivered").
+*
+*  editMessage       PATCH /api/messages/:messageId
+*                    Replaces the text of one of your own messages (direct or group)
+*                    with { text }, within MESSAGE_EDIT_WINDOW_MINUTES of sending it.
+*                    The old text is kept in `editHistory` and `editedAt` is set.
+*                    Emits `messageUpdated` to the other side of the conversation.
+*
+*  deleteMessage     DELETE /api/messages/:messageId?scope=me|everyone
+*                    "me" (default) hides the message from the logged-in user only.
+*                    "everyone" (sender only) wipes its content and leaves a tombstone
+*                    (`isDeleted: true`), emitted as `messageUpdated` so it disappears
+*                    for the other side instantly.
+*
+*  addReaction       PUT    /api/messages/:messageId/reactions/:emoji
+*  removeReaction    DELETE /api/messages/:messageId/reactions/:emoji
+*                    Adds / removes the logged-in user's reaction. Both are idempotent:
+*                    reacting twice with the same emoji (or removing a reaction that
+*                    isn't there) changes nothing. Respond with, and emit to the other
+*                    side as `messageReaction`, { messageId, reactions }.
 */
-import cloudinary from "../lib/cloudinary.js";
-import { getReceiverSocketId, io } from "../lib/socket.js"; // for real-time delivery
+import mongoose from "mongoose";
+import { ENV } from "../lib/env.js";
+import { sendDirectMessage } from "../lib/messageSending.js";
+import { emitMessageStatus, emitToConversation, getOriginSocketId } from "../lib/socket.js"; // for real-time delivery
+import Group from "../models/Group.js";
 import Message from "../models/message.js";
+import ReadState from "../models/ReadState.js";
 import User from "../models/User.js";
+import { buildSearchSnippet, parsePagination, toDeletedUser } from "../lib/utils.js";
+
+// A reaction must be a single emoji (possibly a multi-codepoint one like 👍🏽, 👨‍👩‍👧 or 🇺🇸).
+// This also keeps out "." and "$", which can't be used in MongoDB keys.
+const EMOJI_REGEX =
+  /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]*$/u;
+const MAX_EMOJI_LENGTH = 16; // UTF-16 code units — generous for ZWJ sequences
+
+const MIN_SEARCH_LENGTH = 2;  // shorter queries match almost everything
+const MAX_SEARCH_LENGTH = 100;
+
+// How long after sending a message its sender can still edit it
+const EDIT_WINDOW_MS = (Number(ENV.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Matches every direct message between users a and b, in both directions
+const directConversationFilter = (a, b) => ({
+  $or: [
+    { senderId: a, receiverId: b },
+    { senderId: b, receiverId: a },
+  ],
+});
+
+// Loads a message the user is part of — its sender, its receiver, or a member of
+// its group — unless they deleted it "for me". Returns null otherwise.
+const findMessageForUser = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+
+  const message = await Message.findOne({ _id: messageId, deletedFor: { $ne: userId } });
+  if (!message) return null;
+
+  if (message.groupId) {
+    const isMember = await Group.exists({ _id: message.groupId, "members.user": userId });
+    return isMember ? message : null;
+  }
+  return message.senderId.equals(userId) || message.receiverId.equals(userId) ? message : null;
+};
 
 // --- GET ALL CONTACTS ---
 // Returns every user in the DB except the currently logged-in user.
@@ -50,23 +131,29 @@ export const getAllContacts = async (req, res) => {
 };
 
 // --- GET MESSAGES BY USER ID ---
-// Returns the full chat history between the logged-in user and user :id.
+// Returns one page of the chat history between the logged-in user and user :id.
 // Messages are fetched in BOTH directions (sent and received).
 export const getMessagesByUserId = async (req, res) => {
   try {
     const myId = req.user._id;              // logged-in user
     const { id: userToChatId } = req.params; // the other user from the URL
 
+    // ?before=<messageId>&limit=<n> — which page to return
+    const { before, limit, error } = parsePagination(req.query);
+    if (error) return res.status(400).json({ message: error });
+
     // $or — match messages where either:
     //   (I'm the sender AND they're the receiver) OR (they're the sender AND I'm the receiver)
-    const messages = await Message.find({
-      $or: [
-        { senderId: myId, receiverId: userToChatId },
-        { senderId: userToChatId, receiverId: myId },
-      ],
-    });
+    // deletedFor — skip messages I deleted "for me"
+    const { messages, hasMore } = await Message.findPage(
+      {
+        ...directConversationFilter(myId, userToChatId),
+        deletedFor: { $ne: myId },
+      },
+      { before, limit }
+    );
 
-    res.status(200).json(messages);
+    res.status(200).json({ messages, hasMore });
   } catch (error) {
     console.log("Error in getMessages controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -75,56 +162,22 @@ export const getMessagesByUserId = async (req, res) => {
 
 // --- SEND MESSAGE ---
 // Sends a text message, an image, or both from the logged-in user to another user.
+// The work is shared with the socket's `message:send` event (lib/messageSending.js).
 export const sendMessage = async (req, res) => {
   try {
-    const { text, image } = req.body;    // message content from the request body
+    const { text, image, replyTo, clientMessageId } = req.body; // message content from the request body
     const { id: receiverId } = req.params; // recipient user ID from the URL
     const senderId = req.user._id;         // logged-in user (set by protectRoute)
 
-    // At least one of text or image must be present
-    if (!text && !image) {
-      return res.status(400).json({ message: "Text or image is required." });
-    }
-
-    // Prevent users from messaging themselves
-    if (senderId.equals(receiverId)) {
-      return res.status(400).json({ message: "Cannot send messages to yourself." });
-    }
-
-    // Make sure the recipient account actually exists
-    const receiverExists = await User.exists({ _id: receiverId });
-    if (!receiverExists) {
-      return res.status(404).json({ message: "Receiver not found." });
-    }
-
-    // If an image is attached (as base64), upload it to Cloudinary first
-    // and store the permanent CDN URL instead of the raw base64 string
-    let imageUrl;
-    if (image) {
-      const uploadResponse = await cloudinary.uploader.upload(image);
-      imageUrl = uploadResponse.secure_url; // the permanent image URL
-    }
-
-    // Create the message document and save it to MongoDB
-    const newMessage = new Message({
+    const { status, message, error } = await sendDirectMessage(
       senderId,
       receiverId,
-      text,
-      image: imageUrl, // undefined if no image was sent
-    });
+      { text, image, replyTo, clientMessageId },
+      await getOriginSocketId(req)
+    );
+    if (error) return res.status(status).json({ message: error });
 
-    await newMessage.save();
-
-    // --- Real-time delivery via socket.io ---
-    // Check if the recipient is currently online (has an active socket connection)
-    const receiverSocketId = getReceiverSocketId(receiverId);
-    if (receiverSocketId) {
-      // Emit directly to that socket so the message appears instantly
-      io.to(receiverSocketId).emit("newMessage", newMessage);
-    }
-    // If the receiver is offline, they'll see the message next time they load the chat
-
-    res.status(201).json(newMessage); // return the saved message to the sender
+    res.status(status).json(message); // the saved message (201), or the one already sent with this key (200)
   } catch (error) {
     console.log("Error in sendMessage controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -132,39 +185,381 @@ export const sendMessage = async (req, res) => {
 };
 
 // --- GET CHAT PARTNERS ---
-// Returns only the users the logged-in user has ALREADY exchanged messages with.
+// Returns only the users the logged-in user has ALREADY exchanged messages with,
+// each with a last-message preview and unread count, most recent activity first.
 // This powers the "Chats" tab (recent conversations) in the sidebar.
 export const getChatPartners = async (req, res) => {
   try {
     const loggedInUserId = req.user._id;
 
-    // Find all messages where the logged-in user is either the sender or receiver
-    const messages = await Message.find({
-      $or: [{ senderId: loggedInUserId }, { receiverId: loggedInUserId }],
-    });
-
-    // Extract the OTHER person's ID from each message (not our own ID)
-    // Set removes duplicates so each chat partner appears only once.
-    // The final .filter() is a safety guard: if any old self-message exists in the DB,
-    // it would add the logged-in user's own ID — this removes that edge case.
-    const chatPartnerIds = [
-      ...new Set(
-        messages
-          .map((msg) =>
-            msg.senderId.toString() === loggedInUserId.toString()
-              ? msg.receiverId.toString()  // we were the sender → return their ID
-              : msg.senderId.toString()    // we were the receiver → return their ID
-          )
-          .filter((id) => id !== loggedInUserId.toString()) // never include ourselves
-      ),
-    ];
+    // One { chatId, lastMessage, unreadCount } per direct conversation, computed in
+    // MongoDB (group messages are skipped — groups are listed via GET /api/groups)
+    const summaries = await Message.getChatSummaries(loggedInUserId);
 
     // Fetch the full user objects for all chat partners
-    const chatPartners = await User.find({ _id: { $in: chatPartnerIds } }).select("-password");
+    const users = await User.find({ _id: { $in: summaries.map((s) => s.chatId) } }).select(
+      "-password"
+    );
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    // Attach each partner's summary; partners whose account has been deleted
+    // are listed as "Deleted user", so the history with them stays readable
+    const chatPartners = summaries
+      .map(({ chatId, lastMessage, unreadCount }) => ({
+        ...(usersById.get(chatId.toString())?.toObject() ?? toDeletedUser(chatId)),
+        lastMessage,
+        unreadCount,
+      }))
+      .sort((a, b) => b.lastMessage.createdAt - a.lastMessage.createdAt); // most recent first
 
     res.status(200).json(chatPartners);
   } catch (error) {
     console.error("Error in getChatPartners: ", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
-};
\ No newline at end of file
+};
+
+// --- MARK MESSAGES AS SEEN ---
+// Called by the frontend when the logged-in user opens (or is looking at) the chat
+// with user :id. Clears our unread badge for it, marks everything they sent us as
+// "seen" and tells them so.
+export const markMessagesAsSeen = async (req, res) => {
+  try {
+    const { id: senderId } = req.params; // the user whose messages we just read
+
+    if (!mongoose.isValidObjectId(senderId)) {
+      return res.status(400).json({ message: "Invalid user ID." });
+    }
+
+    // Our own unread count resets whether or not read receipts are on
+    await ReadState.markRead(req.user._id, senderId);
+
+    // Privacy: users who turned read receipts off never send "seen" updates
+    if (!req.user.readReceiptsEnabled) {
+      return res.status(200).json({ updated: 0 });
+    }
+
+    const result = await Message.advanceStatus(
+      { senderId, receiverId: req.user._id },
+      "seen"
+    );
+    emitMessageStatus(result, "seen");
+
+    const updated = result.updates.reduce((count, { messageIds }) => count + messageIds.length, 0);
+    res.status(200).json({ updated });
+  } catch (error) {
+    console.log("Error in markMessagesAsSeen controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- SEARCH MESSAGES ---
+// Full-text search over every conversation the logged-in user is part of: their
+// direct chats and the groups they're currently a member of. Newest hits first,
+// paginated like the chat history (?q=<words>&before=<messageId>&limit=<n>).
+// Each hit carries a highlighted snippet and the chat it belongs to, so the
+// sidebar can open that chat and jump to the message.
+export const searchMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (q.length < MIN_SEARCH_LENGTH || q.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({
+        message: `Search must be between ${MIN_SEARCH_LENGTH} and ${MAX_SEARCH_LENGTH} characters.`,
+      });
+    }
+
+    const { before, limit, error } = parsePagination(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    // Only groups we belong to right now — leaving a group also drops it from search
+    const myGroupIds = await Group.find({ "members.user": myId }).distinct("_id");
+
+    // $text can't be combined with a custom sort on relevance and a cursor,
+    // so hits are ordered by recency (_id) instead — same as the chat history.
+    // Deleted messages have no text left to match, but are skipped explicitly anyway.
+    const filter = {
+      $text: { $search: q },
+      $or: [
+        { senderId: myId, groupId: null },   // direct messages I sent
+        { receiverId: myId },                // direct messages I received
+        { groupId: { $in: myGroupIds } },
+      ],
+      isDeleted: { $ne: true },
+      deletedFor: { $ne: myId },
+    };
+    if (before) filter._id = { $lt: before };
+
+    // one extra to know whether there's another page
+    const hits = await Message.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .select("senderId receiverId groupId text image createdAt");
+    const hasMore = hits.length > limit;
+    const page = hits.slice(0, limit);
+
+    // The other person of each direct hit
+    const partnerIds = page
+      .filter((message) => !message.groupId)
+      .map((message) => (message.senderId.equals(myId) ? message.receiverId : message.senderId));
+    const partners = await User.find({ _id: { $in: partnerIds } }).select("-password");
+    const partnersById = new Map(partners.map((user) => [user._id.toString(), user]));
+
+    // The groups of group hits, shaped like GET /api/groups (members populated)
+    // so the client can open them straight from the results
+    const groups = await Group.find({
+      _id: { $in: page.filter((message) => message.groupId).map((message) => message.groupId) },
+    }).populate("members.user", "username profilePicture");
+    const groupsById = new Map(groups.map((group) => [group._id.toString(), group]));
+
+    const results = page
+      .map((message) => {
+        const { snippet, highlights } = buildSearchSnippet(message.text, q);
+        const base = {
+          messageId: message._id,
+          senderId: message.senderId,
+          createdAt: message.createdAt,
+          hasImage: Boolean(message.image),
+          snippet,
+          highlights,
+        };
+
+        if (message.groupId) {
+          const group = groupsById.get(message.groupId.toString());
+          return group ? { ...base, chatId: group._id, group } : null; // group deleted meanwhile
+        }
+
+        const partnerId = message.senderId.equals(myId) ? message.receiverId : message.senderId;
+        const partner = partnersById.get(partnerId.toString()) ?? toDeletedUser(partnerId);
+        return { ...base, chatId: partnerId, partner };
+      })
+      .filter(Boolean);
+
+    // The cursor is the oldest hit scanned, even if its chat was skipped above
+    const nextCursor = hasMore ? page[page.length - 1]._id : null;
+
+    res.status(200).json({ results, nextCursor });
+  } catch (error) {
+    console.log("Error in searchMessages controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- SYNC MESSAGES ---
+// Everything that arrived or changed in the user's chats since a point in time — what a
+// client missed while its socket was down. Ordered by updatedAt (ties by _id), so pages
+// chain forwards from the last message's (updatedAt, _id).
+export const syncMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const { since, after } = req.query;
+
+    const sinceDate = new Date(since);
+    if (!since || Number.isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ message: "'since' must be a date." });
+    }
+    if (after && !mongoose.isValidObjectId(after)) {
+      return res.status(400).json({ message: "Invalid 'after' cursor" });
+    }
+    const { limit } = parsePagination({ limit: req.query.limit });
+
+    // Only groups we belong to right now (same as search)
+    const myGroupIds = await Group.find({ "members.user": myId }).distinct("_id");
+
+    const filter = {
+      $or: [
+        { senderId: myId, groupId: null },   // direct messages I sent (from another device)
+        { receiverId: myId },                // direct messages I received
+        { groupId: { $in: myGroupIds } },
+      ],
+      deletedFor: { $ne: myId },
+      updatedAt: { $gte: sinceDate },
+    };
+    // later pages: after the previous page's last message (same updatedAt → higher _id)
+    if (after) {
+      filter.$and = [
+        { $or: [{ updatedAt: { $gt: sinceDate } }, { _id: { $gt: after } }] },
+      ];
+    }
+
+    // one extra to know whether there's another page
+    const found = await Message.find(filter).sort({ updatedAt: 1, _id: 1 }).limit(limit + 1);
+    const hasMore = found.length > limit;
+    const messages = found.slice(0, limit);
+    await Message.populateReplies(messages);
+
+    res.status(200).json({ messages, hasMore });
+  } catch (error) {
+    console.log("Error in syncMessages controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- EDIT MESSAGE ---
+// Lets the sender fix the text of a message shortly after sending it.
+export const editMessage = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+
+    const message = await findMessageForUser(req.params.messageId, userId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found." });
+    }
+    if (!message.senderId.equals(userId)) {
+      return res.status(403).json({ message: "You can only edit your own messages." });
+    }
+    if (message.isDeleted) {
+      return res.status(400).json({ message: "Deleted messages can't be edited." });
+    }
+    if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MS) {
+      return res.status(403).json({ message: "This message can no longer be edited." });
+    }
+
+    // An image message may lose its caption, but a text-only message needs text
+    if (!text && !message.image) {
+      return res.status(400).json({ message: "Text is required." });
+    }
+    if (text.length > 2000) {
+      return res.status(400).json({ message: "Message is too long." });
+    }
+
+    // Nothing changed — don't add an empty history entry
+    if (text === (message.text || "")) {
+      return res.status(200).json(message);
+    }
+
+    const now = new Date();
+    message.editHistory.push({ text: message.text, editedAt: now }); // keep the old version
+    message.text = text || undefined;
+    message.editedAt = now;
+    await message.save();
+    await Message.populateReplies(message);
+
+    emitToConversation(message, "messageUpdated", message, await getOriginSocketId(req));
+
+    res.status(200).json(message);
+  } catch (error) {
+    console.log("Error in editMessage controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- DELETE MESSAGE ---
+// ?scope=me       — hide the message from the logged-in user only (anyone in the chat)
+// ?scope=everyone — replace it with a tombstone for everybody (sender only)
+export const deleteMessage = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { scope = "me" } = req.query;
+
+    if (!["me", "everyone"].includes(scope)) {
+      return res.status(400).json({ message: "Scope must be 'me' or 'everyone'." });
+    }
+
+    const message = await findMessageForUser(req.params.messageId, userId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found." });
+    }
+
+    if (scope === "me") {
+      await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+      return res.status(200).json({ messageId: message._id, scope });
+    }
+
+    if (!message.senderId.equals(userId)) {
+      return res.status(403).json({ message: "You can only delete your own messages for everyone." });
+    }
+
+    // Wipe the content but keep the message, so the other side sees a tombstone
+    if (!message.isDeleted) {
+      message.text = undefined;
+      message.image = undefined;
+      message.editHistory = [];
+      message.reactions = {};
+      message.isDeleted = true;
+      message.deletedAt = new Date();
+      await message.save();
+      await Message.populateReplies(message);
+
+      emitToConversation(message, "messageUpdated", message, await getOriginSocketId(req));
+    }
+
+    res.status(200).json(message);
+  } catch (error) {
+    console.log("Error in deleteMessage controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Shared by addReaction and removeReaction: validates the request, applies
+// `buildUpdate(key, userId)` and tells everyone else in the chat (and the user's
+// other devices) about the new reactions.
+const updateReaction = async (req, res, buildUpdate) => {
+  const userId = req.user._id;
+  const { emoji } = req.params;
+
+  if (emoji.length > MAX_EMOJI_LENGTH || !EMOJI_REGEX.test(emoji)) {
+    return res.status(400).json({ message: "Reaction must be a single emoji." });
+  }
+
+  const message = await findMessageForUser(req.params.messageId, userId);
+  if (!message) {
+    return res.status(404).json({ message: "Message not found." });
+  }
+  if (message.isDeleted) {
+    return res.status(400).json({ message: "Deleted messages can't be reacted to." });
+  }
+
+  // Atomic update, so simultaneous reactions from both sides don't overwrite each other.
+  // It only matches while the message is still there and not deleted for everyone —
+  // either could have happened since we looked it up.
+  const key = `reactions.${emoji}`;
+  let updated = await Message.findOneAndUpdate(
+    { _id: message._id, isDeleted: { $ne: true } },
+    buildUpdate(key, userId),
+    { new: true }
+  );
+  if (!updated) {
+    return (await Message.exists({ _id: message._id }))
+      ? res.status(400).json({ message: "Deleted messages can't be reacted to." })
+      : res.status(404).json({ message: "Message not found." });
+  }
+
+  // Drop emojis nobody is using any more
+  if (updated.reactions.get(emoji)?.length === 0) {
+    updated = await Message.findOneAndUpdate(
+      { _id: message._id, [key]: { $size: 0 } },
+      { $unset: { [key]: "" } },
+      { new: true }
+    ) || updated; // someone re-added it in between — keep their reaction
+  }
+
+  const payload = { messageId: updated._id, reactions: updated.reactions };
+  emitToConversation(updated, "messageReaction", payload, await getOriginSocketId(req));
+
+  res.status(200).json(payload);
+};
+
+// --- ADD REACTION ---
+// Reacts to a message with an emoji. $addToSet makes repeating it a no-op.
+export const addReaction = async (req, res) => {
+  try {
+    await updateReaction(req, res, (key, userId) => ({ $addToSet: { [key]: userId } }));
+  } catch (error) {
+    console.log("Error in addReaction controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- REMOVE REACTION ---
+// Takes back the logged-in user's reaction (if they had one with this emoji).
+export const removeReaction = async (req, res) => {
+  try {
+    await updateReaction(req, res, (key, userId) => ({ $pull: { [key]: userId } }));
+  } catch (error) {
+    console.log("Error in removeReaction controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
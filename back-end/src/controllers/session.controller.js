@@ -0,0 +1,97 @@
+/**
+ * session.controller.js — Login Session Management Controller
+ *
+ * Lets a user see where they're signed in and sign devices out. Every login
+ * creates a Session document (see models/Session.js and auth.controller.js);
+ * the JWT cookie only works while its session exists, so deleting one signs
+ * that device out on its very next request. Its open sockets are
+ * disconnected right away (disconnectSession), which the client treats as
+ * being signed out.
+ *
+ * All handlers run behind protectRoute, which sets req.user and
+ * req.sessionId (the session of the request itself).
+ *
+ *  getSessions        GET    /api/auth/sessions
+ *              The user's active sessions, most recently used first, each as
+ *              { _id, userAgent, ip, createdAt, lastSeenAt, isCurrent }.
+ *
+ *  revokeSession      DELETE /api/auth/sessions/:id
+ *              Signs out one other device. The current session can't be
+ *              revoked here — that's what logout is for.
+ *
+ *  revokeOtherSessions DELETE /api/auth/sessions
+ *              "Log out all other devices" — ends every session but the
+ *              current one. Returns { message, revokedCount }.
+ */
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { disconnectSession } from "../lib/socket.js";
+
+// --- GET SESSIONS ---
+// Lists the devices the user is signed in on
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user._id }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        isCurrent: session._id.equals(req.sessionId), // "This device" in the UI
+      }))
+    );
+  } catch (error) {
+    console.log("Error in getSessions controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- REVOKE SESSION ---
+// Signs one of the user's other devices out
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+    if (req.sessionId.equals(id)) {
+      return res.status(400).json({ message: "Use log out to end the session you're using" });
+    }
+
+    // Scoped to req.user — nobody can end someone else's session
+    const session = await Session.findOneAndDelete({ _id: id, userId: req.user._id });
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    disconnectSession(session._id);
+
+    res.status(200).json({ message: "Device logged out" });
+  } catch (error) {
+    console.log("Error in revokeSession controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- REVOKE OTHER SESSIONS ---
+// "Log out all other devices" — keeps only the session making this request
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const others = { userId: req.user._id, _id: { $ne: req.sessionId } };
+    const sessionIds = await Session.find(others).distinct("_id");
+
+    await Session.deleteMany({ _id: { $in: sessionIds } });
+    sessionIds.forEach((sessionId) => disconnectSession(sessionId));
+
+    res.status(200).json({
+      message:
+        sessionIds.length > 0 ? "Logged out of all other devices" : "No other devices were signed in",
+      revokedCount: sessionIds.length,
+    });
+  } catch (error) {
+    console.log("Error in revokeOtherSessions controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
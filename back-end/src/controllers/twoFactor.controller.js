@@ -0,0 +1,130 @@
+/**
+ * twoFactor.controller.js — Two-Factor Authentication (TOTP) Controller
+ *
+ * Turns authenticator-app codes on and off for the logged-in user. The login
+ * side (asking for the code after the password) lives in auth.controller.js
+ * (login → verifyLoginCode).
+ *
+ * Enrolling is two steps, so 2FA is never switched on with a secret the
+ * user's app doesn't actually have:
+ *
+ *  setupTwoFactor   POST /api/auth/2fa/setup   { password }
+ *              Generates a secret and stores it as pending. Returns
+ *              { secret, otpauthURI } — the client shows the URI as a QR code
+ *              and the secret for typing in by hand.
+ *
+ *  enableTwoFactor  POST /api/auth/2fa/enable  { code }
+ *              Confirms the pending secret with a first code from the app,
+ *              switches 2FA on and returns { message, backupCodes }: ten
+ *              one-time codes for when the phone is lost. They're shown this
+ *              once — only their bcrypt hashes are stored.
+ *
+ *  disableTwoFactor POST /api/auth/2fa/disable { password }
+ *              Switches 2FA off and forgets the secret and backup codes.
+ *
+ * Changing the setting asks for the password again, so someone at an
+ * unlocked computer can't quietly take over (or remove) the second factor.
+ * All handlers run behind protectRoute.
+ */
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { buildOtpauthURI, generateTotpSecret, verifyTotp } from "../lib/totp.js";
+
+const BACKUP_CODE_COUNT = 10;
+
+// "3f9a1-c07e2" — 40 random bits, dashed for readability (the dash is optional when typed)
+const generateBackupCode = () => crypto.randomBytes(5).toString("hex").replace(/^(.{5})/, "$1-");
+
+// --- SETUP ---
+// Hands out a new secret for the authenticator app (not active until confirmed)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already on" });
+    }
+    if (typeof password !== "string" || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ message: "Incorrect password" });
+    }
+
+    // Starting over replaces any earlier, unconfirmed secret
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({ secret, otpauthURI: buildOtpauthURI(secret, user.email) });
+  } catch (error) {
+    console.log("Error in setupTwoFactor controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- ENABLE ---
+// Confirms the pending secret with a first code and switches 2FA on
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already on" });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: "Start the setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, String(code ?? "").trim());
+    if (step === null) {
+      return res
+        .status(400)
+        .json({ message: "That code didn't match. Check that your device's clock is right." });
+    }
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step; // this code is spent
+    // stored without the dash — redeemSecondFactor strips it from what's typed
+    user.twoFactorBackupCodes = await Promise.all(
+      backupCodes.map((backupCode) => bcrypt.hash(backupCode.replace("-", ""), 10))
+    );
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication is on", backupCodes });
+  } catch (error) {
+    console.log("Error in enableTwoFactor controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// --- DISABLE ---
+// Switches 2FA off after checking the password
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already off" });
+    }
+    if (typeof password !== "string" || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ message: "Incorrect password" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication is off" });
+  } catch (error) {
+    console.log("Error in disableTwoFactor controller:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -6,16 +6,43 @@
  *
  * Exported Functions:
  *  sendWelcomeEmail(email, name, clientURL)
- *    — Sends a branded HTML welcome email to a newly registered user.
+ *    — Sends a branded HTML welcome email once a new user has verified
+ *      their email address.
  *    — Uses the createWelcomeEmailTemplate() from email.Templates.js.
  *    — Failures are logged but NOT re-thrown, so a broken email service
  *      will never cause a signup to fail.
  *
+ *  sendPasswordResetEmail(email, name, resetURL, expiresInMinutes)
+ *    — Sends the one-time password reset link.
+ *    — Uses the createPasswordResetEmailTemplate() from email.Templates.js.
+ *    — Failures are logged but NOT re-thrown: forgot-password answers the
+ *      same way whether or not an email went out.
+ *
+ *  sendVerificationEmail(email, name, verifyURL, expiresInHours)
+ *    — Sends the "confirm your email" link.
+ *    — Uses the createVerificationEmailTemplate() from email.Templates.js.
+ *    — Failures are logged but NOT re-thrown; the user can ask for another
+ *      one from the app.
+ *
+ *  sendLoginLockoutEmail(email, name, lockoutMinutes, ip, resetURL)
+ *    — Tells the owner that logins to their account were locked after too
+ *      many wrong passwords.
+ *    — Uses the createLoginLockoutEmailTemplate() from email.Templates.js.
+ *    — Failures are logged but NOT re-thrown; the lockout applies regardless.
+ *
  * Called From:
- *  auth.controller.js → signup() → after the user is saved to the database.
+ *  auth.controller.js → signup() / resendVerification() → verification email.
+ *  auth.controller.js → verifyEmail() → welcome email, once verified.
+ *  auth.controller.js → forgotPassword() → when the email belongs to an account.
+ *  auth.controller.js → login() / verifyLoginCode() → when a failure locks the account.
  */
 import { resendClient, sender } from "../lib/resend.js";
-import { createWelcomeEmailTemplate } from "../emails/email.Templates.js";
+import {
+  createLoginLockoutEmailTemplate,
+  createPasswordResetEmailTemplate,
+  createVerificationEmailTemplate,
+  createWelcomeEmailTemplate,
+} from "../emails/email.Templates.js";
 
 export const sendWelcomeEmail = async (email, name, clientURL) => {
   const { data, error } = await resendClient.emails.send({
@@ -32,3 +59,51 @@ export const sendWelcomeEmail = async (email, name, clientURL) => {
 
   console.log("Welcome Email sent successfully", data);
 };
+
+export const sendPasswordResetEmail = async (email, name, resetURL, expiresInMinutes) => {
+  const { data, error } = await resendClient.emails.send({
+    from: `${sender.name} <${sender.email}>`,
+    to: email,
+    subject: "Reset your Whisprr password",
+    html: createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes),
+  });
+
+  if (error) {
+    console.error("Error sending password reset email:", error);
+    return; // Don't throw - the response never reveals whether this worked
+  }
+
+  console.log("Password reset email sent successfully", data);
+};
+
+export const sendVerificationEmail = async (email, name, verifyURL, expiresInHours) => {
+  const { data, error } = await resendClient.emails.send({
+    from: `${sender.name} <${sender.email}>`,
+    to: email,
+    subject: "Confirm your email for Whisprr",
+    html: createVerificationEmailTemplate(name, verifyURL, expiresInHours),
+  });
+
+  if (error) {
+    console.error("Error sending verification email:", error);
+    return; // Don't throw - the user can resend from the app
+  }
+
+  console.log("Verification email sent successfully", data);
+};
+
+export const sendLoginLockoutEmail = async (email, name, lockoutMinutes, ip, resetURL) => {
+  const { data, error } = await resendClient.emails.send({
+    from: `${sender.name} <${sender.email}>`,
+    to: email,
+    subject: "Too many failed logins to your Whisprr account",
+    html: createLoginLockoutEmailTemplate(name, lockoutMinutes, ip, resetURL),
+  });
+
+  if (error) {
+    console.error("Error sending login lockout email:", error);
+    return; // Don't throw - the lockout applies either way
+  }
+
+  console.log("Login lockout email sent successfully", data);
+};
@@ -12,6 +12,23 @@
  *      guide, a CTA button linking to clientURL, and a footer with legal links.
  *    — Uses template literals so `name` and `clientURL` are injected directly.
  *
+ *  createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes)
+ *    — Returns an inline-styled HTML string for the "reset your password" email.
+ *    — Includes: the same branded header, a CTA button linking to resetURL,
+ *      the link's lifetime, and a note for users who didn't ask for a reset.
+ *
+ *  createVerificationEmailTemplate(name, verifyURL, expiresInHours)
+ *    — Returns an inline-styled HTML string for the "confirm your email" email
+ *      sent at signup (and again from the in-app "Resend" button).
+ *    — Includes: the branded header, a CTA button linking to verifyURL and the
+ *      link's lifetime.
+ *
+ *  createLoginLockoutEmailTemplate(name, lockoutMinutes, ip, resetURL)
+ *    — Returns an inline-styled HTML string for the "we locked your login"
+ *      email sent after too many wrong passwords.
+ *    — Includes: the branded header, how long the lockout lasts, the IP the
+ *      last attempt came from, and a CTA button linking to resetURL.
+ *
  * Styling: All CSS is inline (required for email client compatibility).
  * Colours: #36D1DC (cyan) / #5B86E5 (indigo) — matching the Whisprr brand.
  */
@@ -65,3 +82,117 @@ export function createWelcomeEmailTemplate(name, clientURL) {
   </html>
   `;
 }
+
+export function createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reset your Whisprr password</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Reset your password</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${name},</strong></p>
+      <p>We received a request to reset the password for your Whisprr account. Click the button below to choose a new one.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${resetURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Reset Password</a>
+      </div>
+
+      <div style="background-color: #f8f9fa; padding: 20px 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #36D1DC;">
+        <p style="margin: 0;">This link expires in ${expiresInMinutes} minutes and can only be used once. Resetting your password signs you out on all your devices.</p>
+      </div>
+
+      <p>If you didn't ask to reset your password, you can safely ignore this email — your password won't change.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The Whisprr Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 Whisprr. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+export function createVerificationEmailTemplate(name, verifyURL, expiresInHours) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Confirm your email for Whisprr</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Confirm your email</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${name},</strong></p>
+      <p>Thanks for signing up for Whisprr! Please confirm that this is your email address so you can start sending messages.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${verifyURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Verify Email</a>
+      </div>
+
+      <div style="background-color: #f8f9fa; padding: 20px 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #36D1DC;">
+        <p style="margin: 0;">This link expires in ${expiresInHours} hours. You can request a new one from the banner in the app.</p>
+      </div>
+
+      <p>If you didn't create a Whisprr account, you can safely ignore this email.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The Whisprr Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 Whisprr. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+export function createLoginLockoutEmailTemplate(name, lockoutMinutes, ip, resetURL) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Too many failed logins to your Whisprr account</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Login temporarily locked</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${name},</strong></p>
+      <p>Someone entered the wrong password for your Whisprr account too many times, so we've paused logins to it for ${lockoutMinutes} minutes. You're still signed in on your devices.</p>
+
+      <div style="background-color: #f8f9fa; padding: 20px 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #36D1DC;">
+        <p style="margin: 0;">The last attempt came from IP address <strong>${ip}</strong>.</p>
+      </div>
+
+      <p>If that was you, just wait and try again. If it wasn't, someone may be trying to guess your password — we recommend choosing a new one.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${resetURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Reset Password</a>
+      </div>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The Whisprr Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 Whisprr. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
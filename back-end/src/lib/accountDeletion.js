@@ -0,0 +1,137 @@
+/**
+ * accountDeletion.js — Deleting Accounts For Good
+ *
+ * DELETE /api/auth/account doesn't delete anything straight away: it sets the
+ * user's `deletionScheduledAt` to the end of a grace period
+ * (ACCOUNT_DELETION_GRACE_DAYS, default 7), during which the user can still
+ * log in and cancel. Once that time has passed, `deleteAccount` does the work:
+ *
+ *  1. Deletes the User document — all personal data (email, password hash,
+ *     2FA secrets, bio) goes with it.
+ *  2. Ends every login session and disconnects the user's sockets.
+ *  3. Takes them out of every group (promoting a new admin where needed;
+ *     groups left empty are deleted).
+ *  4. Handles their messages according to DELETED_ACCOUNT_MESSAGES:
+ *      "anonymize" (default) — messages they sent stay in the other people's
+ *                  chats, attributed to a "Deleted user", but lose their
+ *                  images (image-only messages become "deleted" tombstones).
+ *      "delete"    — messages they sent are removed.
+ *     Either way their reactions, read positions and "delete for me" marks go.
+ *  5. Deletes their Cloudinary uploads: profile picture and chat images.
+ *  6. Tells every connected client (`userDeleted`) so contact lists update.
+ *
+ * `startAccountDeletionSweep()` (called by server.js) runs `deleteDueAccounts`
+ * at startup and then every hour, so accounts are deleted within an hour of
+ * their grace period ending. With several instances running, each one sweeps;
+ * deleting the User document is what claims an account, so it's only ever
+ * processed once.
+ *
+ * Exports:
+ *  ACCOUNT_DELETION_GRACE_MS — The grace period in ms (0 = delete at once).
+ *  deleteAccount(userId)     — Deletes one account whose deletion is due.
+ *                              Resolves to false if it isn't due (or already gone).
+ *  startAccountDeletionSweep() — Starts the hourly sweep.
+ */
+import { ENV } from "./env.js";
+import { deleteImages } from "./cloudinary.js";
+import { disconnectUser, emitUserDeleted, getGroupRoom, io } from "./socket.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Group from "../models/Group.js";
+import Message from "../models/message.js";
+import ReadState from "../models/ReadState.js";
+
+export const ACCOUNT_DELETION_GRACE_MS =
+  Number(ENV.ACCOUNT_DELETION_GRACE_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000; // look for due accounts once an hour
+
+// Leaves every group; the remaining members see the new member list live
+const leaveAllGroups = async (userId) => {
+  const groups = await Group.find({ "members.user": userId });
+  for (const group of groups) {
+    const wasDeleted = await group.removeMember(userId);
+    if (!wasDeleted) {
+      await group.populate("members.user", "username profilePicture");
+      io.to(getGroupRoom(group._id)).emit("groupUpdated", group);
+    }
+  }
+  return groups.map((group) => group._id);
+};
+
+// Deletes or anonymizes the messages the user sent, per DELETED_ACCOUNT_MESSAGES
+const handleSentMessages = async (userId) => {
+  if (ENV.DELETED_ACCOUNT_MESSAGES === "delete") {
+    await Message.deleteMany({ senderId: userId });
+    return;
+  }
+
+  const withImage = { senderId: userId, image: { $exists: true, $ne: null } };
+  // Image-only messages have nothing left to show — leave a tombstone like "delete for everyone"
+  await Message.updateMany(
+    { ...withImage, $or: [{ text: { $exists: false } }, { text: "" }] },
+    {
+      $set: { isDeleted: true, deletedAt: new Date(), editHistory: [], reactions: {} },
+      $unset: { text: 1, image: 1 },
+    }
+  );
+  await Message.updateMany(withImage, { $unset: { image: 1 } });
+};
+
+// --- DELETE ACCOUNT ---
+export async function deleteAccount(userId) {
+  // Deleting the user first claims the job — a concurrent sweep finds nothing
+  const user = await User.findOneAndDelete({
+    _id: userId,
+    deletionScheduledAt: { $lte: new Date() },
+  });
+  if (!user) return false;
+
+  await Session.deleteMany({ userId });
+  disconnectUser(userId);
+
+  // Images have to be collected before the messages holding their URLs change
+  const sentImages = await Message.find({ senderId: userId, image: { $exists: true, $ne: null } })
+    .select("image")
+    .lean();
+  const imageUrls = [user.profilePicture, ...sentImages.map((message) => message.image)];
+
+  const groupIds = await leaveAllGroups(userId);
+  await Message.removeReactionsBy(userId, {
+    $or: [{ senderId: userId }, { receiverId: userId }, { groupId: { $in: groupIds } }],
+  });
+  await handleSentMessages(userId);
+  await Message.updateMany({ deletedFor: userId }, { $pull: { deletedFor: userId } });
+  await ReadState.deleteMany({ userId });
+
+  // A Cloudinary outage shouldn't undo the deletion — the account is already gone
+  try {
+    await deleteImages(imageUrls);
+  } catch (error) {
+    console.log(`Error deleting images of deleted account ${userId}:`, error.message);
+  }
+
+  emitUserDeleted(userId);
+  console.log(`Deleted account ${userId}`);
+  return true;
+}
+
+// Deletes every account whose grace period is over
+async function deleteDueAccounts() {
+  const due = await User.find({ deletionScheduledAt: { $lte: new Date() } }).select("_id");
+  for (const { _id } of due) {
+    try {
+      await deleteAccount(_id);
+    } catch (error) {
+      console.log(`Error deleting account ${_id}:`, error.message);
+    }
+  }
+}
+
+export function startAccountDeletionSweep() {
+  const sweep = () =>
+    deleteDueAccounts().catch((error) => console.log("Error in account deletion sweep:", error.message));
+
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref(); // never keeps the process alive on its own
+}
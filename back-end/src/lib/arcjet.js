@@ -1,20 +1,28 @@
 /**
  * arcjet.js — Arcjet Security Client Configuration
  *
- * Creates and exports a pre-configured Arcjet security client (`aj`) used by
- * the arcjet.middleware.js to protect all API routes.
+ * Arcjet is one of the rate limiting providers (RATE_LIMITER=arcjet, the
+ * default when ARCJET_KEY is set). middleware/protection.middleware.js asks
+ * it for a decision on every request, and falls back to the built-in limiter
+ * in lib/rateLimit.js whenever Arcjet can't give one.
  *
  * Active Rules:
  *  1. Shield (LIVE)       — Blocks common web attack vectors: SQL injection,
  *                           XSS, path traversal, etc.
  *  2. detectBot (LIVE)    — Blocks automated bots. Search engine crawlers
  *                           (Google, Bing) are explicitly allowed.
- *  3. slidingWindow (LIVE)— Rate limiting: max 100 requests per 60 seconds
- *                           per IP (sliding window algorithm).
+ *  3. slidingWindow (LIVE)— Rate limiting, added per policy by `arcjetFor()`:
+ *                           the same limits as the built-in limiter
+ *                           (RATE_LIMIT_POLICIES), counted per IP or per user.
  *
  * To test without blocking traffic, switch mode from "LIVE" to "DRY_RUN"
  * in each rule — requests will be logged but not rejected.
  *
+ * Exports:
+ *  aj (default)         — The client with the shield and bot rules only.
+ *  arcjetFor(policyName) — The client plus that policy's rate limit (cached).
+ *                          Per-user policies expect `aj.protect(req, { userId })`.
+ *
  * Environment Variables Required:
  *  ARCJET_KEY — your Arcjet project API key.
  */
@@ -22,6 +30,7 @@
 import arcjet, { shield, detectBot, slidingWindow } from "@arcjet/node";
 
 import { ENV } from "./env.js";
+import { RATE_LIMIT_POLICIES } from "./rateLimit.js";
 
 const aj = arcjet({
 
@@ -41,14 +50,22 @@ const aj = arcjet({
         //"CATEGORY:PREVIEW", // Link previews e.g. Slack, Discord
       ],
     }),
-    // Create a token bucket rate limit. Other algorithms are supported.
-
-    slidingWindow({
-      mode: "LIVE",//Blocks requests. Use "DRY_RUN" to log only
-      max: 100, // Maximum number of requests per interval
-      interval: 60, // Refill every 10 seconds
-    }),
   ],
 });
 
-export default aj;
\ No newline at end of file
+const clientsByPolicy = {};
+
+export const arcjetFor = (policyName) => {
+  const { max, windowSeconds, by } = RATE_LIMIT_POLICIES[policyName];
+  clientsByPolicy[policyName] ??= aj.withRule(
+    slidingWindow({
+      mode: "LIVE", //Blocks requests. Use "DRY_RUN" to log only
+      max, // Maximum number of requests per interval
+      interval: windowSeconds,
+      ...(by === "user" && { characteristics: ["userId"] }),
+    })
+  );
+  return clientsByPolicy[policyName];
+};
+
+export default aj;
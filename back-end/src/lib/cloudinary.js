@@ -16,6 +16,10 @@
  *  const uploadResponse = await cloudinary.uploader.upload(base64String);
  *  const imageUrl = uploadResponse.secure_url;
  *
+ * Cleaning up:
+ *  deleteImages(urls) deletes uploads by the CDN URLs stored in MongoDB (used
+ *  when an account is deleted). URLs that aren't Cloudinary uploads are skipped.
+ *
  * Environment Variables Required:
  *  CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET
  */
@@ -33,5 +37,21 @@ if (ENV.CLOUDINARY_CLOUD_NAME && ENV.CLOUDINARY_API_KEY && ENV.CLOUDINARY_API_SE
   });
 }
 
+// "https://res.cloudinary.com/<cloud>/image/upload/v1712345678/abc123.jpg" → "abc123"
+// Returns null for anything else (e.g. an empty profile picture)
+const toPublicId = (url) =>
+  url?.match(/^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:v\d+\/)?(.+)\.\w+$/)?.[1] ??
+  null;
+
+const DELETE_BATCH_SIZE = 100; // the most the Admin API deletes per call
+
+// Deletes the uploaded images behind these URLs
+export const deleteImages = async (urls) => {
+  const publicIds = [...new Set(urls.map(toPublicId).filter(Boolean))];
+  for (let i = 0; i < publicIds.length; i += DELETE_BATCH_SIZE) {
+    await cloudinary.api.delete_resources(publicIds.slice(i, i + DELETE_BATCH_SIZE));
+  }
+};
+
 // Export the configured client — controllers import this to upload images
 export default cloudinary;
\ No newline at end of file
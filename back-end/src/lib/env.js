@@ -20,6 +20,36 @@
  *  CLOUDINARY_API_SECRET   — Cloudinary API secret.
  *  ARCJET_KEY              — Arcjet security SDK API key.
  *  ARCJET_ENV              — Arcjet environment ("development" / "production").
+ *  MESSAGE_EDIT_WINDOW_MINUTES — How long after sending a message its sender can
+ *                            still edit it (default 15).
+ *  SOCKET_ADAPTER          — "memory" (default) or "redis". Use "redis" when running
+ *                            more than one back-end instance: socket.io broadcasts and
+ *                            online presence are then shared through Redis.
+ *  REDIS_URL               — Redis connection string for SOCKET_ADAPTER=redis
+ *                            (default redis://localhost:6379).
+ *  UNVERIFIED_ACCOUNT_POLICY — What accounts that haven't verified their email may do:
+ *                            "read-only" (default) — sign in and read, but not send
+ *                            messages, create groups or otherwise write; "allow" — no
+ *                            restrictions.
+ *  LOGIN_LOCKOUT_THRESHOLD — Failed logins for one email address that lock it
+ *                            (default 10). See lib/loginThrottle.js.
+ *  LOGIN_LOCKOUT_MINUTES   — How long such a lockout lasts (default 15).
+ *  RATE_LIMITER            — Who enforces rate limits and blocks bots: "memory" (built in,
+ *                            per instance), "redis" (built in, shared through REDIS_URL)
+ *                            or "arcjet" (falls back to "memory" if Arcjet errors out).
+ *                            Default: "arcjet" when ARCJET_KEY is set, otherwise "memory".
+ *  RATE_LIMIT_DEFAULT, RATE_LIMIT_SIGNUP, RATE_LIMIT_LOGIN, RATE_LIMIT_FORGOT_PASSWORD,
+ *  RATE_LIMIT_SEND_MESSAGE — "<max>/<seconds>" overrides for the rate limit policies
+ *                            (see lib/rateLimit.js for the defaults).
+ *  METRICS_TOKEN           — Enables GET /api/metrics (socket event counters) for
+ *                            monitoring, which must send it as a Bearer token.
+ *                            Unset: the endpoint doesn't exist.
+ *  ACCOUNT_DELETION_GRACE_DAYS — How long a deleted account can still be restored
+ *                            before it's really deleted (default 7; 0 = at once).
+ *  DELETED_ACCOUNT_MESSAGES — What happens to a deleted account's messages:
+ *                            "anonymize" (default) — they stay in other people's
+ *                            chats as "Deleted user", minus their images; "delete" —
+ *                            they're removed.
  */
 import "dotenv/config";
 
@@ -37,4 +67,19 @@ export const ENV = {
   CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
   ARCJET_KEY: process.env.ARCJET_KEY,
   ARCJET_ENV: process.env.ARCJET_ENV,
+  MESSAGE_EDIT_WINDOW_MINUTES: process.env.MESSAGE_EDIT_WINDOW_MINUTES,
+  SOCKET_ADAPTER: process.env.SOCKET_ADAPTER,
+  REDIS_URL: process.env.REDIS_URL,
+  UNVERIFIED_ACCOUNT_POLICY: process.env.UNVERIFIED_ACCOUNT_POLICY,
+  LOGIN_LOCKOUT_THRESHOLD: process.env.LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES: process.env.LOGIN_LOCKOUT_MINUTES,
+  RATE_LIMITER: process.env.RATE_LIMITER || (process.env.ARCJET_KEY ? "arcjet" : "memory"),
+  RATE_LIMIT_DEFAULT: process.env.RATE_LIMIT_DEFAULT,
+  RATE_LIMIT_SIGNUP: process.env.RATE_LIMIT_SIGNUP,
+  RATE_LIMIT_LOGIN: process.env.RATE_LIMIT_LOGIN,
+  RATE_LIMIT_FORGOT_PASSWORD: process.env.RATE_LIMIT_FORGOT_PASSWORD,
+  RATE_LIMIT_SEND_MESSAGE: process.env.RATE_LIMIT_SEND_MESSAGE,
+  METRICS_TOKEN: process.env.METRICS_TOKEN,
+  ACCOUNT_DELETION_GRACE_DAYS: process.env.ACCOUNT_DELETION_GRACE_DAYS,
+  DELETED_ACCOUNT_MESSAGES: process.env.DELETED_ACCOUNT_MESSAGES,
 };
\ No newline at end of file
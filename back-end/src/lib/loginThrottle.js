@@ -0,0 +1,129 @@
+/**
+ * loginThrottle.js — Brute-Force Protection For Logins
+ *
+ * Arcjet's rate limit counts requests per IP and lets everything through when
+ * Arcjet is unreachable (or not configured), so it can't stop someone from
+ * guessing one account's password slowly, or from many IPs. This module
+ * counts failed logins itself, in MongoDB (models/LoginAttempt.js), for two
+ * keys at once:
+ *
+ *  the email address — LOGIN_LOCKOUT_THRESHOLD failures (default 10) lock it
+ *                      for LOGIN_LOCKOUT_MINUTES (default 15), wherever the
+ *                      attempts come from.
+ *  the client IP     — IP_LOCKOUT_THRESHOLD failures lock the IP out of every
+ *                      account for the same time. Higher, because one IP can
+ *                      be a whole office behind NAT.
+ *
+ * Before a key is locked, each failure past its free attempts makes the next
+ * attempt wait twice as long as the one before (1s, 2s, 4s… up to
+ * MAX_BACKOFF_MS). Failures are forgotten FAILURE_WINDOW_MS after the last
+ * one; a lockout starts the count over once it ends.
+ *
+ * Email addresses are counted whether or not an account exists for them, and
+ * the lockout response is the same either way — it can't be used to find out
+ * who has an account. Only real accounts get the lockout email, of course.
+ *
+ * Exports:
+ *  getLoginRetryAfter(email, ip)  → seconds until a login may be tried (0 = now)
+ *  recordLoginFailure(email, ip)  → true if this failure just locked the account
+ *  clearLoginFailures(email)      → forgets the account's failures (after a
+ *                                   successful login). The IP's count stays, so
+ *                                   logging in to your own account doesn't reset it.
+ *  LOGIN_LOCKOUT_MINUTES
+ */
+import { ENV } from "./env.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+
+export const LOGIN_LOCKOUT_MINUTES = Number(ENV.LOGIN_LOCKOUT_MINUTES || 15);
+const LOCKOUT_MS = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // failures older than an hour don't count
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const IP_LOCKOUT_THRESHOLD = 50;
+
+// freeAttempts: failures before the backoff starts; lockAfter: failures that lock the key
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: Number(ENV.LOGIN_LOCKOUT_THRESHOLD || 10) },
+  ip: { freeAttempts: 10, lockAfter: IP_LOCKOUT_THRESHOLD },
+};
+
+const accountKey = (email) => `account:${email.trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// --- CHECK ---
+export async function getLoginRetryAfter(email, ip) {
+  const records = await LoginAttempt.find({ key: { $in: [accountKey(email), ipKey(ip)] } })
+    .select("nextAttemptAt lockedUntil")
+    .lean();
+
+  const blockedUntil = Math.max(
+    0,
+    ...records.flatMap((record) => [
+      record.nextAttemptAt?.getTime() ?? 0,
+      record.lockedUntil?.getTime() ?? 0,
+    ])
+  );
+  return Math.max(0, Math.ceil((blockedUntil - Date.now()) / 1000));
+}
+
+// Counts one failure against a key and applies its backoff or lockout.
+// Resolves to true if this failure locked the key.
+async function countFailure(key, { freeAttempts, lockAfter }) {
+  const now = new Date();
+
+  // Atomic, so parallel guesses can't slip past the count. A record whose
+  // window has run out starts again from 1.
+  const { failures } = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          failures: {
+            $cond: [
+              { $gt: ["$expiresAt", now] },
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              1,
+            ],
+          },
+          lastFailureAt: now,
+          expiresAt: { $max: ["$expiresAt", new Date(now.getTime() + FAILURE_WINDOW_MS)] },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+
+  if (failures >= lockAfter) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    // Only the request that resets the count locks (and reports it) — not its parallel twins
+    const { modifiedCount } = await LoginAttempt.updateOne(
+      { key, failures: { $gte: lockAfter } },
+      {
+        failures: 0,
+        lockedUntil,
+        $unset: { nextAttemptAt: 1 },
+        expiresAt: new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS),
+      }
+    );
+    return modifiedCount === 1;
+  }
+
+  if (failures > freeAttempts) {
+    const backoffMs = Math.min(2 ** (failures - freeAttempts - 1) * 1000, MAX_BACKOFF_MS);
+    await LoginAttempt.updateOne({ key }, { nextAttemptAt: new Date(now.getTime() + backoffMs) });
+  }
+  return false;
+}
+
+// --- RECORD FAILURE ---
+export async function recordLoginFailure(email, ip) {
+  const [accountLocked] = await Promise.all([
+    countFailure(accountKey(email), POLICIES.account),
+    countFailure(ipKey(ip), POLICIES.ip),
+  ]);
+  return accountLocked;
+}
+
+// --- CLEAR ---
+export async function clearLoginFailures(email) {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+}
@@ -0,0 +1,208 @@
+/**
+ * messageSending.js — Sending Direct & Group Messages
+ *
+ * A message can be sent two ways, which share everything in this module:
+ *
+ *  HTTP   — POST /api/messages/send/:id and POST /api/groups/:id/messages
+ *           (message.controller.js / group.controller.js).
+ *  Socket — the `message:send` event with an acknowledgement callback
+ *           (see handleMessageEvents in lib/socket.js). This is what the client
+ *           uses while it's connected.
+ *
+ * Both take the same payload: { text?, image? (base64), replyTo?, clientMessageId? }.
+ * They validate it (text or image required, a reply must quote a message from
+ * the same conversation), upload the image to Cloudinary, save the Message and
+ * deliver it in real time, exactly like the HTTP controllers always did.
+ *
+ * Idempotency (clientMessageId):
+ *  The client generates a random key for every message it sends and keeps it
+ *  across retries. The key is stored on the message (unique per sender), so a
+ *  retry of a message that did arrive — the response was lost, the socket
+ *  dropped before the ack, the user hit "retry" — returns the message saved the
+ *  first time instead of creating a second one, and isn't delivered again. The
+ *  key also comes back on the saved message, which is how the client matches it
+ *  to its optimistic copy.
+ *
+ * Results:
+ *  { status: 201, message }                  — sent.
+ *  { status: 200, message, duplicate: true } — already sent with this key.
+ *  { status: 400 | 404, error }              — refused; `error` says why (e.g. text
+ *                                              over 2000 characters).
+ *  Unexpected errors (database, Cloudinary) are thrown.
+ *
+ * Exports:
+ *  sendDirectMessage(senderId, receiverId, payload, originSocketId?)
+ *  sendGroupMessage(senderId, groupId, payload, originSocketId?)
+ *    `originSocketId` is the sending tab's socket, which already shows the
+ *    message and so isn't sent a copy.
+ *  isExistingUser(userId) — whether a direct message to userId can be sent
+ *    (also checked before relaying typing notices, in lib/socket.js).
+ */
+import mongoose from "mongoose";
+import cloudinary, { deleteImages } from "./cloudinary.js";
+import {
+  emitMessageStatus,
+  emitToConversation,
+  emitToUser,
+  getUserRoom,
+  io,
+} from "./socket.js";
+import Group from "../models/Group.js";
+import Message from "../models/message.js";
+import User from "../models/User.js";
+
+// Random IDs from the client (crypto.randomUUID() in practice)
+const CLIENT_MESSAGE_ID_REGEX = /^[\w-]{8,64}$/;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const MAX_TEXT_LENGTH = 2000; // the Message model's maxlength (after trimming)
+
+// What's wrong with the payload itself, if anything. Checked before the image is
+// uploaded, so a message the model would refuse never leaves an orphaned upload.
+const checkPayload = ({ text, image, clientMessageId }) => {
+  if (text != null && typeof text !== "string") return "Text must be a string.";
+  if (image != null && typeof image !== "string") return "Invalid image.";
+  if (!text && !image) return "Text or image is required.";
+  if (text && text.trim().length > MAX_TEXT_LENGTH) {
+    return `Message is too long (max ${MAX_TEXT_LENGTH} characters).`;
+  }
+  if (clientMessageId !== undefined && !CLIENT_MESSAGE_ID_REGEX.test(clientMessageId)) {
+    return "Invalid clientMessageId.";
+  }
+  return null;
+};
+
+// Whether `userId` is an account that direct messages (and typing notices) can go to
+export const isExistingUser = async (userId) =>
+  mongoose.isValidObjectId(userId) && Boolean(await User.exists({ _id: userId }));
+
+// The message this sender already sent with this key, if any
+const findAlreadySent = async (senderId, clientMessageId) => {
+  if (!clientMessageId) return null;
+  const message = await Message.findOne({ senderId, clientMessageId });
+  return message && Message.populateReplies(message);
+};
+
+// Uploads the image (if any) and saves the message. If a retry with the same
+// key got there first, the upload is thrown away and that message returned.
+const saveMessage = async (fields, image) => {
+  // If an image is attached (as base64), upload it to Cloudinary first
+  // and store the permanent CDN URL instead of the raw base64 string
+  let imageUrl;
+  if (image) {
+    const uploadResponse = await cloudinary.uploader.upload(image);
+    imageUrl = uploadResponse.secure_url;
+  }
+
+  const newMessage = new Message({ ...fields, image: imageUrl });
+  try {
+    await newMessage.save();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR || !fields.clientMessageId) throw error;
+    if (imageUrl) await deleteImages([imageUrl]);
+    return { message: await findAlreadySent(fields.senderId, fields.clientMessageId), duplicate: true };
+  }
+
+  await Message.populateReplies(newMessage); // send the quoted message along as a snapshot
+  return { message: newMessage, duplicate: false };
+};
+
+// --- DIRECT MESSAGE ---
+export async function sendDirectMessage(senderId, receiverId, payload, originSocketId) {
+  const { text, image, replyTo, clientMessageId } = payload;
+
+  const problem = checkPayload(payload);
+  if (problem) return { status: 400, error: problem };
+
+  const alreadySent = await findAlreadySent(senderId, clientMessageId);
+  if (alreadySent) return { status: 200, message: alreadySent, duplicate: true };
+
+  // Prevent users from messaging themselves
+  if (senderId.equals(receiverId)) {
+    return { status: 400, error: "Cannot send messages to yourself." };
+  }
+
+  // Make sure the recipient account actually exists
+  if (!(await isExistingUser(receiverId))) return { status: 404, error: "Receiver not found." };
+
+  // A reply can only quote a message from this same conversation
+  if (replyTo) {
+    const isInConversation =
+      mongoose.isValidObjectId(replyTo) &&
+      (await Message.exists({
+        _id: replyTo,
+        $or: [
+          { senderId, receiverId },
+          { senderId: receiverId, receiverId: senderId },
+        ],
+      }));
+    if (!isInConversation) return { status: 400, error: "You can only reply to a message in this chat." };
+  }
+
+  const { message, duplicate } = await saveMessage(
+    { senderId, receiverId, text, replyTo: replyTo || undefined, clientMessageId },
+    image
+  );
+  if (duplicate) return { status: 200, message, duplicate };
+
+  // --- Real-time delivery via socket.io ---
+  // Emit to all of the recipient's tabs/devices (on any instance) so the message
+  // appears instantly. Clients acknowledge receipt — that's when the message
+  // counts as "delivered". The callback runs once every device has acked, or at
+  // the timeout with the acks that did arrive; one ack from any device is enough.
+  // If the receiver is offline their room is empty and nobody acks — they'll see
+  // the message next time they load the chat.
+  io.to(getUserRoom(receiverId))
+    .timeout(10000)
+    .emit("newMessage", message, async (err, acks) => {
+      if (!acks?.length) return; // nobody acked in time — it stays "sent" until they reconnect
+      try {
+        const result = await Message.advanceStatus({ _id: message._id }, "delivered");
+        emitMessageStatus(result, "delivered");
+      } catch (error) {
+        console.log("Error marking message as delivered:", error.message);
+      }
+    });
+
+  // Show it on the sender's other tabs/devices too (not the one that sent it)
+  emitToUser(senderId, "newMessage", message, originSocketId);
+
+  return { status: 201, message };
+}
+
+// --- GROUP MESSAGE ---
+export async function sendGroupMessage(senderId, groupId, payload, originSocketId) {
+  const { text, image, replyTo, clientMessageId } = payload;
+
+  const problem = checkPayload(payload);
+  if (problem) return { status: 400, error: problem };
+
+  const alreadySent = await findAlreadySent(senderId, clientMessageId);
+  if (alreadySent) return { status: 200, message: alreadySent, duplicate: true };
+
+  const isMember =
+    mongoose.isValidObjectId(groupId) &&
+    (await Group.exists({ _id: groupId, "members.user": senderId }));
+  if (!isMember) return { status: 404, error: "Group not found." };
+
+  // A reply can only quote a message posted in this same group
+  if (replyTo) {
+    const isInGroup =
+      mongoose.isValidObjectId(replyTo) && (await Message.exists({ _id: replyTo, groupId }));
+    if (!isInGroup) return { status: 400, error: "You can only reply to a message in this chat." };
+  }
+
+  const { message, duplicate } = await saveMessage(
+    { senderId, groupId, text, replyTo: replyTo || undefined, clientMessageId },
+    image
+  );
+  if (duplicate) return { status: 200, message, duplicate };
+
+  // --- Real-time delivery via socket.io ---
+  // Emit to the group's room — every member's devices, including the sender's
+  // other tabs; skip only the tab that sent it, which already has it optimistically
+  emitToConversation(message, "newMessage", message, originSocketId);
+
+  return { status: 201, message };
+}
@@ -0,0 +1,110 @@
+/**
+ * presence.js — Online Presence Stores
+ *
+ * Keeps track of which sockets each user has open, so socket.js knows who is
+ * online. A user can be connected from several tabs or devices at once and
+ * counts as online while at least one of their sockets is connected.
+ *
+ * Two interchangeable stores with the same async API:
+ *  createMemoryPresence()       — In-process object. The default; right for a
+ *                                 single back-end instance.
+ *  createRedisPresence(client)  — Shared by every instance through Redis
+ *                                 (SOCKET_ADAPTER=redis), so a user connected to
+ *                                 instance A shows as online to users on instance B.
+ *
+ * Store API (userId and socketId are strings):
+ *  addSocket(userId, socketId)    → true if this is the user's first socket (just came online)
+ *  removeSocket(userId, socketId) → true if it was their last one (just went offline)
+ *  hasSocket(userId, socketId)    → whether that socket is one of the user's
+ *  getOnlineUserIds()             → array of online user IDs
+ *  getAllSockets()                → [{ userId, socketId }] for every tracked socket
+ *
+ * Redis layout:
+ *  presence:online            — Set of online user IDs.
+ *  presence:sockets:<userId>  — Set of that user's socket IDs.
+ *  Adding/removing a socket and updating presence:online happen in one Lua
+ *  script, so two instances can't both decide a user came online (or went offline).
+ *
+ * An instance that crashes can't remove its sockets from Redis; socket.js
+ * prunes such leftovers on startup (see initSocketAdapter).
+ */
+
+// --- In-memory ---
+
+export function createMemoryPresence() {
+    const userSocketMap = {}; // {userId: Set<socketId>}
+
+    return {
+        async addSocket(userId, socketId) {
+            const isFirst = !userSocketMap[userId];
+            userSocketMap[userId] ??= new Set();
+            userSocketMap[userId].add(socketId);
+            return isFirst;
+        },
+
+        async removeSocket(userId, socketId) {
+            const sockets = userSocketMap[userId];
+            if (!sockets) return false;
+            sockets.delete(socketId);
+            if (sockets.size > 0) return false; // still connected elsewhere
+            delete userSocketMap[userId];
+            return true;
+        },
+
+        async hasSocket(userId, socketId) {
+            return Boolean(userSocketMap[userId]?.has(socketId));
+        },
+
+        async getOnlineUserIds() {
+            return Object.keys(userSocketMap);
+        },
+
+        async getAllSockets() {
+            return Object.entries(userSocketMap).flatMap(([userId, sockets]) =>
+                [...sockets].map((socketId) => ({ userId, socketId }))
+            );
+        },
+    };
+}
+
+// --- Redis ---
+
+const ONLINE_KEY = "presence:online";
+const socketsKey = (userId) => `presence:sockets:${userId}`;
+
+// KEYS: [sockets set, online set]  ARGV: [socketId, userId]  → 1 if the user just came online
+const ADD_SOCKET_SCRIPT = `
+redis.call("SADD", KEYS[1], ARGV[1])
+return redis.call("SADD", KEYS[2], ARGV[2])
+`;
+
+// Same KEYS/ARGV → 1 if the user just went offline
+const REMOVE_SOCKET_SCRIPT = `
+if redis.call("SREM", KEYS[1], ARGV[1]) == 0 then return 0 end
+if redis.call("SCARD", KEYS[1]) > 0 then return 0 end
+return redis.call("SREM", KEYS[2], ARGV[2])
+`;
+
+export function createRedisPresence(client) {
+    const runScript = async (script, userId, socketId) =>
+        (await client.eval(script, {
+            keys: [socketsKey(userId), ONLINE_KEY],
+            arguments: [socketId, userId],
+        })) === 1;
+
+    return {
+        addSocket: (userId, socketId) => runScript(ADD_SOCKET_SCRIPT, userId, socketId),
+
+        removeSocket: (userId, socketId) => runScript(REMOVE_SOCKET_SCRIPT, userId, socketId),
+
+        hasSocket: (userId, socketId) => client.sIsMember(socketsKey(userId), socketId),
+
+        getOnlineUserIds: () => client.sMembers(ONLINE_KEY),
+
+        async getAllSockets() {
+            const userIds = await client.sMembers(ONLINE_KEY);
+            const socketIds = await Promise.all(userIds.map((userId) => client.sMembers(socketsKey(userId))));
+            return userIds.flatMap((userId, i) => socketIds[i].map((socketId) => ({ userId, socketId })));
+        },
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * rateLimit.js — Built-In Rate Limiter & Bot Filter
+ *
+ * Abuse protection that works without any outside service. Used on its own
+ * (RATE_LIMITER=memory or redis), or as the fallback when the Arcjet provider
+ * errors out (see middleware/protection.middleware.js), so an Arcjet outage
+ * never leaves the API unprotected.
+ *
+ * Policies:
+ *  Each route group picks a named policy — a number of requests per window,
+ *  counted per client IP or, after protectRoute, per user:
+ *
+ *   default      100 / 60s  per IP    every /api/auth, /api/messages, /api/groups request
+ *   signup         5 / 1h   per IP    POST /api/auth/signup
+ *   login         20 / 15m  per IP    POST /api/auth/login and /login/2fa
+ *   forgotPassword 5 / 1h   per IP    POST /api/auth/forgot-password
+ *   sendMessage   30 / 60s  per user  sending direct and group messages
+ *
+ *  Any of them can be changed with RATE_LIMIT_<NAME>=<max>/<seconds>, e.g.
+ *  RATE_LIMIT_SEND_MESSAGE=60/60 or RATE_LIMIT_LOGIN=10/900.
+ *
+ * Stores (fixed windows — each key's count resets when its window ends):
+ *  memory — A Map in this process (the default). Each instance counts on its own.
+ *  redis  — Shared by every instance (RATE_LIMITER=redis): one INCR + PEXPIRE
+ *           per request, in a Lua script so the expiry is never left unset.
+ *           While Redis is unreachable, requests are counted in memory instead.
+ *
+ * Exports:
+ *  RATE_LIMIT_POLICIES       — { name: { max, windowSeconds, by } } after env overrides.
+ *  initRateLimiter()         — Connects Redis when RATE_LIMITER=redis (no-op otherwise).
+ *                              Awaited by server.js before listening.
+ *  consumeRateLimit(policyName, id) → { allowed, limit, remaining, resetSeconds }
+ *                              Counts one request by `id` (an IP or user ID).
+ *  isAutomatedClient(req)    — True for requests that are obviously scripts (no
+ *                              User-Agent, or an HTTP library's). Search engine
+ *                              crawlers are let through, like Arcjet does.
+ */
+import { ENV } from "./env.js";
+import { connectRedisClient } from "./redis.js";
+
+// --- Policies ---
+
+const DEFAULT_POLICIES = {
+  default: { max: 100, windowSeconds: 60, by: "ip" },
+  signup: { max: 5, windowSeconds: 60 * 60, by: "ip" },
+  login: { max: 20, windowSeconds: 15 * 60, by: "ip" },
+  forgotPassword: { max: 5, windowSeconds: 60 * 60, by: "ip" },
+  sendMessage: { max: 30, windowSeconds: 60, by: "user" },
+};
+
+// "sendMessage" → RATE_LIMIT_SEND_MESSAGE
+const envNameFor = (policyName) =>
+  `RATE_LIMIT_${policyName.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+
+// Applies a "<max>/<seconds>" override from the environment, if there's a valid one
+const withEnvOverride = (policyName, policy) => {
+  const override = ENV[envNameFor(policyName)];
+  const [max, windowSeconds] = (override ?? "").split("/").map(Number);
+  if (!(max > 0 && windowSeconds > 0)) {
+    if (override) console.log(`Ignoring ${envNameFor(policyName)}="${override}" (expected <max>/<seconds>)`);
+    return policy;
+  }
+  return { ...policy, max, windowSeconds };
+};
+
+export const RATE_LIMIT_POLICIES = Object.fromEntries(
+  Object.entries(DEFAULT_POLICIES).map(([name, policy]) => [name, withEnvOverride(name, policy)])
+);
+
+// --- Stores ---
+// hit(key, windowMs) → { count, resetMs }: counts a request, returns the count so
+// far in the key's current window and the ms until that window ends
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const windows = new Map(); // key → { count, resetAt }
+
+  // Forget finished windows now and then, so one-off IPs don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => window.resetAt <= now && windows.delete(key));
+  }, PRUNE_INTERVAL_MS).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetMs: window.resetAt - now };
+    },
+  };
+}
+
+// KEYS: [counter]  ARGV: [windowMs]  → { count, ms left in the window }
+const HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+function createRedisStore(client) {
+  return {
+    async hit(key, windowMs) {
+      const [count, resetMs] = await client.eval(HIT_SCRIPT, {
+        keys: [`ratelimit:${key}`],
+        arguments: [String(windowMs)],
+      });
+      return { count, resetMs };
+    },
+  };
+}
+
+const memoryStore = createMemoryStore();
+let redisStore = null;
+
+export async function initRateLimiter() {
+  if (ENV.RATE_LIMITER !== "redis") return; // memory, or Arcjet with the memory fallback
+  redisStore = createRedisStore(await connectRedisClient());
+}
+
+// Counts in Redis when it's configured and reachable, otherwise in memory
+const hit = async (key, windowMs) => {
+  if (redisStore) {
+    try {
+      return await redisStore.hit(key, windowMs);
+    } catch (error) {
+      console.log("Rate limiter falling back to memory:", error.message);
+    }
+  }
+  return memoryStore.hit(key, windowMs);
+};
+
+// --- Consume ---
+export async function consumeRateLimit(policyName, id) {
+  const { max, windowSeconds } = RATE_LIMIT_POLICIES[policyName];
+  const { count, resetMs } = await hit(`${policyName}:${id}`, windowSeconds * 1000);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetSeconds: Math.max(1, Math.ceil(resetMs / 1000)),
+  };
+}
+
+// --- Bot filter ---
+
+// HTTP libraries and headless browsers — nothing a person chats from
+const AUTOMATED_USER_AGENT =
+  /curl|wget|python-requests|python-urllib|aiohttp|httpx|go-http-client|java\/|okhttp|libwww|scrapy|node-fetch|undici|axios\/|postman|insomnia|headlesschrome|phantomjs/i;
+const SEARCH_ENGINE_USER_AGENT = /googlebot|bingbot|duckduckbot|yandexbot|baiduspider|applebot/i;
+
+export function isAutomatedClient(req) {
+  const userAgent = req.get("User-Agent");
+  if (!userAgent) return true;
+  if (SEARCH_ENGINE_USER_AGENT.test(userAgent)) return false;
+  return AUTOMATED_USER_AGENT.test(userAgent);
+}
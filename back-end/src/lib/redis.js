@@ -0,0 +1,72 @@
+/**
+ * redis.js — Redis Connection (optional)
+ *
+ * Only used when SOCKET_ADAPTER=redis, i.e. when several back-end instances
+ * run side by side and have to share socket.io broadcasts and presence
+ * (see initSocketAdapter in socket.js), or when RATE_LIMITER=redis (shared
+ * rate limit counters, see lib/rateLimit.js). Otherwise it never connects.
+ *
+ * Exports:
+ *  connectRedis()       — Opens two connections to REDIS_URL for socket.io:
+ *     pubClient — publishes socket.io broadcasts and runs presence commands.
+ *     subClient — subscribes to other instances' broadcasts. A Redis connection
+ *                 in subscriber mode can't run normal commands, hence the second one.
+ *  connectRedisClient() — Opens a single connection (the rate limiter's). Its
+ *                         commands fail at once while Redis is down instead of
+ *                         queueing, so requests don't hang on it.
+ *
+ * Like connectDB, both exit the process if Redis can't be reached — running
+ * without it would silently cut this instance off from the others.
+ *
+ * Environment Variables:
+ *  REDIS_URL — e.g. redis://localhost:6379 (the default).
+ */
+import { createClient } from "redis";
+import { ENV } from "./env.js";
+
+const STARTUP_RETRIES = 5; // give up on startup after this many failed attempts
+
+// Opens `count` connections to REDIS_URL — or exits if Redis can't be reached
+const openConnections = async (count, options = {}) => {
+  try {
+    // Once connected, keep retrying forever through Redis restarts (up to 5s apart);
+    // before that, a wrong REDIS_URL should fail fast instead of hanging the startup
+    let hasConnected = false;
+    const reconnectStrategy = (retries) => {
+      if (!hasConnected && retries >= STARTUP_RETRIES) return new Error("Redis is unreachable");
+      return Math.min(retries * 200, 5000);
+    };
+
+    const clients = Array.from({ length: count }, () =>
+      createClient({
+        url: ENV.REDIS_URL || "redis://localhost:6379",
+        socket: { reconnectStrategy },
+        ...options,
+      })
+    );
+
+    // node-redis reconnects on its own; without a listener an error would crash the process
+    clients.forEach((client) =>
+      client.on("error", (error) => console.error("Redis error:", error.message))
+    );
+
+    await Promise.all(clients.map((client) => client.connect()));
+    hasConnected = true;
+    console.log("Connected to Redis");
+
+    return clients;
+  } catch (error) {
+    console.error("Error connecting to Redis: ", error);
+    process.exit(1);
+  }
+};
+
+export const connectRedis = async () => {
+  const [pubClient, subClient] = await openConnections(2);
+  return { pubClient, subClient };
+};
+
+export const connectRedisClient = async () => {
+  const [client] = await openConnections(1, { disableOfflineQueue: true });
+  return client;
+};
@@ -16,11 +16,75 @@
  *  It verifies the JWT cookie and attaches `socket.user` and `socket.userId`
  *  so the connection event handler knows who just connected.
  *
- * Online User Tracking:
- *  `userSocketMap` — an in-memory object mapping userId → socketId.
- *  Updated on every `connection` and `disconnect` event.
- *  `getReceiverSocketId(userId)` — helper used by message.controller.js to
- *  look up the active socketId of a recipient before emitting `newMessage`.
+ * Event Limits & Validation:
+ *  Every event a client emits first passes `socketEventGuard`
+ *  (middleware/socket.guard.middleware.js): unknown events, malformed payloads
+ *  and events over the user's per-event token bucket are dropped before they
+ *  reach a handler, and sockets that keep at it are disconnected. A new client
+ *  event needs an entry in SOCKET_EVENT_RULES there as well as its handler here.
+ *
+ * Online User Tracking (multiple devices):
+ *  A user can be connected from several tabs or devices at once.
+ *  `presence` — the store of which sockets each user has open (see
+ *  presence.js). Updated on every `connection` and `disconnect` event. A user
+ *  counts as online while at least one of their sockets is connected, so
+ *  `getOnlineUsers` is only re-broadcast when their first socket connects or
+ *  their last one disconnects.
+ *
+ * Scaling Out (SOCKET_ADAPTER):
+ *  By default ("memory") everything lives in this process — fine for a single
+ *  instance. With SOCKET_ADAPTER=redis, `initSocketAdapter()` (awaited by
+ *  server.js before listening) plugs in the socket.io Redis adapter, so an
+ *  `io.to(room).emit()` on one instance reaches sockets connected to any
+ *  instance, and swaps in the Redis presence store shared by all of them.
+ *  Every emit in this file goes through rooms (never a raw socket lookup), so
+ *  it works the same either way.
+ *
+ * User Rooms:
+ *  Every socket joins its user's room, "user:<userId>" (`getUserRoom`).
+ *  Anything meant for a user is emitted to that room and so reaches all of
+ *  their devices. Direct messages are also echoed to the sender's other
+ *  devices; the device that made the request is skipped (it has the API
+ *  response) — clients name their socket in the `X-Socket-Id` header, read
+ *  with `getOriginSocketId(req)`.
+ *
+ * Session Rooms:
+ *  Every socket also joins the room of the login session it was opened with,
+ *  "session:<sessionId>" (see models/Session.js). Revoking a session
+ *  disconnects exactly the devices that used it (`disconnectSession`).
+ *
+ * Group Rooms:
+ *  Every group has a room named "group:<groupId>" (`getGroupRoom`). On connect,
+ *  the socket joins the rooms of all groups the user belongs to, so a single
+ *  `io.to(room).emit(...)` reaches every online member. `joinGroupRoom` and
+ *  `leaveGroupRoom` keep rooms in sync when membership changes mid-session.
+ *
+ * Read Receipts:
+ *  When a user connects, every direct message still "sent" to them becomes
+ *  "delivered" (their device is now online to fetch it). `emitMessageStatus`
+ *  tells the original sender (on all their devices) about any status change
+ *  as a `messageStatus` event: { messageIds, status, at }.
+ *
+ * Typing Indicators:
+ *  Clients emit `typing:start` / `typing:stop` with { receiverId } (direct chat)
+ *  or { groupId } (group chat). The server relays them — as the same event
+ *  names with { userId, groupId? } — only to the conversation partner or the
+ *  group's other members — a receiverId must be an existing user, the same
+ *  rule sending a message has. `typing:start` is throttled (one relay per
+ *  TYPING_THROTTLE_MS per conversation) and expires on its own: if no new
+ *  `typing:start` arrives within TYPING_EXPIRY_MS, or the typist disconnects,
+ *  the server sends `typing:stop` on their behalf.
+ *
+ * Sending Messages:
+ *  While connected, clients send messages with `message:send` instead of the
+ *  HTTP endpoints: { receiverId | groupId, text?, image?, replyTo?, clientMessageId }
+ *  plus an acknowledgement callback. The message is validated, saved and
+ *  delivered exactly like an HTTP send (lib/messageSending.js), under the same
+ *  sendMessage rate limit and unverified-account policy. The ack gets
+ *  { message, duplicate? } — `duplicate` if `clientMessageId` had already been
+ *  sent, in which case nothing is saved or delivered again — or, if the message
+ *  was refused, { error, code, retryAfter? } with code "RATE_LIMITED",
+ *  "EMAIL_NOT_VERIFIED", "REJECTED" (invalid, or no such chat) or "SERVER_ERROR".
  *
  * Events:
  *  Emits `getOnlineUsers` (array of online userIds) to ALL clients whenever
@@ -30,14 +94,46 @@
  *  io      — The Socket.io Server instance (used to emit events from controllers).
  *  app     — The Express application (REST routes are mounted here in server.js).
  *  server  — The http.Server instance (server.js calls server.listen() on this).
- *  getReceiverSocketId(userId) — Returns the socketId for a given userId, or
- *                                undefined if that user is offline.
+ *  initSocketAdapter()         — Connects Redis when SOCKET_ADAPTER=redis (no-op otherwise).
+ *  getUserRoom(userId)         — Returns the socket.io room name for a user (all devices).
+ *  getOriginSocketId(req, userId?) — (async) The requesting client's own socket ID
+ *                                (X-Socket-Id header), if it belongs to `userId` (by default
+ *                                req.user); otherwise undefined.
+ *  getGroupRoom(groupId)       — Returns the socket.io room name for a group.
+ *  joinGroupRoom / leaveGroupRoom(userId, groupId) — Adds/removes all of an online
+ *                                user's sockets to/from a group room.
+ *  emitMessageStatus(result, status) — Notifies senders after Message.advanceStatus().
+ *  emitToUser(userId, event, payload, exceptSocketId?) — Sends `event` to all of a
+ *                                user's devices, optionally skipping one socket.
+ *  emitUserUpdated(user)       — Tells every connected client about a user's new public
+ *                                profile (username, avatar, bio) as a `userUpdated` event.
+ *  emitUserDeleted(userId)     — Tells every connected client that an account is gone
+ *                                (`userDeleted` with { userId }).
+ *  disconnectUser(userId)      — Closes every socket of a user, on any instance
+ *                                (e.g. after a password reset signs them out).
+ *  disconnectSession(sessionId, exceptSocketId?) — Closes every socket opened with one
+ *                                login session (logout / revoked session).
+ *  emitToConversation(message, event, payload?, exceptSocketId?) — Sends `event`
+ *                                (with `payload`, by default the message itself) to
+ *                                every device of everyone in the message's
+ *                                conversation, sender included, except the socket
+ *                                `exceptSocketId` (the device that made the change).
  */
 import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
 import http from "http";
 import express from "express";
 import { ENV } from "./env.js";
+import { createMemoryPresence, createRedisPresence } from "./presence.js";
+import { connectRedis } from "./redis.js";
 import { socketAuthMiddleware } from "../middleware/socket.auth.middleware.js";
+import { socketEventGuard } from "../middleware/socket.guard.middleware.js";
+import { consumeRateLimit } from "./rateLimit.js";
+// (messageSending.js imports this file too — only its functions are used, at event time)
+import { isExistingUser, sendDirectMessage, sendGroupMessage } from "./messageSending.js";
+import Group from "../models/Group.js";
+import Message from "../models/message.js";
+import User from "../models/User.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -47,34 +143,331 @@ const io = new Server(server, {
         origin: [ENV.CLIENT_URL],
         credentials: true,
     },
+    // message:send can carry a base64 image — allow what the HTTP endpoints do (10mb)
+    maxHttpBufferSize: 10 * 1024 * 1024,
 });
 
 // apply authentication middleware to all socket connections
 io.use(socketAuthMiddleware);
 
-// we will use this function to check if the user is online or not
-export function getReceiverSocketId(userId) {
-    return userSocketMap[userId];
+// this is for storing online users — which sockets (tabs/devices) each user has open
+let presence = createMemoryPresence();
+
+// Multi-instance mode: share broadcasts and presence through Redis.
+// Must finish before the server starts accepting connections.
+export async function initSocketAdapter() {
+    if (ENV.SOCKET_ADAPTER !== "redis") return; // single instance — in-memory is enough
+
+    const { pubClient, subClient } = await connectRedis();
+    io.adapter(createAdapter(pubClient, subClient));
+    presence = createRedisPresence(pubClient);
+
+    // If an instance crashed, its sockets are still listed in Redis (and their users
+    // look online forever). Drop every socket that no instance knows about.
+    // The snapshot is taken first, so sockets connecting meanwhile are never touched.
+    try {
+        const tracked = await presence.getAllSockets();
+        const live = new Set((await io.fetchSockets()).map((socket) => socket.id));
+        const stale = tracked.filter(({ socketId }) => !live.has(socketId));
+        const wentOffline = await Promise.all(
+            stale.map(({ userId, socketId }) => presence.removeSocket(userId, socketId))
+        );
+        if (wentOffline.includes(true)) io.emit("getOnlineUsers", await presence.getOnlineUserIds());
+    } catch (error) {
+        console.log("Error pruning stale presence:", error.message);
+    }
+}
+
+// every user has their own room holding all their sockets, e.g. "user:65f1c0..."
+export function getUserRoom(userId) {
+    return `user:${userId}`;
+}
+
+// The socket of the tab that sent this HTTP request, so it can be left out of
+// an echo it doesn't need. Only trusted if it really is one of the user's sockets
+// (req.user's, unless a userId is given — for routes that don't use protectRoute).
+export async function getOriginSocketId(req, userId = req.user._id) {
+    const socketId = req.get("X-Socket-Id");
+    if (!socketId) return undefined;
+    return (await presence.hasSocket(userId.toString(), socketId)) ? socketId : undefined;
+}
+
+// every login session has a room holding the sockets opened with it, e.g. "session:65f1c0..."
+function getSessionRoom(sessionId) {
+    return `session:${sessionId}`;
+}
+
+// every group conversation has its own room, e.g. "group:65f1c0..."
+export function getGroupRoom(groupId) {
+    return `group:${groupId}`;
+}
+
+// used by group.controller.js when a member is added while they're online
+export function joinGroupRoom(userId, groupId) {
+    io.in(getUserRoom(userId)).socketsJoin(getGroupRoom(groupId));
+}
+
+// used by group.controller.js when a member is removed or leaves
+export function leaveGroupRoom(userId, groupId) {
+    io.in(getUserRoom(userId)).socketsLeave(getGroupRoom(groupId));
+}
+
+// io.to(rooms), minus one socket if given
+function toRooms(rooms, exceptSocketId) {
+    const target = io.to(rooms);
+    return exceptSocketId ? target.except(exceptSocketId) : target;
+}
+
+const TYPING_THROTTLE_MS = 2000; // relay at most one typing:start per conversation per 2s
+const TYPING_EXPIRY_MS = 5000;   // auto-send typing:stop after 5s without a new typing:start
+
+// Relays typing:start / typing:stop from one socket to the other side of the conversation
+function handleTypingEvents(socket) {
+    const userId = socket.userId;
+
+    // one entry per conversation this socket is typing in:
+    // "user:<id>" / "group:<id>" (the room typed to) → { lastRelayedAt, expiryTimer, target, payload }
+    const activeTyping = new Map();
+
+    // Direct chats: only to someone a message could be sent to (group membership is
+    // checked by resolveConversation through the socket's rooms). Each receiver is
+    // looked up once per socket, on the first typing:start to them, not per keystroke.
+    const knownReceivers = new Set();
+    // room → the lookup a typing:start is waiting on. A typing:stop (or a newer start, or
+    // disconnecting) meanwhile replaces or removes it, and that start is then dropped.
+    const pendingLookups = new Map();
+
+    // Works out who should hear about it. Returns null if the payload is invalid
+    // or the sender isn't allowed to reach that conversation.
+    const resolveConversation = (data) => {
+        const { receiverId, groupId } = data || {};
+        if (typeof groupId === "string") {
+            const room = getGroupRoom(groupId);
+            // being in the room is proof of membership (joined on connect / when added)
+            if (!socket.rooms.has(room)) return null;
+            // skip all of the typist's own devices, not just this one
+            const target = io.to(room).except(getUserRoom(userId));
+            return { key: room, target, payload: { userId, groupId } };
+        }
+        if (typeof receiverId === "string" && receiverId !== userId) {
+            // if the partner is offline their room is simply empty
+            const room = getUserRoom(receiverId);
+            return { key: room, target: io.to(room), payload: { userId } };
+        }
+        return null;
+    };
+
+    const stopTyping = (key) => {
+        const entry = activeTyping.get(key);
+        if (!entry) return;
+        clearTimeout(entry.expiryTimer);
+        activeTyping.delete(key);
+        entry.target.emit("typing:stop", entry.payload);
+    };
+
+    socket.on("typing:start", async (data) => {
+        const conversation = resolveConversation(data);
+        if (!conversation) return;
+        const { key, target, payload } = conversation;
+
+        const { receiverId } = data;
+        if (receiverId && !knownReceivers.has(receiverId)) {
+            const lookup = {};
+            pendingLookups.set(key, lookup);
+            let exists = false;
+            try {
+                exists = await isExistingUser(receiverId);
+            } catch (error) {
+                console.log("Error checking typing receiver:", error.message);
+            }
+            if (pendingLookups.get(key) !== lookup) return; // stopped (or started again) meanwhile
+            pendingLookups.delete(key);
+            if (!exists) return;
+            knownReceivers.add(receiverId);
+        }
+
+        const entry = activeTyping.get(key);
+        const now = Date.now();
+
+        // push the expiry back on every keystroke batch, relayed or not
+        if (entry) clearTimeout(entry.expiryTimer);
+        const expiryTimer = setTimeout(() => stopTyping(key), TYPING_EXPIRY_MS);
+
+        // throttle: the partner already knows we're typing
+        if (entry && now - entry.lastRelayedAt < TYPING_THROTTLE_MS) {
+            entry.expiryTimer = expiryTimer;
+            return;
+        }
+
+        activeTyping.set(key, { lastRelayedAt: now, expiryTimer, target, payload });
+        target.emit("typing:start", payload);
+    });
+
+    socket.on("typing:stop", (data) => {
+        const conversation = resolveConversation(data);
+        if (!conversation) return;
+        pendingLookups.delete(conversation.key); // a start still being checked never goes out
+        stopTyping(conversation.key);
+    });
+
+    // closing the tab mid-sentence shouldn't leave "typing…" on screen
+    socket.on("disconnect", () => {
+        pendingLookups.clear();
+        [...activeTyping.keys()].forEach(stopTyping);
+    });
+}
+
+// tells each sender which of their messages just became "delivered" or "seen"
+// `result` is the return value of Message.advanceStatus()
+export function emitMessageStatus({ at, updates }, status) {
+    updates.forEach(({ senderId, messageIds }) => {
+        io.to(getUserRoom(senderId)).emit("messageStatus", { messageIds, status, at });
+    });
+}
+
+// sends `event` to every device of one user, except the socket `exceptSocketId`
+export function emitToUser(userId, event, payload, exceptSocketId) {
+    toRooms(getUserRoom(userId), exceptSocketId).emit(event, payload);
+}
+
+// sends a user's public profile to every connected client after they change it —
+// anyone may have them in their Contacts tab, so this isn't limited to chat partners
+export function emitUserUpdated(user) {
+    io.emit("userUpdated", {
+        _id: user._id,
+        username: user.username,
+        profilePicture: user.profilePicture,
+        bio: user.bio,
+    });
+}
+
+// tells every connected client that a user's account has been deleted
+export function emitUserDeleted(userId) {
+    io.emit("userDeleted", { userId });
+}
+
+// closes all of a user's connections; clients see the "io server disconnect" reason
+// and treat it as being signed out
+export function disconnectUser(userId) {
+    io.in(getUserRoom(userId)).disconnectSockets(true);
+}
+
+// closes the connections of one login session — the devices still using it
+// are signed out, the user's other sessions stay connected
+export function disconnectSession(sessionId, exceptSocketId) {
+    const target = io.in(getSessionRoom(sessionId));
+    (exceptSocketId ? target.except(exceptSocketId) : target).disconnectSockets(true);
 }
 
-// this is for storig online users
-const userSocketMap = {}; // {userId:socketId}
+// sends `event` (with the message as payload, unless another payload is given)
+// to every device in a message's conversation: both people of a direct
+// message, or every online member of its group.
+// `exceptSocketId` (see getOriginSocketId) is skipped — that device already
+// has the result from the API.
+export function emitToConversation(message, event, payload = message, exceptSocketId) {
+    const rooms = message.groupId
+        ? getGroupRoom(message.groupId)
+        : [getUserRoom(message.senderId), getUserRoom(message.receiverId)];
+    toRooms(rooms, exceptSocketId).emit(event, payload);
+}
+
+// Sends messages arriving as `message:send` (see "Sending Messages" above)
+function handleMessageEvents(socket) {
+    socket.on("message:send", async (data, ack) => {
+        const reply = typeof ack === "function" ? ack : () => {};
+        const { receiverId, groupId, ...payload } = data;
+
+        try {
+            // the same checks protectRoute and protection("sendMessage") make over HTTP
+            const user = await User.findById(socket.userId).select("emailVerified");
+            if (!user) return reply({ error: "User not found", code: "REJECTED" });
+            if (!user.emailVerified && ENV.UNVERIFIED_ACCOUNT_POLICY !== "allow") {
+                return reply({ error: "Please verify your email address first", code: "EMAIL_NOT_VERIFIED" });
+            }
+            const { allowed, resetSeconds } = await consumeRateLimit("sendMessage", socket.userId);
+            if (!allowed) {
+                return reply({
+                    error: "You're sending messages too quickly. Please wait a moment.",
+                    code: "RATE_LIMITED",
+                    retryAfter: resetSeconds,
+                });
+            }
+
+            const { message, duplicate, error } = groupId
+                ? await sendGroupMessage(user._id, groupId, payload, socket.id)
+                : await sendDirectMessage(user._id, receiverId, payload, socket.id);
+            if (error) return reply({ error, code: "REJECTED" });
+            reply({ message, duplicate });
+        } catch (error) {
+            console.log("Error in message:send handler:", error.message);
+            reply({ error: "Internal server error", code: "SERVER_ERROR" });
+        }
+    });
+}
 
-io.on("connection", (socket) => {
+io.on("connection", async (socket) => {
     console.log("A user connected:", socket.user.username);
 
     const userId = socket.userId;
-    userSocketMap[userId] = socket.id;
 
-    // io.emit() is used to send events to all connected clients
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    // everything addressed to this user reaches this tab/device too
+    socket.join(getUserRoom(userId));
+    // …and so is anything aimed at the login session it was opened with
+    socket.join(getSessionRoom(socket.sessionId));
+
+    // rate limits and payload checks for every incoming event — before any handler
+    socket.use(socketEventGuard(socket));
+    socket.on("error", (error) => console.log("Socket error:", error.message));
+
+    // typing:start / typing:stop relays (see handleTypingEvents above)
+    handleTypingEvents(socket);
+    // message:send (see handleMessageEvents above)
+    handleMessageEvents(socket);
+
+    // registered before any await so a quick disconnect is never missed;
+    // it waits for the add below so the two can't run out of order
+    const added = presence.addSocket(userId, socket.id);
 
     // with socket.on we listen for events from clients
-    socket.on("disconnect", () => {
+    socket.on("disconnect", async () => {
         console.log("A user disconnected:", socket.user.username);
-        delete userSocketMap[userId];
-        io.emit("getOnlineUsers", Object.keys(userSocketMap));
+        try {
+            await added;
+            const wentOffline = await presence.removeSocket(userId, socket.id);
+            // still connected elsewhere → still online, nothing to announce
+            if (wentOffline) io.emit("getOnlineUsers", await presence.getOnlineUserIds());
+        } catch (error) {
+            console.log("Error updating presence:", error.message);
+        }
     });
+
+    // io.emit() is used to send events to all connected clients —
+    // only needed when the user just came online; a second tab just needs the list
+    try {
+        const cameOnline = await added;
+        const onlineUserIds = await presence.getOnlineUserIds();
+        if (cameOnline) io.emit("getOnlineUsers", onlineUserIds);
+        else socket.emit("getOnlineUsers", onlineUserIds);
+    } catch (error) {
+        console.log("Error updating presence:", error.message);
+    }
+
+    // join the room of every group this user is a member of
+    // (done last so the disconnect handler is registered before we await the DB)
+    try {
+        const groups = await Group.find({ "members.user": userId }).select("_id");
+        groups.forEach((group) => socket.join(getGroupRoom(group._id)));
+    } catch (error) {
+        console.log("Error joining group rooms:", error.message);
+    }
+
+    // anything sent to this user while they were offline is now delivered
+    try {
+        const result = await Message.advanceStatus({ receiverId: userId }, "delivered");
+        emitMessageStatus(result, "delivered");
+    } catch (error) {
+        console.log("Error marking messages as delivered:", error.message);
+    }
 });
 
 export { io, app, server };
\ No newline at end of file
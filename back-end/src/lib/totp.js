@@ -0,0 +1,93 @@
+/**
+ * totp.js — Time-Based One-Time Passwords (RFC 6238)
+ *
+ * The codes shown by authenticator apps (Google Authenticator, 1Password,
+ * Authy, …) for two-factor login. Built on node's crypto module — the
+ * algorithm is small enough not to need a dependency.
+ *
+ * Parameters are the ones every authenticator app defaults to: HMAC-SHA1,
+ * 6 digits, a new code every 30 seconds.
+ *
+ * Exports:
+ *  generateTotpSecret()                 — A new random secret, base32-encoded
+ *                                         (the form apps accept when typed in).
+ *  buildOtpauthURI(secret, accountName) — The otpauth:// URI the QR code encodes.
+ *  verifyTotp(secret, code)             — Checks a code, allowing one 30s step of
+ *                                         clock drift either way. Returns the time
+ *                                         step it matched (callers store it to refuse
+ *                                         replays of the same code) or null.
+ */
+import crypto from "crypto";
+
+const ISSUER = "Whisprr";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const DRIFT_STEPS = 1; // accept the previous and the next code too
+const SECRET_BYTES = 20; // 160 bits, as RFC 4226 recommends
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(Number.parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226): the code for one counter value
+const generateCode = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+
+  // "dynamic truncation" — 4 bytes at an offset picked by the last nibble
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// e.g. otpauth://totp/Whisprr:jane%40example.com?secret=…&issuer=Whisprr
+export const buildOtpauthURI = (secret, accountName) => {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export const verifyTotp = (secret, code) => {
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    // constant-time compare so response timing doesn't leak matching digits
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(key, step)), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
@@ -1,26 +1,89 @@
 /**
  * utils.js — Shared Back-End Utilities
  *
- * Exports `generateToken`, a helper used by the auth controller
- * immediately after a successful signup or login.
+ * Exports the token helpers used by the auth controller at signup, login
+ * and token refresh, and `parsePagination`, used by the message history
+ * endpoints.
  *
- * generateToken(userId, res):
- *  - Signs a JWT containing { id: userId } with a 7-day expiry.
+ * Logging in yields two cookies:
+ *  "jwt"          — the access token: a JWT that every protected request and
+ *                   socket handshake checks. Lives only ACCESS_TOKEN_EXPIRY_MINUTES.
+ *  "refreshToken" — the persistence credential: "<sessionId>.<random secret>",
+ *                   only sent to /api/auth. POST /api/auth/refresh trades it for a
+ *                   new access token and a new refresh token (rotation). Only the
+ *                   secret's hash is stored, on the Session document.
+ *
+ * generateToken(userId, sessionId, res):
+ *  - Signs a JWT containing { id: userId, sid: sessionId } that expires after
+ *    ACCESS_TOKEN_EXPIRY_MINUTES. `sid` names the Session document the token
+ *    belongs to — the token stops working as soon as that session is deleted
+ *    (see models/Session.js).
  *  - Sets the token as an httpOnly cookie named "jwt" with:
  *      httpOnly: true   — prevents JavaScript access (XSS protection)
  *      sameSite: strict — prevents cross-site request forgery (CSRF)
  *      secure: true     — HTTPS-only in production, HTTP allowed in dev
- *      maxAge: 7 days   — matches the JWT expiry
+ *      maxAge           — matches the JWT expiry
  *  - Also returns the raw token string (rarely needed in practice).
  *
+ * createRefreshSecret():
+ *  - A new random refresh secret and its hash: { secret, hash }.
+ *
+ * setRefreshCookie(sessionId, secret, res):
+ *  - Sets the "refreshToken" cookie (same flags as "jwt", path /api/auth,
+ *    REFRESH_TOKEN_LIFETIME_MS).
+ *
+ * readRefreshCookie(req):
+ *  - Splits the "refreshToken" cookie into { sessionId, hash }, or returns
+ *    null if it's missing or malformed.
+ *
+ * clearAuthCookies(res):
+ *  - Expires both cookies (logout, password reset, rejected refresh).
+ *
+ * parsePagination(query):
+ *  - Reads the `before` (message ID cursor) and `limit` query parameters.
+ *  - `limit` defaults to 30 and is capped at 100.
+ *  - Returns { before, limit }, or { error } if `before` isn't a valid ID.
+ *
+ * buildSearchSnippet(text, query):
+ *  - Cuts a short excerpt of `text` around the first word matching a term of
+ *    the search `query`, used by the message search endpoint.
+ *  - Returns { snippet, highlights }, where `highlights` is a list of
+ *    [start, end) character ranges inside `snippet` for the client to mark.
+ *    Ranges are returned instead of HTML so message text never gets
+ *    rendered as markup.
+ *
+ * toDeletedUser(userId):
+ *  - A stand-in user object for a chat partner whose account has been deleted,
+ *    so their conversations stay listed: { _id, username: "Deleted user",
+ *    profilePicture: "", bio: "", isDeletedAccount: true }.
+ *
  * Environment Variables Required:
  *  JWT_SECRET — the secret key used to sign tokens.
  */
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+const DEFAULT_PAGE_SIZE = 30;  // messages per page when ?limit is not given
+const MAX_PAGE_SIZE = 100;     // upper bound so a client can't ask for everything at once
+const SNIPPET_LENGTH = 120;    // characters of context returned per search hit
+const SNIPPET_LEAD = 40;       // how many of them come before the first match
 
-// Creates a signed JWT and stores it in an httpOnly cookie on the response
-// Called as: generateToken(user._id, res) — passes the ObjectId directly
-export const generateToken = (userId, res) => {
+export const ACCESS_TOKEN_EXPIRY_MINUTES = 15;
+export const REFRESH_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000; // a week without visiting logs you out
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth'; // refresh + logout only — not sent with every request
+
+// Flags shared by both auth cookies
+const authCookieOptions = () => ({
+    httpOnly: true,  // JavaScript can't read this cookie → protects against XSS attacks
+    sameSite: 'strict', // cookie only sent on same-site requests → protects against CSRF
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+});
+
+// Creates a signed access token (JWT) and stores it in an httpOnly cookie on the response
+// Called as: generateToken(user._id, session._id, res) — passes the ObjectIds directly
+export const generateToken = (userId, sessionId, res) => {
 
     // Read the secret key from environment variables
     const { JWT_SECRET } = process.env;
@@ -28,17 +91,112 @@ export const generateToken = (userId, res) => {
         throw new Error("JWT_SECRET is not defined in environment variables");
     }
 
-    // Sign the token — payload is { id: userId }, expires in 7 days
-    // userId is a Mongoose ObjectId — jwt.sign serializes it to a hex string automatically
-    const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Sign the token — payload is { id: userId, sid: sessionId }, short-lived on purpose:
+    // the refresh token gets a new one, so a leaked access token is only good for minutes
+    // The IDs are Mongoose ObjectIds — jwt.sign serializes them to hex strings automatically
+    const token = jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: `${ACCESS_TOKEN_EXPIRY_MINUTES}m`,
+    });
 
     // Attach the token to the response as an httpOnly cookie named "jwt"
     res.cookie('jwt', token, {
-        httpOnly: true,  // JavaScript can't read this cookie → protects against XSS attacks
-        sameSite: 'strict', // cookie only sent on same-site requests → protects against CSRF
-        secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds (matches token expiry)
+        ...authCookieOptions(),
+        maxAge: ACCESS_TOKEN_EXPIRY_MINUTES * 60 * 1000 // matches the token expiry
     });
 
     return token; // return the raw token (not usually needed, cookie is enough)
 };
+
+// Refresh secrets are random, so a fast unsalted hash is enough to keep the
+// database from holding usable tokens
+const hashRefreshSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// A fresh refresh secret — the cookie gets `secret`, the Session stores `hash`
+export const createRefreshSecret = () => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { secret, hash: hashRefreshSecret(secret) };
+};
+
+// Stores "<sessionId>.<secret>" in the httpOnly refresh cookie
+export const setRefreshCookie = (sessionId, secret, res) => {
+    res.cookie(REFRESH_COOKIE, `${sessionId}.${secret}`, {
+        ...authCookieOptions(),
+        path: REFRESH_COOKIE_PATH,
+        maxAge: REFRESH_TOKEN_LIFETIME_MS,
+    });
+};
+
+// Reads the refresh cookie back as { sessionId, hash }, or null if it's unusable
+export const readRefreshCookie = (req) => {
+    const [sessionId, secret] = (req.cookies[REFRESH_COOKIE] || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, hash: hashRefreshSecret(secret) };
+};
+
+// Expires both auth cookies — the refresh cookie must be cleared on its own path
+export const clearAuthCookies = (res) => {
+    res.cookie('jwt', '', { maxAge: 0 });
+    res.cookie(REFRESH_COOKIE, '', { maxAge: 0, path: REFRESH_COOKIE_PATH });
+};
+
+// Turns ?before=<messageId>&limit=<n> into validated pagination options
+// Called as: const { before, limit, error } = parsePagination(req.query)
+export const parsePagination = ({ before, limit }) => {
+    // `before` is optional — without it we return the newest page
+    if (before && !mongoose.isValidObjectId(before)) {
+        return { error: "Invalid 'before' cursor" };
+    }
+
+    // Non-numeric or non-positive limits fall back to the default
+    const parsedLimit = Number.parseInt(limit, 10);
+    const pageSize = parsedLimit > 0 ? Math.min(parsedLimit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+
+    return { before, limit: pageSize };
+};
+
+// Splits a $text search string into the plain words worth highlighting
+// Quotes are dropped and "-excluded" terms are skipped (they never match)
+const getSearchTerms = (query) =>
+    query
+        .split(/\s+/)
+        .map((term) => term.replace(/"/g, ""))
+        .filter((term) => term && !term.startsWith("-"))
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")); // escape for RegExp
+
+// Builds a highlighted excerpt of a message for a search result
+// Called as: const { snippet, highlights } = buildSearchSnippet(message.text, q)
+export const buildSearchSnippet = (text, query) => {
+    const terms = getSearchTerms(query);
+    // Match each term at the start of a word: "deploy" also marks "deployment",
+    // roughly mirroring MongoDB's stemming
+    const pattern = terms.length
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join("|")})`, "giu")
+        : null;
+    const matches = pattern ? [...text.matchAll(pattern)] : [];
+
+    // Centre the excerpt on the first match (the stemmer may match words we can't find)
+    const firstMatch = matches[0]?.index ?? 0;
+    const start = Math.max(0, Math.min(firstMatch - SNIPPET_LEAD, text.length - SNIPPET_LENGTH));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? "…" : "";
+    const suffix = end < text.length ? "…" : "";
+    const snippet = prefix + text.slice(start, end) + suffix;
+
+    // Shift match positions into snippet coordinates, dropping any cut off by the excerpt
+    const highlights = matches
+        .map((match) => [match.index, match.index + match[0].length])
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+
+    return { snippet, highlights };
+};
+
+// What the client gets in place of a chat partner whose account no longer exists
+export const toDeletedUser = (userId) => ({
+    _id: userId,
+    username: "Deleted user",
+    profilePicture: "",
+    bio: "",
+    isDeletedAccount: true,
+});
@@ -7,11 +7,22 @@
  *  1. Reads the `jwt` cookie from the incoming request.
  *  2. Verifies the token using JWT_SECRET from environment variables.
  *  3. Fetches the corresponding user from MongoDB (password field excluded).
- *  4. Attaches the user document to `req.user` so downstream controllers
- *     can access the authenticated user without an extra DB query.
+ *  4. Rejects tokens whose session (the JWT's `sid`) has been logged out or
+ *     revoked, and tokens issued before the user's last password reset.
+ *     Otherwise records activity on the session (Session.lastSeenAt).
+ *  5. Applies UNVERIFIED_ACCOUNT_POLICY to users who haven't verified their
+ *     email yet (see isBlockedForUnverified below). Routers that manage the
+ *     user's own account opt out with `router.use(ownAccountRoutes)`.
+ *  6. Attaches the user document to `req.user` (and the session's ID to
+ *     `req.sessionId`) so downstream controllers can access the
+ *     authenticated user without an extra DB query.
  *
  * Responds with:
- *  401 — if no token is present or the token is invalid/expired.
+ *  401 — if no token is present, the token is invalid/expired, its session
+ *        is gone, or it predates a password reset. The client answers an
+ *        expired access token with POST /api/auth/refresh and retries.
+ *  403 — with `code: "EMAIL_NOT_VERIFIED"` if the policy doesn't let an
+ *        unverified account make this request.
  *  404 — if the token is valid but the user no longer exists in the DB.
  *  500 — for any unexpected server errors.
  *
@@ -20,8 +31,28 @@
  */
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import { ENV } from "../lib/env.js";
 
+// Clearing an unread count is a write, but it only touches the reader's own state
+const READ_MARKER_PATH = /\/(seen|read)$/;
+
+// Under the "read-only" policy an unverified account can read everything, and
+// manage its own account (the auth router's routes), but can't write anything others see
+const isBlockedForUnverified = (req) => {
+  if (ENV.UNVERIFIED_ACCOUNT_POLICY === "allow") return false;
+  if (req.method === "GET" || req.isOwnAccountRoute) return false;
+  return !READ_MARKER_PATH.test(req.path);
+};
+
+// Marks every route of a router as managing the user's own account, so unverified
+// accounts may use them. Set on the router itself (auth.route.js) rather than matched
+// by URL, because that router is mounted at both /api/auth and /auth.
+export const ownAccountRoutes = (req, res, next) => {
+  req.isOwnAccountRoute = true;
+  next();
+};
+
 // This middleware runs BEFORE the actual route handler.
 // If the user is not authenticated, it stops the request here and returns an error.
 // If authenticated, it calls next() to pass control to the next handler.
@@ -52,12 +83,33 @@ export const protectRoute = async (req, res, next) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // The session must still exist — logging out or revoking it deletes it.
+    // Resetting the password signs out every existing session as well.
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.userId.equals(user._id) || user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: "Unauthorized - Session expired" });
+    }
+    await session.touch();
+
+    if (!user.emailVerified && isBlockedForUnverified(req)) {
+      return res.status(403).json({
+        message: "Please verify your email address first",
+        code: "EMAIL_NOT_VERIFIED", // the client shows the verification banner's hint for this
+      });
+    }
+
     // Attach the user object to the request — controllers can now use req.user
     req.user = user;
+    req.sessionId = session._id;
 
     // Pass control to the actual route handler
     next();
   } catch (error) {
+    // jwt.verify throws on an expired or tampered-with token (TokenExpiredError is a
+    // JsonWebTokenError too) — answer 401 so the client refreshes the access token
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ message: "Unauthorized - Invalid or expired token" });
+    }
     console.log("Error in protectRoute middleware:", error.message);
     res.status(500).json({ message: "Internal server error" });
   }
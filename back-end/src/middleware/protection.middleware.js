@@ -0,0 +1,117 @@
+/**
+ * protection.middleware.js — Rate Limiting & Bot Protection Middleware
+ *
+ * Exports `protection(policyName)`, which builds an Express middleware that
+ * rate-limits requests under one of the policies in lib/rateLimit.js
+ * ("default", "signup", "login", "forgotPassword", "sendMessage") and turns
+ * away bots. Every API router applies protection("default") first; the
+ * sensitive routes add their own, stricter policy on top.
+ *
+ * Providers (RATE_LIMITER):
+ *  memory / redis — The built-in limiter and User-Agent bot filter (lib/rateLimit.js).
+ *  arcjet         — Arcjet's shield, bot detection and sliding window
+ *                   (lib/arcjet.js). If Arcjet can't decide — no network, a bad
+ *                   key, a rule that failed — the request goes through the
+ *                   built-in limiter instead, so protection never just switches off.
+ *
+ * Every rate-limited response carries the standard headers:
+ *  RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds until the
+ *  window resets) and RateLimit-Policy ("<max>;w=<seconds>").
+ *
+ * Responses:
+ *  429 — Rate limit exceeded: Retry-After header + { message, retryAfter } for
+ *        the client's countdown.
+ *  403 — Bot or spoofed-bot detected, or blocked by security policy.
+ *  Calls next() on all passing requests — and, as a last resort, if the
+ *  limiter itself throws, so a bug here can't take the whole API down.
+ */
+import { isSpoofedBot } from "@arcjet/inspect";
+import { ENV } from "../lib/env.js";
+import { arcjetFor } from "../lib/arcjet.js";
+import { consumeRateLimit, isAutomatedClient, RATE_LIMIT_POLICIES } from "../lib/rateLimit.js";
+
+const DENIALS = {
+  rateLimit: { status: 429, message: "You're sending requests too quickly. Please wait a moment." },
+  bot: { status: 403, message: "Bot access denied." },
+  spoofedBot: { status: 403, message: "Malicious bot activity detected." },
+  policy: { status: 403, message: "Access denied by security policy." },
+};
+
+// What a policy counts requests by — the user only exists after protectRoute
+const clientIdFor = (req, by) => (by === "user" && req.user ? req.user._id.toString() : req.ip);
+
+// Built-in provider → { rateLimit, denial }
+async function decideLocally(req, policyName) {
+  if (isAutomatedClient(req)) return { rateLimit: null, denial: "bot" };
+
+  const { windowSeconds, by } = RATE_LIMIT_POLICIES[policyName];
+  const { allowed, ...rateLimit } = await consumeRateLimit(policyName, clientIdFor(req, by));
+  return { rateLimit: { ...rateLimit, windowSeconds }, denial: allowed ? null : "rateLimit" };
+}
+
+// Arcjet provider → { rateLimit, denial }, or null if Arcjet couldn't decide
+async function decideWithArcjet(req, policyName) {
+  const { by } = RATE_LIMIT_POLICIES[policyName];
+  let decision;
+  try {
+    decision = await arcjetFor(policyName).protect(
+      req,
+      by === "user" ? { userId: clientIdFor(req, by) } : {}
+    );
+  } catch (error) {
+    console.log("Arcjet Protection Error:", error.message);
+    return null;
+  }
+
+  // Arcjet fails open: an errored decision, or a rate limit rule that didn't run, allows everything
+  const rateLimitReason = decision.results.find((result) => result.reason.isRateLimit())?.reason;
+  if (decision.isErrored() || !rateLimitReason) return null;
+
+  const rateLimit = {
+    limit: rateLimitReason.max,
+    remaining: rateLimitReason.remaining,
+    resetSeconds: rateLimitReason.reset,
+    windowSeconds: rateLimitReason.window,
+  };
+
+  let denial = null;
+  if (decision.isDenied()) {
+    if (decision.reason.isRateLimit()) denial = "rateLimit";
+    else if (decision.reason.isBot()) denial = "bot";
+    else denial = "policy";
+  } else if (decision.results.some(isSpoofedBot)) {
+    denial = "spoofedBot";
+  }
+  return { rateLimit, denial };
+}
+
+export const protection = (policyName) => async (req, res, next) => {
+  let verdict;
+  try {
+    verdict =
+      (ENV.RATE_LIMITER === "arcjet" && (await decideWithArcjet(req, policyName))) ||
+      (await decideLocally(req, policyName));
+  } catch (error) {
+    console.log("Error in protection middleware:", error.message);
+    return next();
+  }
+
+  const { rateLimit, denial } = verdict;
+  if (rateLimit) {
+    res.set({
+      "RateLimit-Limit": String(rateLimit.limit),
+      "RateLimit-Remaining": String(rateLimit.remaining),
+      "RateLimit-Reset": String(rateLimit.resetSeconds),
+      "RateLimit-Policy": `${rateLimit.limit};w=${rateLimit.windowSeconds}`,
+    });
+  }
+
+  if (!denial) return next();
+
+  const { status, message } = DENIALS[denial];
+  if (denial === "rateLimit") {
+    res.set("Retry-After", String(rateLimit.resetSeconds));
+    return res.status(status).json({ message, retryAfter: rateLimit.resetSeconds });
+  }
+  res.status(status).json({ message });
+};
@@ -11,21 +11,27 @@
  *     so we manually parse the `Cookie` header string to find the jwt value.
  *  2. Verifies the JWT using JWT_SECRET from environment variables.
  *  3. Fetches the user from MongoDB (password field excluded).
- *  4. Attaches `socket.user` (full user object) and `socket.userId` (string)
- *     so the `connection` handler in socket.js knows who just connected.
- *  5. Calls `next()` on success or `next(new Error(...))` to reject
+ *  4. Rejects tokens whose session has been logged out or revoked, and
+ *     tokens issued before the user's last password reset.
+ *  5. Attaches `socket.user` (full user object), `socket.userId` and
+ *     `socket.sessionId` (strings) so the `connection` handler in socket.js
+ *     knows who just connected — and from which session.
+ *  6. Calls `next()` on success or `next(new Error(...))` to reject
  *     the connection without crashing the server.
  *
  * Rejection reasons (connection is refused):
  *  - No `jwt` cookie present in the handshake.
  *  - Token is invalid or expired.
  *  - User belonging to the token no longer exists in the database.
+ *  - The token's session was logged out or revoked.
+ *  - The password was reset after the token was issued.
  *
  * Note: `socket.user.fullName` is referenced in socket.js console logs,
  * but the User model uses `username` — update those logs if needed.
  */
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import { ENV } from "../lib/env.js";
 
 export const socketAuthMiddleware = async (socket, next) => {
@@ -57,9 +63,18 @@ export const socketAuthMiddleware = async (socket, next) => {
             return next(new Error("User not found"));
         }
 
+        // the session must still exist, and a password reset signs out every session
+        const session = await Session.findById(decoded.sid);
+        if (!session || !session.userId.equals(user._id) || user.changedPasswordAfter(decoded.iat)) {
+            console.log("Socket connection rejected: Session expired");
+            return next(new Error("Unauthorized - Session expired"));
+        }
+        await session.touch();
+
         // attach user info to socket
         socket.user = user;
         socket.userId = user._id.toString();
+        socket.sessionId = session._id.toString();
 
         console.log(`Socket authenticated for user: ${user.username} (${user._id})`);
 
@@ -0,0 +1,223 @@
+/**
+ * socket.guard.middleware.js — Socket.io Event Limits & Validation
+ *
+ * The HTTP routes are rate limited (protection.middleware.js), but a connected
+ * socket can emit events as fast as it likes. `socketEventGuard(socket)`
+ * returns a per-socket middleware (`socket.use(...)`, registered first thing
+ * in the connection handler) that every incoming event passes through:
+ *
+ *  1. Known events only — anything not in SOCKET_EVENT_RULES is dropped.
+ *  2. Token bucket per user and event — each event has a `capacity` (burst)
+ *     and a `refillPerSecond` rate. The bucket is shared by all of a user's
+ *     sockets on this instance, so opening more tabs doesn't buy more events.
+ *  3. Payload schema — the first argument must be an object with exactly the
+ *     listed fields, of the listed types (see `validatePayload`).
+ *
+ * A rejected event never reaches its handler. The client gets a
+ * `socket:error` event { code, event, message, retryAfter? } — or, if the
+ * event was sent with an acknowledgement callback, the ack is called with
+ * { error, code } instead. Codes: "UNKNOWN_EVENT", "RATE_LIMITED",
+ * "INVALID_PAYLOAD", "TOO_MANY_VIOLATIONS".
+ *
+ * Every rejection is a violation. A user with more than MAX_VIOLATIONS within
+ * VIOLATION_WINDOW_MS is sent "TOO_MANY_VIOLATIONS" and the offending socket
+ * is disconnected.
+ *
+ * Adding a socket event: add its handler in lib/socket.js *and* an entry here,
+ * otherwise the guard drops it.
+ *
+ * Monitoring:
+ *  getSocketEventStats() → { totals, events } — counts of accepted, rate
+ *  limited and invalid events (per event name too), unknown events and
+ *  disconnections since this instance started. Served by GET /api/metrics.
+ */
+
+// --- Rules ---
+// schema: { field: "objectId" | "key" | "string" | "number" | "boolean" } — a "?" suffix
+// makes the field optional. oneOf: fields of which exactly one must be present.
+// maxLength: { field: n } — longest string allowed in that field.
+
+const CONVERSATION_TARGET = {
+    schema: { receiverId: "objectId?", groupId: "objectId?" },
+    oneOf: ["receiverId", "groupId"],
+};
+
+export const SOCKET_EVENT_RULES = {
+    "typing:start": { capacity: 10, refillPerSecond: 1, ...CONVERSATION_TARGET },
+    "typing:stop": { capacity: 10, refillPerSecond: 1, ...CONVERSATION_TARGET },
+    // bursts of a few messages, then one every 2s (the sendMessage rate limit applies too)
+    "message:send": {
+        capacity: 10,
+        refillPerSecond: 0.5,
+        schema: {
+            ...CONVERSATION_TARGET.schema,
+            text: "string?",
+            image: "string?",
+            replyTo: "objectId?",
+            clientMessageId: "key",
+        },
+        oneOf: CONVERSATION_TARGET.oneOf,
+        maxLength: { text: 2000 }, // the Message model's limit
+    },
+};
+
+const MAX_VIOLATIONS = 20;
+const VIOLATION_WINDOW_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// --- Validation ---
+
+const OBJECT_ID_REGEX = /^[a-f\d]{24}$/i;
+const KEY_REGEX = /^[\w-]{8,64}$/;
+const TYPE_CHECKS = {
+    objectId: (value) => typeof value === "string" && OBJECT_ID_REGEX.test(value),
+    key: (value) => typeof value === "string" && KEY_REGEX.test(value), // e.g. an idempotency key
+    string: (value) => typeof value === "string",
+    number: (value) => typeof value === "number" && Number.isFinite(value),
+    boolean: (value) => typeof value === "boolean",
+};
+
+// Returns null if the payload matches the rule, otherwise what's wrong with it
+export function validatePayload(payload, { schema, oneOf, maxLength = {} }) {
+    if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+        return "payload must be an object";
+    }
+
+    const unknownField = Object.keys(payload).find((field) => !(field in schema));
+    if (unknownField) return `unexpected field "${unknownField}"`;
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const isOptional = spec.endsWith("?");
+        const type = isOptional ? spec.slice(0, -1) : spec;
+        if (payload[field] === undefined) {
+            if (!isOptional) return `"${field}" is required`;
+            continue;
+        }
+        if (!TYPE_CHECKS[type](payload[field])) return `"${field}" must be a valid ${type}`;
+        if (payload[field].length > maxLength[field]) {
+            return `"${field}" must be at most ${maxLength[field]} characters`;
+        }
+    }
+
+    if (oneOf && oneOf.filter((field) => payload[field] !== undefined).length !== 1) {
+        return `exactly one of ${oneOf.join(", ")} is required`;
+    }
+    return null;
+}
+
+// --- Token buckets & violations (per user, on this instance) ---
+
+const buckets = new Map();    // "<userId>:<event>" → { tokens, updatedAt }
+const violations = new Map(); // userId → timestamps of recent violations
+
+// Takes one token from the user's bucket for `event`. Returns 0 on success,
+// otherwise the seconds until a token will be available.
+function takeToken(userId, event, { capacity, refillPerSecond }) {
+    const key = `${userId}:${event}`;
+    const now = Date.now();
+    const bucket = buckets.get(key) ?? { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(
+        capacity,
+        bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond
+    );
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / refillPerSecond);
+    bucket.tokens -= 1;
+    return 0;
+}
+
+// Records a violation; true once the user has had too many of them recently
+function recordViolation(userId) {
+    const now = Date.now();
+    const recent = (violations.get(userId) ?? []).filter((at) => now - at < VIOLATION_WINDOW_MS);
+    recent.push(now);
+    violations.set(userId, recent);
+    return recent.length > MAX_VIOLATIONS;
+}
+
+// Drop buckets that have refilled completely and violations that have aged out
+setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+        const rule = SOCKET_EVENT_RULES[key.slice(key.indexOf(":") + 1)];
+        const fullAt = bucket.updatedAt + ((rule.capacity - bucket.tokens) / rule.refillPerSecond) * 1000;
+        if (fullAt <= now) buckets.delete(key);
+    });
+    violations.forEach((timestamps, userId) => {
+        if (now - timestamps[timestamps.length - 1] >= VIOLATION_WINDOW_MS) violations.delete(userId);
+    });
+}, PRUNE_INTERVAL_MS).unref();
+
+// --- Counters ---
+
+const totals = { accepted: 0, rateLimited: 0, invalid: 0, unknownEvent: 0, disconnected: 0 };
+const eventCounts = {}; // event → { accepted, rateLimited, invalid }
+
+function count(outcome, event) {
+    totals[outcome] += 1;
+    if (!SOCKET_EVENT_RULES[event]) return; // don't let clients invent keys here
+    eventCounts[event] ??= { accepted: 0, rateLimited: 0, invalid: 0 };
+    eventCounts[event][outcome] += 1;
+}
+
+export function getSocketEventStats() {
+    return { totals: { ...totals }, events: structuredClone(eventCounts) };
+}
+
+// --- Middleware ---
+
+const MESSAGES = {
+    UNKNOWN_EVENT: "Unknown event",
+    RATE_LIMITED: "Too many events, slow down",
+    INVALID_PAYLOAD: "Invalid payload",
+};
+
+export function socketEventGuard(socket) {
+    const userId = socket.userId;
+
+    // Tells the client what went wrong — through the ack if the event had one
+    const reject = (event, args, code, details = {}) => {
+        const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+        const message = details.reason ? `${MESSAGES[code]}: ${details.reason}` : MESSAGES[code];
+        if (ack) ack({ error: message, code, retryAfter: details.retryAfter });
+        else socket.emit("socket:error", { code, event, message, retryAfter: details.retryAfter });
+
+        if (recordViolation(userId)) {
+            count("disconnected", event);
+            console.log(`Disconnecting ${socket.user.username}: too many socket violations`);
+            socket.emit("socket:error", {
+                code: "TOO_MANY_VIOLATIONS",
+                event,
+                message: "Too many invalid or rate-limited events",
+            });
+            socket.disconnect();
+        }
+    };
+
+    // Never calling next() drops the event before any handler sees it
+    return ([event, ...args], next) => {
+        const rule = SOCKET_EVENT_RULES[event];
+        if (!rule) {
+            count("unknownEvent", event);
+            return reject(event, args, "UNKNOWN_EVENT");
+        }
+
+        const retryAfter = takeToken(userId, event, rule);
+        if (retryAfter > 0) {
+            count("rateLimited", event);
+            return reject(event, args, "RATE_LIMITED", { retryAfter });
+        }
+
+        const problem = validatePayload(args[0], rule);
+        if (problem) {
+            count("invalid", event);
+            return reject(event, args, "INVALID_PAYLOAD", { reason: problem });
+        }
+
+        count("accepted", event);
+        next();
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * Group.js — Mongoose Group Model
+ *
+ * Defines the schema and model for group conversations in Whisprr.
+ * A group is a named conversation with any number of members; messages
+ * sent to it carry a `groupId` instead of a `receiverId` (see message.js).
+ *
+ * Schema Fields:
+ *  name        String   — Required, trimmed, max 50 chars. Shown in the sidebar and header.
+ *  avatar      String   — Cloudinary URL of the group picture. Defaults to "".
+ *  members     Array    — One entry per member: { user: ObjectId (ref: User), role }.
+ *                         role is "admin" or "member". Admins can add/remove members
+ *                         and change roles; every group always keeps at least one admin.
+ *  createdBy   ObjectId (ref: User) — The user who created the group (its first admin).
+ *
+ * Auto-generated fields (via { timestamps: true }):
+ *  createdAt, updatedAt
+ *
+ * Real-time delivery: every group has a socket.io room named "group:<groupId>"
+ * (see getGroupRoom in lib/socket.js). Online members join it on connect.
+ *
+ * Methods:
+ *  group.removeMember(userId) — Takes a member out (leaving the group, or their
+ *                         account being deleted), keeping at least one admin.
+ *                         The last member out deletes the group with its
+ *                         messages. Resolves to true if the group was deleted.
+ */
+import mongoose from "mongoose";
+import Message from "./message.js";
+import ReadState from "./ReadState.js";
+
+// Each member entry is an embedded sub-document (no separate collection)
+const groupMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "member"], // only these two roles exist
+      default: "member",
+    },
+  },
+  { _id: false } // members are identified by their user ID — no extra _id needed
+);
+
+const groupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    avatar: {
+      type: String,
+      default: "", // empty string means no picture set yet
+    },
+    members: [groupMemberSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// "Which groups am I in?" is asked on every socket connect and sidebar load
+groupSchema.index({ "members.user": 1 });
+
+// Removes userId from the members (populated or not) and saves — or, if nobody
+// is left, deletes the group along with its messages and read positions
+//
+//   const wasDeleted = await group.removeMember(userId);
+groupSchema.methods.removeMember = async function (userId) {
+  this.members = this.members.filter((member) => !(member.user._id || member.user).equals(userId));
+
+  if (this.members.length === 0) {
+    await Message.deleteMany({ groupId: this._id });
+    await ReadState.deleteMany({ chatId: this._id });
+    await this.deleteOne();
+    return true;
+  }
+
+  // members keep insertion order, so members[0] is the longest-standing member
+  if (!this.members.some((member) => member.role === "admin")) {
+    this.members[0].role = "admin";
+  }
+  await this.save();
+  return false;
+};
+
+// Create the "Group" model from the schema (MongoDB collection: "groups")
+const Group = mongoose.model("Group", groupSchema);
+
+export default Group;
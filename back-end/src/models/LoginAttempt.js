@@ -0,0 +1,58 @@
+/**
+ * LoginAttempt.js — Mongoose Login Attempt Model
+ *
+ * Counts recent failed logins so lib/loginThrottle.js can slow down and then
+ * lock out password guessing. There is one document per thing being guessed
+ * against, keyed by scope:
+ *
+ *  "account:<email>" — failures for one email address, whether or not an
+ *                      account exists for it (so lockouts don't reveal that).
+ *  "ip:<address>"    — failures from one client IP, across every email it tries.
+ *
+ * Documents are kept in MongoDB rather than in memory so every back-end
+ * instance sees the same counts, and so a restart doesn't reset them.
+ *
+ * Schema Fields:
+ *  key           String — Required, unique. "<scope>:<value>" as above.
+ *  failures      Number — Failed attempts since the window started (or since
+ *                         the last lockout ended).
+ *  lastFailureAt Date   — When the last failure happened.
+ *  nextAttemptAt Date   — Backoff: no attempts are accepted before this.
+ *  lockedUntil   Date   — Lockout: no attempts are accepted before this.
+ *  expiresAt     Date   — When the counts are forgotten. Pushed back on every
+ *                         failure; MongoDB's TTL monitor deletes the document
+ *                         once it has passed.
+ */
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  nextAttemptAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+});
+
+// TTL index — MongoDB removes each record once its expiresAt has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the "LoginAttempt" model from the schema (MongoDB collection: "loginattempts")
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,57 @@
+/**
+ * ReadState.js — Mongoose ReadState Model
+ *
+ * Remembers, per user and per conversation, when that user last read it.
+ * Unread counts in the Chats tab are "messages from others since lastReadAt"
+ * (see Message.getChatSummaries).
+ *
+ * This is separate from a message's `status` on purpose: read receipts can be
+ * turned off for privacy, in which case messages are never marked "seen" —
+ * but the reader's own unread badges still have to clear.
+ *
+ * Schema Fields:
+ *  userId      ObjectId (ref: User) — Required. Whose read position this is.
+ *  chatId      ObjectId             — Required. The conversation: the partner's user
+ *                                     ID for a direct chat, or the group's ID.
+ *                                     (ObjectIds are unique across collections, so
+ *                                     the two can never clash.)
+ *  lastReadAt  Date                 — Required. When the user last had the chat open.
+ *
+ * One document per (userId, chatId) pair — created on first read by `markRead`.
+ */
+import mongoose from "mongoose";
+
+const readStateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId, // a User _id (direct chat) or a Group _id
+    required: true,
+  },
+  lastReadAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Exactly one read position per user per conversation
+readStateSchema.index({ userId: 1, chatId: 1 }, { unique: true });
+
+// Records that userId has read everything in chatId up to now
+//
+//   await ReadState.markRead(req.user._id, groupId);
+readStateSchema.statics.markRead = function (userId, chatId) {
+  return this.updateOne(
+    { userId, chatId },
+    { lastReadAt: new Date() },
+    { upsert: true } // first time this chat is read → create the document
+  );
+};
+
+// Create the "ReadState" model from the schema (MongoDB collection: "readstates")
+const ReadState = mongoose.model("ReadState", readStateSchema);
+
+export default ReadState;
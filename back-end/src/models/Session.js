@@ -0,0 +1,93 @@
+/**
+ * Session.js — Mongoose Session Model
+ *
+ * One document per signed-in device (browser). Its `_id` is embedded in the
+ * access token (JWT) as `sid`, and protectRoute / socketAuthMiddleware only
+ * accept a token whose session still exists — so deleting the document
+ * (logout, "log out this device", "log out all other devices", password
+ * reset) kills the cookie immediately.
+ *
+ * A session is also a refresh-token family. Each POST /api/auth/refresh
+ * rotates the refresh token: the new secret's hash replaces the old one. If a
+ * superseded token ever comes back, someone kept a copy — the whole session
+ * is deleted, signing out both the thief and the victim. The one exception is
+ * a token rotated less than REFRESH_REUSE_GRACE_MS ago: two tabs refreshing at
+ * the same moment both present it, and that's not theft.
+ *
+ * Schema Fields:
+ *  userId      ObjectId (ref: User) — Required. Who is signed in.
+ *  userAgent   String               — The browser's User-Agent at login, to tell
+ *                                     devices apart in the sessions list.
+ *  ip          String               — The IP address the user logged in from.
+ *  lastSeenAt  Date                 — Last authenticated request or socket
+ *                                     connection (updated at most once a minute).
+ *  refreshTokenHash         String  — Required. SHA-256 of the current refresh secret.
+ *  previousRefreshTokenHash String  — The one it replaced (reuse detection).
+ *  rotatedAt   Date                 — When the refresh token was last rotated.
+ *  expiresAt   Date                 — When the refresh token runs out; pushed back
+ *                                     on every refresh. MongoDB's TTL monitor
+ *                                     deletes expired sessions by itself.
+ *
+ * Auto-generated fields (via { timestamps: true }):
+ *  createdAt (= login time), updatedAt
+ */
+import mongoose from "mongoose";
+import { REFRESH_TOKEN_LIFETIME_MS } from "../lib/utils.js";
+
+export const REFRESH_REUSE_GRACE_MS = 30 * 1000; // concurrent refreshes from several tabs
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000; // don't write on every single request
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true, // listing / revoking a user's sessions
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    previousRefreshTokenHash: {
+      type: String,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS),
+    },
+  },
+  { timestamps: true }
+);
+
+// TTL index — MongoDB removes each session once its expiresAt has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Records activity on this session, at most once per LAST_SEEN_RESOLUTION_MS
+//
+//   await session.touch();
+sessionSchema.methods.touch = function () {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) return;
+  this.lastSeenAt = new Date();
+  return this.updateOne({ lastSeenAt: this.lastSeenAt }); // leaves the token fields alone
+};
+
+// Create the "Session" model from the schema (MongoDB collection: "sessions")
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
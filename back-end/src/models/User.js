@@ -8,13 +8,37 @@
  *  email           String  — Required, unique, lowercased. Used for login and emails.
  *  password        String  — Required, min 6 chars. Stored as a bcrypt hash.
  *  profilePicture  String  — Cloudinary URL of the user's avatar. Defaults to "".
- *  bio             String  — Optional short bio text. Defaults to "".
+ *  bio             String  — Optional short bio text, up to 160 characters. Defaults to "".
+ *  readReceiptsEnabled Boolean — Privacy setting. When false, opening a chat never
+ *                            marks the other person's messages as "seen", so they
+ *                            don't learn when this user read them. Defaults to true.
+ *  passwordChangedAt Date  — When the password was last changed or reset. Login tokens
+ *                            issued before this are rejected (see changedPasswordAfter),
+ *                            which signs the user out everywhere else.
+ *  emailVerified   Boolean — Whether the user has clicked the link in their verification
+ *                            email. Until then, UNVERIFIED_ACCOUNT_POLICY decides what
+ *                            they may do (see protectRoute). Defaults to false.
+ *  verificationEmailSentAt Date — When the last verification email went out. Used to
+ *                            rate-limit the "resend" button.
+ *  twoFactorEnabled Boolean — Whether login asks for an authenticator code after the
+ *                            password. Defaults to false.
+ *  twoFactorSecret String  — The TOTP secret (base32) shared with the authenticator app.
+ *  twoFactorPendingSecret String — A secret handed out by setup but not confirmed with
+ *                            a first code yet. Becomes twoFactorSecret on confirmation.
+ *  twoFactorBackupCodes [String] — bcrypt hashes of the unused one-time backup codes.
+ *  twoFactorLastUsedStep Number — Time step of the last accepted code, so the same
+ *                            code can't be used twice.
+ *  deletionScheduledAt Date — Set when the user asked for their account to be deleted:
+ *                            when the grace period ends and it really is (see
+ *                            lib/accountDeletion.js). Unset again if they cancel.
  *
  * Auto-generated fields (via { timestamps: true }):
  *  createdAt, updatedAt
  *
  * Note: The password field is excluded from API responses by using
- * `.select("-password")` in the auth middleware and controllers.
+ * `.select("-password")` in the auth middleware and controllers. The 2FA
+ * secrets are `select: false` — they're only loaded where explicitly asked
+ * for with `.select("+twoFactorSecret …")`.
  */
 import mongoose from "mongoose";
 
@@ -45,13 +69,61 @@ const userSchema = new mongoose.Schema({
     },
     bio: {
         type: String,
-        default: ""          // optional — users don't have to fill this in
+        default: "",         // optional — users don't have to fill this in
+        trim: true,
+        maxlength: 160       // checked in the controller too, for a friendlier error
+    },
+    readReceiptsEnabled: {
+        type: Boolean,
+        default: true        // senders can see when their messages were read
+    },
+    passwordChangedAt: {
+        type: Date           // unset until the password is first changed or reset
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false       // set by the link in the verification email
+    },
+    verificationEmailSentAt: {
+        type: Date
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false        // never part of a user loaded for a response
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false,
+        default: undefined   // no empty array on users without 2FA
+    },
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false
+    },
+    deletionScheduledAt: {
+        type: Date,
+        index: { sparse: true } // the deletion sweep looks for due accounts
     }
 },
     {
         timestamps: true // Mongoose automatically adds createdAt and updatedAt to every document
     });
 
+// True if the password was changed after a JWT was issued — that token is no longer valid
+// `iat` is the token's "issued at" time in seconds (see jwt.verify's decoded payload)
+userSchema.methods.changedPasswordAfter = function (iat) {
+    if (!this.passwordChangedAt) return false;
+    return iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
 // Create the model from the schema (Mongoose will create a "users" collection in MongoDB)
 const User = mongoose.model("User", userSchema);
 
@@ -5,18 +5,96 @@
  *
  * Schema Fields:
  *  senderId    ObjectId (ref: User) — Required. The user who sent the message.
- *  receiverId  ObjectId (ref: User) — Required. The user who receives the message.
+ *  receiverId  ObjectId (ref: User) — The user who receives a direct message.
+ *                                     Required unless the message belongs to a group.
+ *  groupId     ObjectId (ref: Group)— Set only for group messages (see Group.js).
  *  text        String               — Optional. The text content (max 2000 chars).
  *  image       String               — Optional. Cloudinary URL of an attached image.
+ *  replyTo     ObjectId (ref: Message) — Optional. The earlier message this one answers;
+ *                                     always in the same conversation (checked when
+ *                                     sending). When populated (see populateReplies) it is
+ *                                     sent to clients as a compact snapshot:
+ *                                     { _id, senderId, text (excerpt), image (thumbnail), isDeleted }.
+ *  status      String               — Delivery state of a direct message:
+ *                                     "sent"      → saved on the server (default)
+ *                                     "delivered" → the recipient's socket received it
+ *                                     "seen"      → the recipient opened the chat
+ *                                     Only ever moves forward (see advanceStatus).
+ *                                     Group messages stay "sent" — there is no
+ *                                     per-member receipt tracking for groups.
+ *  deliveredAt Date                 — When the status became "delivered".
+ *  seenAt      Date                 — When the status became "seen".
+ *  editedAt    Date                 — When the text was last edited (unset if never).
+ *  editHistory Array                — Previous versions of the text, oldest first:
+ *                                     [{ text, editedAt }] where editedAt is when that
+ *                                     version was replaced.
+ *  isDeleted   Boolean              — "Deleted for everyone" by its sender. The text,
+ *                                     image and edit history are wiped and the message
+ *                                     stays behind as a tombstone ("This message was
+ *                                     deleted") so the conversation keeps its shape.
+ *  deletedAt   Date                 — When it was deleted for everyone.
+ *  reactions   Map<emoji, [ObjectId]> — Who reacted with what, e.g.
+ *                                     { "👍": [userA, userB], "😂": [userA] }.
+ *                                     A user can add several different emojis, each
+ *                                     at most once. Emojis with no users left are
+ *                                     removed. Sent to clients as a plain object.
+ *  clientMessageId String           — Optional. The idempotency key the sender's client
+ *                                     generated for this message; unique per sender, so
+ *                                     a retried send can't save it twice (see
+ *                                     lib/messageSending.js). Also how the client matches
+ *                                     the saved message to its optimistic copy.
+ *  deletedFor  [ObjectId] (ref: User) — Users who chose "delete for me"; the message is
+ *                                     hidden from them only. Never returned to clients
+ *                                     (select: false) — add `deletedFor: { $ne: userId }`
+ *                                     to queries to skip these messages.
  *
  * Auto-generated fields (via { timestamps: true }):
  *  createdAt — used in the UI to display the message timestamp.
- *  updatedAt
+ *  updatedAt — the last change (edit, deletion, reaction, delivered / seen);
+ *              the reconnect sync (GET /api/messages/sync) goes by it.
  *
  * Either `text` or `image` must be present (validated in the controller).
- * Message history between two users is fetched using a bidirectional $or query.
+ * Message history between two users is fetched using a bidirectional $or query;
+ * group history is fetched by groupId. Both are paginated with `Message.findPage`
+ * (see below), using the oldest loaded message's _id as the `before` cursor.
+ *
+ * The Chats tab's last-message previews and unread counts are computed in one
+ * aggregation per chat type by `Message.getChatSummaries` (see below).
+ *
+ * Message search (GET /api/messages/search) uses the text index on `text`;
+ * MongoDB allows only one text index per collection.
  */
 import mongoose from "mongoose";
+import ReadState from "./ReadState.js";
+
+// What clients get to see of a quoted message
+const REPLY_SNAPSHOT_FIELDS = "senderId text image isDeleted";
+const REPLY_EXCERPT_LENGTH = 100; // characters of the quoted text to include
+
+// Cloudinary can resize on the fly — ask for a small square instead of the full image
+const toThumbnailUrl = (url) =>
+  url?.includes("res.cloudinary.com") ? url.replace("/upload/", "/upload/c_fill,w_120,h_120/") : url;
+
+// Turns a populated replyTo into the compact snapshot described in the header
+const toReplySnapshot = (quoted) => ({
+  _id: quoted._id,
+  senderId: quoted.senderId,
+  text:
+    quoted.text?.length > REPLY_EXCERPT_LENGTH
+      ? `${quoted.text.slice(0, REPLY_EXCERPT_LENGTH)}…`
+      : quoted.text,
+  image: toThumbnailUrl(quoted.image),
+  isDeleted: quoted.isDeleted,
+});
+
+// One replaced version of an edited message's text
+const editHistoryEntrySchema = new mongoose.Schema(
+  {
+    text: String,
+    editedAt: Date, // when this version was replaced by a newer one
+  },
+  { _id: false }
+);
 
 const messageSchema = new mongoose.Schema(
   {
@@ -28,7 +106,14 @@ const messageSchema = new mongoose.Schema(
     receiverId: {
       type: mongoose.Schema.Types.ObjectId, // same — a reference to the recipient's User _id
       ref: "User",
-      required: true,
+      // direct messages need a receiver; group messages use groupId instead
+      required: function () {
+        return !this.groupId;
+      },
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId, // the group this message was posted in
+      ref: "Group",
     },
     text: {
       type: String,
@@ -41,10 +126,233 @@ const messageSchema = new mongoose.Schema(
       // stores the Cloudinary CDN URL of the image (not the raw base64)
       // not required — a message can be text-only
     },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId, // the message being quoted, if any
+      ref: "Message",
+    },
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "seen"], // see the header comment for what each means
+      default: "sent",
+    },
+    deliveredAt: Date,
+    seenAt: Date,
+    editedAt: Date,
+    editHistory: [editHistoryEntrySchema],
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+    clientMessageId: String,
+    reactions: {
+      type: Map,
+      of: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // emoji → users who reacted
+      default: {},
+    },
+    deletedFor: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false, // private to each user — nobody should see who hid what
+    },
   },
   { timestamps: true } // auto-adds createdAt and updatedAt to every message
 );
 
+// A populated replyTo is sent to clients (res.json / socket emits) as a snapshot only
+messageSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (doc.populated("replyTo") && ret.replyTo) ret.replyTo = toReplySnapshot(ret.replyTo);
+    return ret;
+  },
+});
+
+// Indexes matching the paginated history queries (newest first by _id)
+messageSchema.index({ senderId: 1, receiverId: 1, _id: -1 }); // direct messages
+messageSchema.index({ groupId: 1, _id: -1 });                 // group messages
+messageSchema.index({ text: "text" });                        // full-text message search
+messageSchema.index({ updatedAt: 1, _id: 1 });                // reconnect sync (changes since …)
+// one message per idempotency key and sender (messages without a key aren't indexed)
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $exists: true } } }
+);
+
+// Returns one page of a conversation. Pages go newest-first: the first call
+// (no `before`) returns the latest `limit` messages, and passing the _id of
+// the oldest message you have as `before` returns the page before it.
+// ObjectIds grow over time, so sorting by _id is sorting by send time.
+//
+//   const { messages, hasMore } = await Message.findPage({ groupId }, { before, limit });
+//
+// `messages` is in chronological order (oldest → newest) so it can be rendered
+// directly; `hasMore` tells the client whether an older page exists.
+messageSchema.statics.findPage = async function (filter, { before, limit }) {
+  const query = before ? { ...filter, _id: { $lt: before } } : filter;
+
+  // fetch one extra message — if it exists, there's at least one more page
+  const page = await this.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate("replyTo", REPLY_SNAPSHOT_FIELDS); // quoted messages → reply snapshots
+  const hasMore = page.length > limit;
+
+  return { messages: page.slice(0, limit).reverse(), hasMore };
+};
+
+// Loads the quoted message of one message (or an array of them), so it's sent
+// to clients as a reply snapshot. Use before returning or emitting a message.
+//
+//   await Message.populateReplies(newMessage);
+messageSchema.statics.populateReplies = function (messages) {
+  return this.populate(messages, { path: "replyTo", select: REPLY_SNAPSHOT_FIELDS });
+};
+
+// Moves every message matching `filter` forward to `status` ("delivered" or
+// "seen"). Messages already at or past that status are left alone, so a
+// late "delivered" can never overwrite "seen".
+//
+//   const { at, updates } = await Message.advanceStatus({ receiverId, senderId }, "seen");
+//
+// `updates` groups the changed messages by sender — [{ senderId, messageIds }] —
+// so each sender can be told which of their messages changed (emitMessageStatus).
+messageSchema.statics.advanceStatus = async function (filter, status) {
+  const previousStatuses = status === "seen" ? ["sent", "delivered"] : ["sent"];
+  const query = { ...filter, status: { $in: previousStatuses } };
+
+  const affected = await this.find(query).select("_id senderId");
+  if (affected.length === 0) return { updates: [] };
+
+  const at = new Date();
+  await this.updateMany(
+    { _id: { $in: affected.map((message) => message._id) }, status: { $in: previousStatuses } },
+    { status, [`${status}At`]: at } // deliveredAt or seenAt
+  );
+
+  // { senderId: [messageId, ...] } → [{ senderId, messageIds }]
+  const bySender = {};
+  affected.forEach(({ _id, senderId }) => {
+    (bySender[senderId] ||= []).push(_id.toString());
+  });
+  const updates = Object.entries(bySender).map(([senderId, messageIds]) => ({ senderId, messageIds }));
+
+  return { at, updates };
+};
+
+// Returns one summary per conversation of `userId` for the Chats tab:
+//
+//   const summaries = await Message.getChatSummaries(userId);            // direct chats
+//   const summaries = await Message.getChatSummaries(userId, groupIds);  // those groups
+//
+// Each summary is { chatId, lastMessage, unreadCount }, where chatId is the
+// partner's user ID (direct) or the group ID, lastMessage is a compact copy of
+// the newest message, and unreadCount counts messages from others that arrived
+// after the user's ReadState.lastReadAt for that chat (all of them if never read).
+messageSchema.statics.getChatSummaries = function (userId, groupIds) {
+  const isGroups = Boolean(groupIds);
+
+  // Which messages belong to the user's conversations, and which conversation each one is in
+  // (messages the user deleted "for me" are left out entirely)
+  const match = isGroups
+    ? { groupId: { $in: groupIds }, deletedFor: { $ne: userId } }
+    : {
+        groupId: null,
+        deletedFor: { $ne: userId },
+        $or: [{ senderId: userId }, { receiverId: userId }],
+      };
+  const chatIdExpr = isGroups
+    ? "$groupId"
+    : { $cond: [{ $eq: ["$senderId", userId] }, "$receiverId", "$senderId"] }; // the OTHER person
+
+  // An unread message was sent by someone else, into this chat, after lastReadAt —
+  // and hasn't been deleted since (for everyone, or by the user for themselves)
+  const unreadConditions = [
+    ...(isGroups
+      ? [{ $eq: ["$groupId", "$$chatId"] }, { $ne: ["$senderId", userId] }]
+      : [{ $eq: ["$senderId", "$$chatId"] }, { $eq: ["$receiverId", userId] }]),
+    { $ne: ["$isDeleted", true] },
+    { $not: [{ $in: [userId, { $ifNull: ["$deletedFor", []] }] }] },
+  ];
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { _id: -1 } }, // newest first, so $first below is the latest message
+    {
+      $group: {
+        _id: chatIdExpr,
+        lastMessage: { $first: "$$ROOT" },
+      },
+    },
+    // safety guard against old self-messages, which would list the user as their own partner
+    { $match: { _id: { $ne: userId } } },
+    // the user's read position in each chat (empty array if they never opened it)
+    {
+      $lookup: {
+        from: ReadState.collection.name,
+        let: { chatId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$userId", userId] }, { $eq: ["$chatId", "$$chatId"] }] } } },
+        ],
+        as: "readState",
+      },
+    },
+    // count what arrived since then
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: {
+          chatId: "$_id",
+          lastReadAt: { $ifNull: [{ $arrayElemAt: ["$readState.lastReadAt", 0] }, new Date(0)] },
+        },
+        pipeline: [
+          { $match: { $expr: { $and: [...unreadConditions, { $gt: ["$createdAt", "$$lastReadAt"] }] } } },
+          { $count: "count" },
+        ],
+        as: "unread",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        chatId: "$_id",
+        // only what the sidebar row needs to render a preview
+        lastMessage: {
+          _id: "$lastMessage._id",
+          senderId: "$lastMessage.senderId",
+          text: "$lastMessage.text",
+          image: "$lastMessage.image",
+          isDeleted: "$lastMessage.isDeleted",
+          createdAt: "$lastMessage.createdAt",
+        },
+        unreadCount: { $ifNull: [{ $arrayElemAt: ["$unread.count", 0] }, 0] },
+      },
+    },
+  ]);
+};
+
+// Takes a user's reactions off every message matching `filter` (used when
+// their account is deleted). Emojis nobody else reacted with disappear.
+//
+//   await Message.removeReactionsBy(userId, { groupId: { $in: groupIds } });
+messageSchema.statics.removeReactionsBy = function (userId, filter) {
+  const id = new mongoose.Types.ObjectId(String(userId)); // pipelines aren't cast by Mongoose
+  const remaining = {
+    $filter: {
+      input: {
+        $map: {
+          input: { $objectToArray: "$reactions" }, // { "👍": [ids] } → [{ k: "👍", v: [ids] }]
+          as: "reaction",
+          in: { k: "$$reaction.k", v: { $setDifference: ["$$reaction.v", [id]] } },
+        },
+      },
+      as: "reaction",
+      cond: { $gt: [{ $size: "$$reaction.v" }, 0] },
+    },
+  };
+  return this.updateMany({ ...filter, reactions: { $type: "object" } }, [
+    { $set: { reactions: { $arrayToObject: remaining } } },
+  ]);
+};
+
 // Create the "Message" model from the schema (MongoDB collection: "messages")
 const Message = mongoose.model("Message", messageSchema);
 
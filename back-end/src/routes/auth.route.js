@@ -2,15 +2,39 @@
  * auth.route.js — Authentication Routes
  *
  * Mounts all authentication-related HTTP routes under /api/auth.
- * Every route first passes through `arcjetProtection` (rate limiting + bot/attack blocking).
+ * Every route first passes through `protection("default")` (rate limiting + bot/attack
+ * blocking). Signup, login and forgot-password have stricter limits of their own
+ * on top (see lib/rateLimit.js).
  *
  * Public routes (no JWT required):
  *  POST /api/auth/signup  → signup controller
  *  POST /api/auth/login   → login controller
- *  POST /api/auth/logout  → logout controller
+ *  POST /api/auth/login/2fa → verifyLoginCode (second step when 2FA is on)
+ *  POST /api/auth/refresh → refresh controller (new access token + rotated refresh
+ *                           token, from the refresh cookie)
+ *  POST /api/auth/logout  → logout controller (ends this device's session)
+ *  POST /api/auth/forgot-password → forgotPassword (emails a reset link; generic response)
+ *  POST /api/auth/reset-password  → resetPassword  ({ token, password })
+ *  GET  /api/auth/verify-email/:token → verifyEmail (the link from the verification email)
  *
  * Protected routes (require valid JWT cookie via protectRoute):
  *  PUT  /api/auth/update-profile → updateProfile controller
+ *  PUT  /api/auth/privacy        → updatePrivacy controller (read receipts on/off)
+ *  PUT  /api/auth/account        → updateAccount  ({ username?, bio? })
+ *  PUT  /api/auth/email          → changeEmail    ({ email, password }; re-verification)
+ *  PUT  /api/auth/password       → changePassword ({ currentPassword, newPassword })
+ *  POST /api/auth/resend-verification → resendVerification (new verification email;
+ *                                   once a minute at most)
+ *  GET    /api/auth/sessions     → getSessions (devices you're signed in on)
+ *  DELETE /api/auth/sessions/:id → revokeSession (log one other device out)
+ *  DELETE /api/auth/sessions     → revokeOtherSessions (log out all other devices)
+ *  POST /api/auth/2fa/setup   → setupTwoFactor  ({ password } → secret + otpauth URI)
+ *  POST /api/auth/2fa/enable  → enableTwoFactor ({ code } → backup codes)
+ *  POST /api/auth/2fa/disable → disableTwoFactor ({ password })
+ *  DELETE /api/auth/account      → requestAccountDeletion ({ password }; deleted after
+ *                                   the grace period)
+ *  POST /api/auth/account/cancel-deletion → cancelAccountDeletion
+ *  GET  /api/auth/export         → exportAccountData (JSON download of all your data)
  *  GET  /api/auth/check          → returns req.user (used by frontend on page load
  *                                   to restore the session without re-logging in)
  */
@@ -19,25 +43,71 @@ import {
   signup,
   login,
   logout,
+  refresh,
+  verifyLoginCode,
   updateProfile,
+  updatePrivacy,
+  updateAccount,
+  changeEmail,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 } from "../controllers/auth.controller.js";
-import { protectRoute } from "../middleware/auth.middleware.js";
-import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+} from "../controllers/twoFactor.controller.js";
+import {
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  exportAccountData,
+} from "../controllers/account.controller.js";
+import { ownAccountRoutes, protectRoute } from "../middleware/auth.middleware.js";
+import { protection } from "../middleware/protection.middleware.js";
 
 // express.Router() creates a mini-router just for /api/auth routes
 const router = express.Router();
 
-// Apply Arcjet security to ALL routes in this router (rate limiting + bot/attack protection)
-router.use(arcjetProtection);
+// Apply security to ALL routes in this router (rate limiting + bot/attack protection)
+router.use(protection("default"));
+// Unverified accounts may still use all of these (resend the verification email, etc.)
+router.use(ownAccountRoutes);
 
 // --- Public routes — no login required ---
-router.post("/signup", signup);    // create a new account
-router.post("/login", login);      // log in with email + password
-router.post("/logout", logout);    // clear the JWT cookie
+router.post("/signup", protection("signup"), signup); // create a new account
+router.post("/login", protection("login"), login);    // log in with email + password
+router.post("/login/2fa", protection("login"), verifyLoginCode); // second login step: authenticator / backup code
+router.post("/refresh", refresh);  // trade the refresh cookie for a new access token
+router.post("/logout", logout);    // end this session, clear the auth cookies
+router.post("/forgot-password", protection("forgotPassword"), forgotPassword); // email a password reset link
+router.post("/reset-password", resetPassword);   // set a new password from that link
+router.get("/verify-email/:token", verifyEmail); // confirm the email address
 
 // --- Protected routes — must be logged in (JWT cookie required) ---
 // protectRoute middleware runs first; if it fails, the handler never runs
 router.put("/update-profile", protectRoute, updateProfile); // upload a new profile picture
+router.put("/privacy", protectRoute, updatePrivacy);        // toggle read receipts
+router.put("/account", protectRoute, updateAccount);        // username / bio
+router.put("/email", protectRoute, changeEmail);            // new email (needs re-verifying)
+router.put("/password", protectRoute, changePassword);      // new password (current one required)
+router.post("/resend-verification", protectRoute, resendVerification); // new verification link
+router.get("/sessions", protectRoute, getSessions);              // where you're signed in
+router.delete("/sessions/:id", protectRoute, revokeSession);     // sign one device out
+router.delete("/sessions", protectRoute, revokeOtherSessions);   // sign out everywhere else
+router.post("/2fa/setup", protectRoute, setupTwoFactor);     // new secret for the authenticator app
+router.post("/2fa/enable", protectRoute, enableTwoFactor);   // confirm it with a first code
+router.post("/2fa/disable", protectRoute, disableTwoFactor); // turn 2FA off
+router.delete("/account", protectRoute, requestAccountDeletion);                // schedule deletion
+router.post("/account/cancel-deletion", protectRoute, cancelAccountDeletion);  // keep the account
+router.get("/export", protectRoute, exportAccountData);                        // download your data
 
 // /check is called by the frontend on every page load to restore the session
 // protectRoute verifies the cookie; if valid it sets req.user and we return it
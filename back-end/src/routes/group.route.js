@@ -0,0 +1,50 @@
+/**
+ * group.route.js — Group Conversation Routes
+ *
+ * Mounts all group chat HTTP routes under /api/groups.
+ * Like message.route.js, every route passes through protection("default") and
+ * protectRoute (in that order), so req.user is always set in the controllers.
+ *
+ * Routes:
+ *  GET    /api/groups                        → getMyGroups      (groups you're in)
+ *  POST   /api/groups                        → createGroup      ({ name, memberIds, avatar? })
+ *  GET    /api/groups/:id/messages           → getGroupMessages (paginated: ?before=&limit=)
+ *  POST   /api/groups/:id/messages           → sendGroupMessage (text and/or image;
+ *                                              "sendMessage" rate limit, like direct messages)
+ *  PUT    /api/groups/:id/read               → markGroupAsRead  (clear your unread count)
+ *  POST   /api/groups/:id/members            → addMembers       (admins only)
+ *  DELETE /api/groups/:id/members/:userId    → removeMember     (admins only)
+ *  PATCH  /api/groups/:id/members/:userId    → updateMemberRole (admins only)
+ *  POST   /api/groups/:id/leave              → leaveGroup
+ */
+import express from "express";
+import {
+  addMembers,
+  createGroup,
+  getGroupMessages,
+  getMyGroups,
+  leaveGroup,
+  markGroupAsRead,
+  removeMember,
+  sendGroupMessage,
+  updateMemberRole,
+} from "../controllers/group.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { protection } from "../middleware/protection.middleware.js";
+
+const router = express.Router();
+
+// Same protection as the messaging routes: security check first, then auth
+router.use(protection("default"), protectRoute);
+
+router.get("/", getMyGroups);                            // groups you belong to (Chats tab)
+router.post("/", createGroup);                           // create a new group
+router.get("/:id/messages", getGroupMessages);           // a group's message history
+router.post("/:id/messages", protection("sendMessage"), sendGroupMessage); // post a message to a group
+router.put("/:id/read", markGroupAsRead);                // clear your unread count
+router.post("/:id/members", addMembers);                 // add members
+router.delete("/:id/members/:userId", removeMember);     // remove a member
+router.patch("/:id/members/:userId", updateMemberRole);  // promote/demote a member
+router.post("/:id/leave", leaveGroup);                   // leave the group
+
+export default router;
@@ -2,38 +2,61 @@
  * message.route.js — Messaging Routes
  *
  * Mounts all chat and contact-related HTTP routes under /api/messages.
- * All routes are protected by both arcjetProtection (security/rate limiting)
+ * All routes are protected by both protection("default") (security/rate limiting)
  * and protectRoute (JWT authentication) — applied in that order for efficiency
  * (unauthenticated requests are rejected before hitting the DB).
  *
  * Routes:
  *  GET  /api/messages/contacts  → getAllContacts  (all users except self)
- *  GET  /api/messages/chats     → getChatPartners (users you've chatted with)
- *  GET  /api/messages/:id       → getMessagesByUserId (full message history)
- *  POST /api/messages/send/:id  → sendMessage (text and/or image)
+ *  GET  /api/messages/chats     → getChatPartners (users you've chatted with + previews & unread counts)
+ *  GET  /api/messages/search   → searchMessages  (?q=<words>&before=<messageId>&limit=<n>, newest first)
+ *  GET  /api/messages/sync     → syncMessages    (?since=<date>&after=<messageId>&limit=<n>, by updatedAt —
+ *                                 what arrived or changed while the client's socket was down)
+ *  GET  /api/messages/:id       → getMessagesByUserId (paginated: ?before=<messageId>&limit=<n>)
+ *  POST /api/messages/send/:id  → sendMessage (text and/or image; also limited per user
+ *                                 by the "sendMessage" policy)
+ *  PUT  /api/messages/:id/seen  → markMessagesAsSeen (unread count + read receipts for chat with :id)
+ *  PATCH  /api/messages/:messageId → editMessage   (your own message, within the edit window)
+ *  DELETE /api/messages/:messageId → deleteMessage (?scope=me|everyone)
+ *  PUT    /api/messages/:messageId/reactions/:emoji → addReaction
+ *  DELETE /api/messages/:messageId/reactions/:emoji → removeReaction
  */
 import express from "express";
 import {
+  addReaction,
+  deleteMessage,
+  editMessage,
   getAllContacts,
   getChatPartners,
   getMessagesByUserId,
+  markMessagesAsSeen,
+  removeReaction,
+  searchMessages,
   sendMessage,
+  syncMessages,
 } from "../controllers/message.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import { protection } from "../middleware/protection.middleware.js";
 
 const router = express.Router();
 
 // Apply BOTH middlewares to every route in this file:
-// 1. arcjetProtection — rejects bots and rate-limits excessive requests
+// 1. protection      — rejects bots and rate-limits excessive requests
 // 2. protectRoute     — verifies the JWT cookie and attaches req.user
 // Order matters: security check runs first so unauthenticated requests
 // are blocked early, before any database work is done.
-router.use(arcjetProtection, protectRoute);
+router.use(protection("default"), protectRoute);
 
 router.get("/contacts", getAllContacts);       // all users (for Contacts tab)
 router.get("/chats", getChatPartners);         // chat history partners (for Chats tab)
+router.get("/search", searchMessages);         // full-text search (must come before /:id)
+router.get("/sync", syncMessages);             // catch up after a reconnect (must come before /:id)
 router.get("/:id", getMessagesByUserId);       // messages with a specific user
-router.post("/send/:id", sendMessage);         // send a message to a specific user
+router.post("/send/:id", protection("sendMessage"), sendMessage); // send a message to a specific user
+router.put("/:id/seen", markMessagesAsSeen);   // mark a user's messages to us as seen
+router.patch("/:messageId", editMessage);      // edit one of your messages
+router.delete("/:messageId", deleteMessage);   // delete a message for you or for everyone
+router.put("/:messageId/reactions/:emoji", addReaction);       // react with an emoji
+router.delete("/:messageId/reactions/:emoji", removeReaction); // take a reaction back
 
 export default router;
\ No newline at end of file
@@ -8,9 +8,16 @@
  * Responsibilities:
  *  - Registers global middleware: JSON body parser (10mb limit for base64 images),
  *    CORS (configured to allow the frontend origin with credentials), and cookie parser.
- *  - Mounts route groups: /api/auth for authentication, /api/messages for chat.
+ *  - Mounts route groups: /api/auth for authentication, /api/messages for chat,
+ *    /api/groups for group conversations.
  *  - Serves the built React frontend in production mode (static files + SPA fallback).
+ *  - Sets up the socket.io adapter (Redis when SOCKET_ADAPTER=redis) and the rate
+ *    limiter store (Redis when RATE_LIMITER=redis) before listening.
  *  - Connects to MongoDB via connectDB() after the server starts listening.
+ *  - Serves GET /api/metrics (socket event counters) to monitoring that presents
+ *    the METRICS_TOKEN as a Bearer token.
+ *  - Starts the hourly sweep that deletes accounts whose deletion grace period
+ *    is over (lib/accountDeletion.js).
  *
  * Environment Variables Required:
  *  PORT, MONGO_URI, CLIENT_URL, NODE_ENV
@@ -21,15 +28,21 @@ import express from "express";
 import dotenv from "dotenv";
 import authRoutes from "./routes/auth.route.js";
 import messageRoutes from "./routes/message.route.js";
+import groupRoutes from "./routes/group.route.js";
 import { login, signup, logout } from "./controllers/auth.controller.js";
+import { protection } from "./middleware/protection.middleware.js";
+import { initRateLimiter } from "./lib/rateLimit.js";
+import { getSocketEventStats } from "./middleware/socket.guard.middleware.js";
 import Path from "path";
+import crypto from "crypto";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import { connectDB } from "./lib/db.js";
+import { startAccountDeletionSweep } from "./lib/accountDeletion.js";
 
 // Import the shared app, server, and socket from socket.js
 // (socket.js creates the http server that socket.io needs)
-import { app, server } from "./lib/socket.js";
+import { app, initSocketAdapter, server } from "./lib/socket.js";
 
 // __dirname doesn't exist in ES Modules — Path.resolve() gives the same result
 const __dirname = Path.resolve();
@@ -42,30 +55,65 @@ dotenv.config({ path: Path.resolve(__dirname, "../.env") });
 const PORT = process.env.PORT || 3000;
 
 // --- Global Middleware ---
+// In production we sit behind the host's proxy — take the client's IP from
+// X-Forwarded-For (it's recorded on login sessions) instead of the proxy's own
+if (process.env.NODE_ENV === "production") app.set("trust proxy", 1);
 // Parse incoming JSON bodies (limit raised to 10mb so base64 images fit)
 app.use(express.json({ limit: "10mb" }));
 // Allow requests from the frontend origin and allow cookies to be sent
-app.use(cors({ origin: process.env.CLIENT_URL, credentials: true }));
+// (and let it read the rate limit headers)
+app.use(
+  cors({
+    origin: process.env.CLIENT_URL,
+    credentials: true,
+    exposedHeaders: [
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+    ],
+  })
+);
 // Parse cookies from incoming requests (needed to read the JWT cookie)
 app.use(cookieParser());
 
 // --- Duplicate routes for compatibility ---
-// These ensure /auth/login and /api/auth/login both work (belt and suspenders)
-app.post("/auth/login", login);
-app.post("/api/auth/login", login);
-app.post("/auth/signup", signup);
-app.post("/api/auth/signup", signup);
-app.post("/auth/logout", logout);
-app.post("/api/auth/logout", logout);
+// These ensure /auth/login and /api/auth/login both work (belt and suspenders).
+// They answer before authRoutes does, so they need the same protection.
+const loginProtection = [protection("default"), protection("login")];
+const signupProtection = [protection("default"), protection("signup")];
+app.post("/auth/login", loginProtection, login);
+app.post("/api/auth/login", loginProtection, login);
+app.post("/auth/signup", signupProtection, signup);
+app.post("/api/auth/signup", signupProtection, signup);
+app.post("/auth/logout", protection("default"), logout);
+app.post("/api/auth/logout", protection("default"), logout);
 
 // --- Main route groups ---
 app.use("/api/auth", authRoutes);    // all auth endpoints (signup, login, etc.)
 app.use("/auth", authRoutes);        // duplicate mount for compatibility
 app.use("/api/messages", messageRoutes); // all chat/messaging endpoints
+app.use("/api/groups", groupRoutes);     // group conversations
 
 // Health check — hit GET /api/health to verify the server is up
 app.get("/api/health", (_, res) => res.json({ ok: true, message: "API is running" }));
 
+// Monitoring — this instance's socket event counters (accepted, rate limited,
+// invalid, disconnections). Only exists when METRICS_TOKEN is set, and needs it
+// as "Authorization: Bearer <token>".
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest();
+app.get("/api/metrics", (req, res, next) => {
+  if (!process.env.METRICS_TOKEN) return next(); // → JSON 404 below
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  const authorized =
+    scheme === "Bearer" &&
+    token &&
+    crypto.timingSafeEqual(hashToken(token), hashToken(process.env.METRICS_TOKEN));
+  if (!authorized) return res.status(401).json({ message: "Unauthorized" });
+  res.json({ uptimeSeconds: Math.round(process.uptime()), socketEvents: getSocketEventStats() });
+});
+
 // --- Production: serve the built React app ---
 if (process.env.NODE_ENV === "production") {
   // Serve static files from the Vite build output folder
@@ -83,8 +131,14 @@ app.use("/api", (req, res) => {
   res.status(404).json({ error: "Not found", path: req.method + " " + req.path });
 });
 
+// Share socket.io broadcasts and presence with other instances (SOCKET_ADAPTER=redis).
+// Done before listening so no socket connects to a half-configured server.
+await initSocketAdapter();
+await initRateLimiter(); // shared counters when RATE_LIMITER=redis
+
 // Start the HTTP server and connect to MongoDB once it's ready
 server.listen(PORT, () => {
   console.log("Server is running on port: " + PORT);
   connectDB(); // connect to MongoDB after the server starts
+  startAccountDeletionSweep(); // its first queries wait for the connection
 });
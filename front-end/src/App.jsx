@@ -12,11 +12,17 @@
  *
  * Routes:
  *  /        → ChatPage    (authenticated users only; redirects to /login otherwise)
+ *  /settings → SettingsPage (authenticated users only) — username, bio, email, password
  *  /login   → LoginPage   (unauthenticated only; redirects to / if already logged in)
  *  /signup  → SignUpPage  (unauthenticated only; redirects to / if already logged in)
+ *  /forgot-password       → ForgotPasswordPage (unauthenticated only)
+ *  /reset-password/:token → ResetPasswordPage  (always reachable — the emailed link
+ *                           may be opened in a browser that is still logged in)
+ *  /verify-email/:token   → VerifyEmailPage    (always reachable, for the same reason)
  *
  * Global UI:
  *  <Toaster /> — renders react-hot-toast notifications anywhere in the app.
+ *  <RateLimitNotice /> — counts down after the server answers 429 (rate limited).
  *  Decorative background grid and glow blobs are rendered here so they appear
  *  behind all pages.
  */
@@ -24,9 +30,14 @@ import { Navigate, Route, Routes } from "react-router";
 import ChatPage from "./pages/ChatPage";
 import LoginPage from "./pages/LoginPage";
 import SignUpPage from "./pages/SignUpPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
+import SettingsPage from "./pages/SettingsPage";
 import { useAuthStore } from "./store/useAuthStore";
 import { useEffect } from "react";
 import PageLoader from "./components/PageLoader";
+import RateLimitNotice from "./components/RateLimitNotice";
 import { Toaster } from "react-hot-toast";
 
 function App() {
@@ -58,6 +69,11 @@ function App() {
           path="/"
           element={authUser ? <ChatPage /> : <Navigate to={"/login"} />}
         />
+        {/* "/settings" — account settings, logged-in users only */}
+        <Route
+          path="/settings"
+          element={authUser ? <SettingsPage /> : <Navigate to={"/login"} />}
+        />
         {/* "/login" — show LoginPage if NOT logged in, otherwise redirect to / */}
         <Route
           path="/login"
@@ -68,10 +84,20 @@ function App() {
           path="/signup"
           element={!authUser ? <SignUpPage /> : <Navigate to={"/"} />}
         />
+        {/* "/forgot-password" — request a reset link (only makes sense when logged out) */}
+        <Route
+          path="/forgot-password"
+          element={!authUser ? <ForgotPasswordPage /> : <Navigate to={"/"} />}
+        />
+        {/* "/reset-password/:token" — the link from the reset email */}
+        <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+        {/* "/verify-email/:token" — the link from the verification email */}
+        <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
       </Routes>
 
       {/* Toaster renders toast notifications (success/error popups) from anywhere in the app */}
       <Toaster />
+      <RateLimitNotice /> {/* "try again in 42s" after a 429 */}
     </div>
   );
 }
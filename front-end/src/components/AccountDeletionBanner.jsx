@@ -0,0 +1,52 @@
+/**
+ * AccountDeletionBanner.jsx — "Your Account Will Be Deleted" Notice
+ *
+ * Shown in the sidebar (under ProfileHeader) while authUser.deletionScheduledAt
+ * is set, i.e. after "Delete account" in SettingsPage and until the grace
+ * period is over. Says when the account goes and offers to keep it
+ * (useAuthStore.cancelAccountDeletion).
+ *
+ * Other tabs and devices learn about both through the "accountUpdated"
+ * socket event, so the banner comes and goes everywhere at once.
+ */
+import { useState } from "react";
+import { LoaderIcon, TriangleAlertIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+function AccountDeletionBanner() {
+  const { authUser, cancelAccountDeletion } = useAuthStore();
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  if (!authUser?.deletionScheduledAt) return null;
+
+  const handleCancel = async () => {
+    setIsCancelling(true);
+    await cancelAccountDeletion();
+    setIsCancelling(false);
+  };
+
+  const deletionDate = new Date(authUser.deletionScheduledAt).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+  return (
+    <div className="mx-4 mt-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm">
+      <div className="flex gap-2 text-red-200">
+        <TriangleAlertIcon className="size-4 shrink-0 mt-0.5" />
+        <p>
+          Your account and messages will be deleted on{" "}
+          <span className="font-medium">{deletionDate}</span>.
+        </p>
+      </div>
+      <button
+        onClick={handleCancel}
+        disabled={isCancelling}
+        className="mt-2 ml-6 text-red-300 hover:text-red-100 disabled:text-slate-500 transition-colors"
+      >
+        {isCancelling ? <LoaderIcon className="size-4 animate-spin" /> : "Keep my account"}
+      </button>
+    </div>
+  );
+}
+export default AccountDeletionBanner;
@@ -1,70 +1,262 @@
 /**
  * ChatContainer.jsx — Main Chat Conversation Area (Right Panel)
  *
- * Renders the full conversation view for the currently selected user.
+ * Renders the full conversation view for the currently selected user or group.
  * Placed in the right panel of ChatPage when selectedUser is not null.
  *
  * Structure (top to bottom):
  *  <ChatHeader>               — Shows the other user's avatar, name, online status.
  *  Scrollable message list    — Maps over `messages` from the store. Each message
  *                               is aligned right if sent by authUser, left otherwise.
- *                               Supports both text and image content.
+ *                               Supports both text and image content. In groups,
+ *                               other people's bubbles are labelled with the
+ *                               sender's username. My direct messages show a
+ *                               read-receipt tick after the timestamp:
+ *                               clock = sending, ✓ = sent, ✓✓ = delivered,
+ *                               cyan ✓✓ = seen (updated live via messageStatus).
+ *                               Messages still in the outbox come last (direct
+ *                               and group chats alike): a clock while they're
+ *                               sending or waiting for a connection (once they
+ *                               had to wait, "Waiting to send" with why and a
+ *                               Discard button), and a red "Not sent" with
+ *                               Retry / Discard if the server refused them.
+ *                               Edited messages are marked "edited"; messages
+ *                               deleted for everyone render as a tombstone.
+ *                               Right-clicking a bubble, long-pressing it, or its
+ *                               hover chevron opens <MessageActionsMenu> (react /
+ *                               edit / delete); the hover smiley opens a quick
+ *                               <ReactionPicker>. Reactions show as a bar of
+ *                               emoji + count pills under the bubble — clicking a
+ *                               pill toggles your own reaction.
+ *                               Replies show the quoted message (<ReplyQuote>)
+ *                               at the top of the bubble; clicking it scrolls to
+ *                               the original — loading older pages if needed —
+ *                               and briefly highlights it.
  *                               Auto-scrolls to the latest message on update.
  *  <MessagesLoadingSkeleton>  — Shown while messages are being fetched.
  *  <NoChatHistoryPlaceholder> — Shown when the message list is empty.
  *  <MessageInput>             — Text input, image picker, and send button.
+ *                               Replaced by a short note when the partner has
+ *                               deleted their account (isDeletedAccount).
  *
  * Side effects (useEffect):
- *  - Fetches messages for the selected user on mount / when selectedUser changes.
+ *  - Fetches the newest page of messages for the selected user (or group) on
+ *    mount / when selectedUser changes.
  *  - Subscribes to live socket messages and unsubscribes on unmount.
- *  - Auto-scrolls to the bottom whenever the messages array changes.
+ *  - Auto-scrolls to the bottom whenever a new message is appended.
+ *
+ * Infinite scroll:
+ *  Scrolling near the top of the list calls loadOlderMessages(), which prepends
+ *  the previous page. The scroll offset is then shifted by the height of the
+ *  prepended content, so the messages the user was reading stay in place
+ *  instead of jumping to the bottom. A spinner shows while the page loads.
  */
-import { useEffect, useRef } from "react";
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import {
+  BanIcon,
+  CheckCheckIcon,
+  CheckIcon,
+  ChevronDownIcon,
+  CircleAlertIcon,
+  ClockIcon,
+  LoaderIcon,
+  RotateCwIcon,
+  SmilePlusIcon,
+  Trash2Icon,
+} from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
 import ChatHeader from "./ChatHeader";
 import NoChatHistoryPlaceholder from "./NoChatHistoryPlaceholder";
 import MessageInput from "./MessageInput";
 import MessagesLoadingSkeleton from "./MessagesLoadingSkeleton";
+import MessageActionsMenu from "./MessageActionsMenu";
+import ReactionPicker from "./ReactionPicker";
+
+const LONG_PRESS_MS = 500; // how long a touch must last to open the actions menu
+
+// Read-receipt indicator shown after the timestamp of my own direct messages
+function MessageStatusIcon({ message }) {
+  if (message.sendStatus === "failed") return <CircleAlertIcon className="size-4 text-red-300" />;
+  if (message.isOptimistic) return <ClockIcon className="size-3" />; // not confirmed by the server yet
+  if (message.status === "seen") return <CheckCheckIcon className="size-4 text-cyan-200" />;
+  if (message.status === "delivered") return <CheckCheckIcon className="size-4" />;
+  return <CheckIcon className="size-4" />; // "sent"
+}
+
+// The quoted message at the top of a reply's bubble. Clicking it jumps to the original.
+function ReplyQuote({ quoted, authorName, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="w-full mb-1 flex items-center gap-2 rounded-md border-l-2 border-cyan-300 bg-black/20 px-2 py-1 text-left text-xs hover:bg-black/30"
+    >
+      <div className="flex-1 min-w-0">
+        <p className="font-medium opacity-90">{authorName}</p>
+        <p className="truncate opacity-75">
+          {quoted.isDeleted ? "This message was deleted" : quoted.text || "📷 Photo"}
+        </p>
+      </div>
+      {quoted.image && !quoted.isDeleted && (
+        <img src={quoted.image} alt="Quoted" className="size-10 rounded object-cover flex-shrink-0" />
+      )}
+    </button>
+  );
+}
 
 function ChatContainer() {
   // Read everything we need from the chat store
   const {
     selectedUser,
     getMessagesByUserId,
+    getGroupMessages,
     messages,
+    outbox,
+    retryMessage,
+    discardMessage,
     isMessagesLoading,
+    hasMoreMessages,
+    isLoadingOlderMessages,
+    loadOlderMessages,
     subscribeToMessages,
     unsubscribeFromMessages,
     sendMessage,
+    toggleReaction,
+    jumpToMessage,
+    highlightedMessageId,
+    setHighlightedMessageId,
   } = useChatStore();
 
   const { authUser } = useAuthStore(); // the logged-in user (for message alignment)
 
+  // What the list shows: the history, then this chat's messages still in the outbox
+  const shownMessages = useMemo(
+    () => [
+      ...messages,
+      ...outbox
+        .filter((item) => item.chatId === selectedUser._id)
+        .map((item) => ({ ...item.message, sendStatus: item.status, sendError: item.error })),
+    ],
+    [messages, outbox, selectedUser._id]
+  );
+
   // This ref points to an invisible <div> at the bottom of the message list.
   // We scroll to it whenever new messages arrive.
   const messageEndRef = useRef(null);
 
+  // The scrollable message area, used to detect "scrolled to top" and to restore
+  // the scroll position after older messages are prepended
+  const scrollContainerRef = useRef(null);
+
+  // Snapshot of the scroll state taken right before an older page is requested
+  const pendingScrollRestoreRef = useRef(null);
+
+  // ID of the newest message we've scrolled to (null = nothing shown yet for this chat)
+  const lastMessageIdRef = useRef(null);
+
+  // ID of the message whose actions menu is open (null = none)
+  const [menuMessageId, setMenuMessageId] = useState(null);
+  const closeMenu = useCallback(() => setMenuMessageId(null), []);
+
+  // ID of the message whose quick reaction picker is open (null = none)
+  const [pickerMessageId, setPickerMessageId] = useState(null);
+  const closePicker = useCallback(() => setPickerMessageId(null), []);
+
+  // Touch screens have no right-click — holding a bubble opens the menu instead
+  const longPressTimerRef = useRef(null);
+  const startLongPress = (messageId) => {
+    longPressTimerRef.current = setTimeout(() => setMenuMessageId(messageId), LONG_PRESS_MS);
+  };
+  const cancelLongPress = () => clearTimeout(longPressTimerRef.current);
+
+  // In groups, map each member's ID to their username for the bubble labels
+  const memberNames = selectedUser.isGroup
+    ? Object.fromEntries(selectedUser.members.map(({ user }) => [user._id, user.username]))
+    : {};
+
+  // Display name of a message's sender ("You" for our own messages)
+  const getSenderName = (senderId) =>
+    senderId === authUser._id
+      ? "You"
+      : selectedUser.isGroup
+        ? memberNames[senderId] || "Former member"
+        : selectedUser.username;
+
+  // "You, alice" — shown when hovering a reaction pill
+  const getReactorNames = (userIds) => userIds.map(getSenderName).join(", ");
+
   // Effect 1: Load messages and subscribe to real-time updates when the selected user changes
   useEffect(() => {
-    getMessagesByUserId(selectedUser._id); // fetch message history from the server
-    subscribeToMessages();                  // start listening for new socket.io messages
+    lastMessageIdRef.current = null; // new chat — the first page should jump straight to the bottom
+
+    // fetch message history from the server
+    if (selectedUser.isGroup) getGroupMessages(selectedUser._id);
+    else getMessagesByUserId(selectedUser._id);
+    subscribeToMessages(); // start listening for new socket.io messages
 
     // Cleanup: stop listening when the component unmounts or the selected user changes
     return () => unsubscribeFromMessages();
   }, [
-    selectedUser,
+    // depend on the ID, not the object — a group's object is replaced whenever
+    // its members change (groupUpdated), which shouldn't reload the history
+    selectedUser._id,
+    selectedUser.isGroup,
     getMessagesByUserId,
+    getGroupMessages,
     subscribeToMessages,
     unsubscribeFromMessages,
   ]);
 
-  // Effect 2: Scroll to the newest message every time the messages list updates
-  useEffect(() => {
-    if (messageEndRef.current) {
-      messageEndRef.current.scrollIntoView({ behavior: "smooth" });
+  // Effect 2: Keep the scroll position right whenever the messages list updates.
+  // useLayoutEffect runs before the browser paints, so there's no visible jump.
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+    const pending = pendingScrollRestoreRef.current;
+
+    // Case 1: an older page was prepended — keep the same messages in view
+    if (container && pending && shownMessages[0]?._id !== pending.firstMessageId) {
+      container.scrollTop = pending.scrollTop + (container.scrollHeight - pending.scrollHeight);
+      pendingScrollRestoreRef.current = null;
+      return;
+    }
+
+    // Case 2: a new message was appended (or the first page arrived) — scroll to it
+    const lastMessageId = shownMessages[shownMessages.length - 1]?._id;
+    if (lastMessageId && lastMessageId !== lastMessageIdRef.current && messageEndRef.current) {
+      // jump instantly on the first page, glide smoothly for new messages
+      const behavior = lastMessageIdRef.current === null ? "auto" : "smooth";
+      messageEndRef.current.scrollIntoView({ behavior });
+      lastMessageIdRef.current = lastMessageId;
     }
-  }, [messages]);
+  }, [shownMessages]);
+
+  // Effect 3: Scroll a quoted message into view (after jumpToMessage) and let
+  // its highlight fade after a couple of seconds
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+
+    scrollContainerRef.current
+      ?.querySelector(`[data-message-id="${highlightedMessageId}"]`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, setHighlightedMessageId]);
+
+  // Load the previous page when the user scrolls near the top of the list
+  const handleScroll = async () => {
+    const container = scrollContainerRef.current;
+    if (!container || container.scrollTop > 80) return;
+    if (!hasMoreMessages || isMessagesLoading || isLoadingOlderMessages) return;
+
+    pendingScrollRestoreRef.current = {
+      scrollTop: container.scrollTop,
+      scrollHeight: container.scrollHeight,
+      firstMessageId: shownMessages[0]?._id,
+    };
+    await loadOlderMessages();
+    pendingScrollRestoreRef.current = null; // already applied (or the request failed)
+  };
 
   return (
     <>
@@ -72,40 +264,184 @@ function ChatContainer() {
       <ChatHeader />
 
       {/* Scrollable message area */}
-      <div className="flex-1 px-6 overflow-y-auto py-8">
-        {messages.length > 0 && !isMessagesLoading ? (
+      <div
+        ref={scrollContainerRef}
+        onScroll={handleScroll}
+        className="flex-1 px-6 overflow-y-auto py-8"
+      >
+        {shownMessages.length > 0 && !isMessagesLoading ? (
           // --- Show messages ---
           <div className="max-w-3xl mx-auto space-y-6">
-            {messages.map((msg) => (
+            {/* Spinner slot at the top while older pages exist. It keeps its height
+                whether or not the spinner is showing, so toggling it doesn't shift
+                the messages underneath. */}
+            {hasMoreMessages && (
+              <div className="h-5 flex justify-center">
+                {isLoadingOlderMessages && (
+                  <LoaderIcon className="size-5 animate-spin text-slate-400" />
+                )}
+              </div>
+            )}
+            {shownMessages.map((msg) => (
               <div
                 key={msg._id}
+                data-message-id={msg._id} // lets us find the bubble when jumping to a quoted message
                 // chat-end = my messages (right side), chat-start = their messages (left side)
                 className={`chat ${msg.senderId === authUser._id ? "chat-end" : "chat-start"}`}
+                // right-click opens the actions menu (not for messages still being sent)
+                onContextMenu={(e) => {
+                  if (msg.isOptimistic) return;
+                  e.preventDefault();
+                  setMenuMessageId(msg._id);
+                }}
+                onTouchStart={() => !msg.isOptimistic && startLongPress(msg._id)}
+                onTouchEnd={cancelLongPress}
+                onTouchMove={cancelLongPress} // scrolling isn't a long press
               >
+                {/* Sender's name above other people's bubbles in group chats */}
+                {selectedUser.isGroup && msg.senderId !== authUser._id && (
+                  <div className="chat-header text-xs text-slate-400 mb-1">
+                    {memberNames[msg.senderId] || "Former member"}
+                  </div>
+                )}
                 <div
-                  className={`chat-bubble relative ${msg.senderId === authUser._id
+                  className={`chat-bubble relative group transition-shadow ${msg.senderId === authUser._id
                     ? "bg-cyan-600 text-white"    // my messages: cyan
                     : "bg-slate-800 text-slate-200" // their messages: dark grey
-                    }`}
+                    } ${highlightedMessageId === msg._id ? "ring-2 ring-cyan-300" : ""}`}
                 >
-                  {/* If the message has an image, show it */}
-                  {msg.image && (
-                    <img
-                      src={msg.image}
-                      alt="Shared"
-                      className="rounded-lg h-48 object-cover"
+                  {/* Hover button that opens the actions menu */}
+                  {!msg.isOptimistic && (
+                    <button
+                      onClick={() => setMenuMessageId(msg._id)}
+                      className="absolute top-1 right-1 rounded-full p-0.5 bg-black/20 opacity-0 group-hover:opacity-100 transition-opacity"
+                      title="Message actions"
+                    >
+                      <ChevronDownIcon className="size-3" />
+                    </button>
+                  )}
+                  {menuMessageId === msg._id && (
+                    <MessageActionsMenu
+                      message={msg}
+                      isMine={msg.senderId === authUser._id}
+                      onClose={closeMenu}
                     />
                   )}
-                  {/* If the message has text, show it */}
-                  {msg.text && <p className="mt-2">{msg.text}</p>}
-                  {/* Timestamp (e.g. "02:30 PM") */}
+
+                  {/* Hover button beside the bubble that opens the quick reaction picker */}
+                  {!msg.isOptimistic && !msg.isDeleted && (
+                    <button
+                      onClick={() => setPickerMessageId(msg._id)}
+                      className={`absolute top-1/2 -translate-y-1/2 p-1 text-slate-400 hover:text-slate-200 opacity-0 group-hover:opacity-100 transition-opacity ${msg.senderId === authUser._id ? "-left-8" : "-right-8"
+                        }`}
+                      title="React"
+                    >
+                      <SmilePlusIcon className="size-4" />
+                    </button>
+                  )}
+                  {pickerMessageId === msg._id && (
+                    <ReactionPicker
+                      message={msg}
+                      onClose={closePicker}
+                      floating
+                      alignRight={msg.senderId === authUser._id}
+                    />
+                  )}
+
+                  {/* Quoted message, if this is a reply (hidden on tombstones) */}
+                  {msg.replyTo && !msg.isDeleted && (
+                    <ReplyQuote
+                      quoted={msg.replyTo}
+                      authorName={getSenderName(msg.replyTo.senderId)}
+                      onClick={() => jumpToMessage(msg.replyTo._id)}
+                    />
+                  )}
+
+                  {msg.isDeleted ? (
+                    // Tombstone — the sender deleted it for everyone
+                    <p className="italic opacity-75 flex items-center gap-1">
+                      <BanIcon className="size-4" />
+                      This message was deleted
+                    </p>
+                  ) : (
+                    <>
+                      {/* If the message has an image, show it */}
+                      {msg.image && (
+                        <img
+                          src={msg.image}
+                          alt="Shared"
+                          className="rounded-lg h-48 object-cover"
+                        />
+                      )}
+                      {/* If the message has text, show it */}
+                      {msg.text && <p className="mt-2">{msg.text}</p>}
+                    </>
+                  )}
+                  {/* Timestamp (e.g. "02:30 PM"), with "edited" if the text was changed */}
                   <p className="text-xs mt-1 opacity-75 flex items-center gap-1">
+                    {msg.editedAt && !msg.isDeleted && <span>edited</span>}
                     {new Date(msg.createdAt).toLocaleTimeString(undefined, {
                       hour: "2-digit",
                       minute: "2-digit",
                     })}
+                    {/* Read receipt — only on my direct messages (sending / failed on all of mine) */}
+                    {msg.senderId === authUser._id && (!selectedUser.isGroup || msg.isOptimistic) && (
+                      <MessageStatusIcon message={msg} />
+                    )}
                   </p>
                 </div>
+
+                {/* Still waiting (offline, or the server was busy) — it can be dropped meanwhile */}
+                {msg.sendStatus === "pending" && msg.sendError && (
+                  <div className="chat-footer mt-1 flex items-center gap-2 text-xs text-slate-400">
+                    <span>Waiting to send — {msg.sendError}</span>
+                    <button
+                      onClick={() => discardMessage(msg.clientMessageId)}
+                      className="flex items-center gap-1 text-slate-300 hover:text-white"
+                    >
+                      <Trash2Icon className="size-3" /> Discard
+                    </button>
+                  </div>
+                )}
+
+                {/* Refused by the server — try again, or give up on it */}
+                {msg.sendStatus === "failed" && (
+                  <div className="chat-footer mt-1 flex items-center gap-2 text-xs text-red-300">
+                    <span>Not sent{msg.sendError ? ` — ${msg.sendError}` : ""}</span>
+                    <button
+                      onClick={() => retryMessage(msg.clientMessageId)}
+                      className="flex items-center gap-1 text-slate-300 hover:text-white"
+                    >
+                      <RotateCwIcon className="size-3" /> Retry
+                    </button>
+                    <button
+                      onClick={() => discardMessage(msg.clientMessageId)}
+                      className="flex items-center gap-1 text-slate-300 hover:text-white"
+                    >
+                      <Trash2Icon className="size-3" /> Discard
+                    </button>
+                  </div>
+                )}
+
+                {/* Reaction bar — one pill per emoji; mine are highlighted */}
+                {Object.keys(msg.reactions || {}).length > 0 && (
+                  <div className="chat-footer mt-1 flex flex-wrap gap-1">
+                    {Object.entries(msg.reactions).map(([emoji, userIds]) => (
+                      <button
+                        key={emoji}
+                        onClick={() => toggleReaction(msg._id, emoji)}
+                        title={getReactorNames(userIds)}
+                        className={`flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs transition-colors ${userIds.includes(authUser._id)
+                          ? "bg-cyan-500/20 border-cyan-500/50 text-cyan-200"
+                          : "bg-slate-800 border-slate-700 text-slate-300 hover:bg-slate-700"
+                          }`}
+                      >
+                        <span>{emoji}</span>
+                        <span>{userIds.length}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             ))}
             {/* Invisible scroll target — scrollIntoView() brings us here */}
@@ -117,15 +453,21 @@ function ChatContainer() {
         ) : (
           // --- Show placeholder if no messages yet ---
           <NoChatHistoryPlaceholder
-            name={selectedUser.username || selectedUser.fullName}
+            name={selectedUser.isGroup ? selectedUser.name : selectedUser.username || selectedUser.fullName}
             // quick-send buttons call sendMessage directly with predefined text
             onQuickMessage={(text) => sendMessage({ text, image: null })}
           />
         )}
       </div>
 
-      {/* Message compose bar at the bottom */}
-      <MessageInput />
+      {/* Message compose bar at the bottom — nobody left to send to if the account is gone */}
+      {selectedUser.isDeletedAccount ? (
+        <p className="p-4 border-t border-slate-700/50 text-center text-sm text-slate-500">
+          This account has been deleted. You can't reply to this conversation.
+        </p>
+      ) : (
+        <MessageInput />
+      )}
     </>
   );
 }
@@ -2,31 +2,53 @@
  * ChatHeader.jsx — Conversation Header (Top of Right Panel)
  *
  * Displayed at the top of ChatContainer. Shows information about the user
- * whose conversation is currently open.
+ * (or group) whose conversation is currently open.
  *
  * Displays:
  *  - The selected user's profile picture (falls back to "/avatar.png").
  *  - Their username.
  *  - Online / Offline status — determined by checking if selectedUser._id
- *    is in the onlineUsers array from useAuthStore.
+ *    is in the onlineUsers array from useAuthStore. Replaced by "typing…"
+ *    while the partner is typing (typingByChat in useChatStore), and by
+ *    "Account deleted" for a partner who deleted their account.
+ *  - For groups: the group picture (or a group icon), its name, the member
+ *    count (or who is typing), and an info button that opens GroupInfoModal.
+ *  - A bell button that mutes / unmutes this chat's notifications on this
+ *    device (useChatStore.toggleMuteChat).
  *  - A close (X) button that calls setSelectedUser(null) to deselect the user
  *    and return to the NoConversationPlaceholder view.
  *
  * Keyboard shortcut: pressing the Escape key also closes the conversation.
  *   The event listener is added on mount and cleaned up on unmount.
  */
-import { XIcon } from "lucide-react";
+import { BellIcon, BellOffIcon, InfoIcon, UsersIcon, XIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
+import GroupInfoModal from "./GroupInfoModal";
 
 function ChatHeader() {
-  const { selectedUser, setSelectedUser } = useChatStore();
+  const { selectedUser, setSelectedUser, typingByChat, mutedChats, toggleMuteChat } = useChatStore();
   const { onlineUsers } = useAuthStore();
+  const [isGroupInfoOpen, setIsGroupInfoOpen] = useState(false);
+
+  const isGroup = selectedUser.isGroup;
+  const isMuted = mutedChats.includes(selectedUser._id);
 
   // Check if the selected user is currently online
   // onlineUsers is an array of user IDs — if selectedUser's ID is in it, they're online
-  const isOnline = onlineUsers.includes(selectedUser._id);
+  const isOnline = !isGroup && onlineUsers.includes(selectedUser._id);
+
+  // Who is typing in this chat right now (user IDs)
+  const typists = typingByChat[selectedUser._id] || [];
+
+  // "typing…" for direct chats; names for groups, e.g. "alice is typing…"
+  const getTypingLabel = () => {
+    if (!isGroup) return "typing…";
+    if (typists.length > 1) return `${typists.length} people are typing…`;
+    const typist = selectedUser.members.find((member) => member.user._id === typists[0]);
+    return `${typist?.user.username || "Someone"} is typing…`;
+  };
 
   // Add a keyboard shortcut: press Escape to close the current conversation
   useEffect(() => {
@@ -49,12 +71,16 @@ function ChatHeader() {
       <div className="flex items-center space-x-3">
         {/* Avatar with explicit green dot when online */}
         <div className="relative">
-          <div className="w-12 h-12 rounded-full overflow-hidden">
-            <img
-              src={selectedUser.profilePicture || "/avatar.png"} // fallback if no picture
-              alt={selectedUser.username}
-              className="size-full object-cover"
-            />
+          <div className="w-12 h-12 rounded-full overflow-hidden bg-slate-700 flex items-center justify-center">
+            {isGroup && !selectedUser.avatar ? (
+              <UsersIcon className="size-6 text-slate-400" /> // groups without a picture
+            ) : (
+              <img
+                src={(isGroup ? selectedUser.avatar : selectedUser.profilePicture) || "/avatar.png"} // fallback if no picture
+                alt={isGroup ? selectedUser.name : selectedUser.username}
+                className="size-full object-cover"
+              />
+            )}
           </div>
           {/* Green dot badge — shown when the user is online */}
           {isOnline && (
@@ -63,21 +89,52 @@ function ChatHeader() {
         </div>
 
         <div>
-          {/* User's display name */}
+          {/* User's (or group's) display name */}
           <h3 className="text-slate-200 font-medium">
-            {selectedUser.username}
+            {isGroup ? selectedUser.name : selectedUser.username}
           </h3>
-          {/* Online/Offline text label */}
-          <p className="text-slate-400 text-sm">
-            {isOnline ? "Online" : "Offline"}
-          </p>
+          {/* Online/Offline text label — member count for groups */}
+          {typists.length > 0 ? (
+            <p className="text-cyan-400 text-sm">{getTypingLabel()}</p>
+          ) : (
+            <p className="text-slate-400 text-sm">
+              {isGroup
+                ? `${selectedUser.members.length} members`
+                : selectedUser.isDeletedAccount
+                  ? "Account deleted"
+                  : isOnline ? "Online" : "Offline"}
+            </p>
+          )}
         </div>
       </div>
 
-      {/* Close button — sets selectedUser to null, back to the "select a user" screen */}
-      <button onClick={() => setSelectedUser(null)}>
-        <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
-      </button>
+      <div className="flex items-center gap-4">
+        {/* Mute button — no sounds or notifications for this chat */}
+        <button
+          onClick={() => toggleMuteChat(selectedUser._id)}
+          title={isMuted ? "Unmute notifications" : "Mute notifications"}
+        >
+          {isMuted ? (
+            <BellOffIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+          ) : (
+            <BellIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+          )}
+        </button>
+
+        {/* Group info button — members, roles, add/remove, leave */}
+        {isGroup && (
+          <button onClick={() => setIsGroupInfoOpen(true)}>
+            <InfoIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+          </button>
+        )}
+
+        {/* Close button — sets selectedUser to null, back to the "select a user" screen */}
+        <button onClick={() => setSelectedUser(null)}>
+          <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+        </button>
+      </div>
+
+      {isGroupInfoOpen && <GroupInfoModal onClose={() => setIsGroupInfoOpen(false)} />}
     </div>
   );
 }
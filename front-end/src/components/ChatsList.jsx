@@ -1,21 +1,47 @@
 /**
  * ChatsList.jsx — Recent Conversations Sidebar List
  *
- * Rendered in the left sidebar when the "Chats" tab is active. Shows a list
- * of all users the logged-in user has previously exchanged messages with.
+ * Rendered in the left sidebar when the "Chats" tab is active. Shows the
+ * groups the logged-in user belongs to and all users they have previously
+ * exchanged messages with, most recent activity first. Group rows show the
+ * group picture (or a group icon) instead of an online dot.
+ *
+ * Each row shows a preview of the last message ("You: …", the sender's name
+ * in groups, "📷 Photo" for images, or "This message was deleted"), when it was sent, and an unread
+ * badge. While someone is typing in a chat, the preview is replaced by a
+ * subtle "typing…" line. The order and counts update live via
+ * useChatStore.applyMessageToChats. Muted chats get a crossed-out bell and a
+ * grey unread badge.
  */
 import { useEffect } from "react";
+import { BellOffIcon, UsersIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
 import UsersLoadingSkeleton from "./UsersLoadingSkeleton";
 import NoChatsFound from "./NoChatsFound";
 import { useAuthStore } from "../store/useAuthStore";
+import { formatChatTime } from "../lib/utils";
 
 function ChatsList() {
-  const { getMyChatPartners, chats, isUsersLoading, setSelectedUser } =
+  const { getMyChatPartners, chats, isUsersLoading, setSelectedUser, typingByChat, mutedChats } =
     useChatStore();
 
   // onlineUsers is a list of user IDs currently connected via socket.io
-  const { onlineUsers } = useAuthStore();
+  const { onlineUsers, authUser } = useAuthStore();
+
+  // The preview line under a chat's name, e.g. "You: see you!" or "alice: 📷 Photo"
+  const getPreview = (chat) => {
+    const { lastMessage } = chat;
+    if (!lastMessage) return chat.isGroup ? `${chat.members.length} members` : "";
+
+    const content = lastMessage.isDeleted
+      ? "This message was deleted"
+      : lastMessage.text || "📷 Photo";
+    if (lastMessage.senderId === authUser._id) return `You: ${content}`;
+    if (!chat.isGroup) return content;
+
+    const sender = chat.members.find((member) => member.user._id === lastMessage.senderId);
+    return `${sender?.user.username || "Former member"}: ${content}`;
+  };
 
   // Fetch the chat partners list when the component first mounts
   useEffect(() => {
@@ -39,23 +65,59 @@ function ChatsList() {
           <div className="flex items-center gap-3">
             {/* Avatar with explicit green dot when online */}
             <div className="relative flex-shrink-0">
-              <div className="size-12 rounded-full overflow-hidden">
-                <img
-                  src={chat.profilePicture || "/avatar.png"}
-                  alt={chat.username}
-                  className="size-full object-cover"
-                />
+              <div className="size-12 rounded-full overflow-hidden bg-slate-700 flex items-center justify-center">
+                {chat.isGroup && !chat.avatar ? (
+                  <UsersIcon className="size-6 text-slate-400" /> // groups without a picture
+                ) : (
+                  <img
+                    src={(chat.isGroup ? chat.avatar : chat.profilePicture) || "/avatar.png"}
+                    alt={chat.isGroup ? chat.name : chat.username}
+                    className="size-full object-cover"
+                  />
+                )}
               </div>
               {/* Green dot — only visible when this user is in the onlineUsers list */}
-              {onlineUsers.includes(chat._id) && (
+              {!chat.isGroup && onlineUsers.includes(chat._id) && (
                 <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 rounded-full border-2 border-slate-800" />
               )}
             </div>
 
-            {/* Username */}
-            <h4 className="text-slate-200 font-medium truncate">
-              {chat.username}
-            </h4>
+            <div className="min-w-0 flex-1">
+              <div className="flex items-baseline justify-between gap-2">
+                {/* Username (or group name) */}
+                <h4 className="flex items-center gap-1.5 min-w-0 text-slate-200 font-medium">
+                  <span className="truncate">{chat.isGroup ? chat.name : chat.username}</span>
+                  {mutedChats.includes(chat._id) && (
+                    <BellOffIcon className="size-3.5 flex-shrink-0 text-slate-500" />
+                  )}
+                </h4>
+                {/* When the last message was sent */}
+                {chat.lastMessage && (
+                  <span className="flex-shrink-0 text-slate-400 text-xs">
+                    {formatChatTime(chat.lastMessage.createdAt)}
+                  </span>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between gap-2">
+                {/* Typing indicator, otherwise the last message preview */}
+                {typingByChat[chat._id]?.length > 0 ? (
+                  <p className="text-cyan-400 text-xs italic">typing…</p>
+                ) : (
+                  <p className="text-slate-400 text-xs truncate">{getPreview(chat)}</p>
+                )}
+                {/* Unread badge */}
+                {chat.unreadCount > 0 && (
+                  <span
+                    className={`flex-shrink-0 min-w-5 h-5 px-1.5 rounded-full ${
+                      mutedChats.includes(chat._id) ? "bg-slate-600" : "bg-cyan-500"
+                    } text-white text-xs font-medium flex items-center justify-center`}
+                  >
+                    {chat.unreadCount > 99 ? "99+" : chat.unreadCount}
+                  </span>
+                )}
+              </div>
+            </div>
           </div>
         </div>
       ))}
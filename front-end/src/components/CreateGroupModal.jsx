@@ -0,0 +1,153 @@
+/**
+ * CreateGroupModal.jsx — "New Group" Dialog
+ *
+ * Opened from the ProfileHeader's new-group button. Lets the user name a
+ * group, optionally pick a group picture, and tick the contacts to add.
+ *
+ * Props:
+ *  onClose — called when the dialog should close (cancel, backdrop click,
+ *            or after the group was created successfully).
+ *
+ * On submit calls useChatStore.createGroup({ name, memberIds, avatar }),
+ * which POSTs to /api/groups, adds the group to the Chats tab and opens it.
+ * The avatar is sent as a base64 DataURL, like profile pictures and chat
+ * images, and uploaded to Cloudinary by the backend.
+ */
+import { useEffect, useRef, useState } from "react";
+import { LoaderIcon, UsersIcon, XIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { useChatStore } from "../store/useChatStore";
+
+function CreateGroupModal({ onClose }) {
+  const { allContacts, getAllContacts, createGroup } = useChatStore();
+
+  const [name, setName] = useState("");
+  const [memberIds, setMemberIds] = useState([]); // IDs of the ticked contacts
+  const [avatar, setAvatar] = useState(null);     // base64 preview of the group picture
+  const [isCreating, setIsCreating] = useState(false);
+
+  const fileInputRef = useRef(null);
+
+  // The contact picker needs the full contacts list — fetch it if we don't have it yet
+  useEffect(() => {
+    if (allContacts.length === 0) getAllContacts();
+  }, [allContacts.length, getAllContacts]);
+
+  // Tick / untick a contact
+  const toggleMember = (id) =>
+    setMemberIds((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]));
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!file.type.startsWith("image/")) {
+      toast.error("Please select an image file");
+      return;
+    }
+
+    // Convert to base64 so it can be previewed and sent via JSON
+    const reader = new FileReader();
+    reader.onloadend = () => setAvatar(reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) return toast.error("Group name is required");
+    if (memberIds.length === 0) return toast.error("Pick at least one member");
+
+    setIsCreating(true);
+    const ok = await createGroup({ name: name.trim(), memberIds, avatar });
+    setIsCreating(false);
+
+    if (ok) onClose();
+  };
+
+  return (
+    // Backdrop — clicking outside the dialog closes it
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()} // don't close when clicking inside the dialog
+        className="w-full max-w-md bg-slate-800 border border-slate-700 rounded-2xl p-6 space-y-5"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-slate-200">New group</h3>
+          <button type="button" onClick={onClose}>
+            <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        {/* GROUP PICTURE + NAME */}
+        <div className="flex items-center gap-4">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="size-14 flex-shrink-0 rounded-full overflow-hidden bg-slate-700 flex items-center justify-center"
+          >
+            {avatar ? (
+              <img src={avatar} alt="Group" className="size-full object-cover" />
+            ) : (
+              <UsersIcon className="size-6 text-slate-400" />
+            )}
+          </button>
+          <input
+            type="file"
+            accept="image/*"
+            ref={fileInputRef}
+            onChange={handleAvatarChange}
+            className="hidden"
+          />
+
+          <input
+            type="text"
+            value={name}
+            maxLength={50}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-1 bg-slate-800/50 border border-slate-700 rounded-lg py-2 px-4 text-slate-200 placeholder-slate-400"
+            placeholder="Group name"
+          />
+        </div>
+
+        {/* MEMBER PICKER */}
+        <div>
+          <p className="auth-input-label">Members ({memberIds.length} selected)</p>
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {allContacts.map((contact) => (
+              <label
+                key={contact._id}
+                className="flex items-center gap-3 p-2 rounded-lg cursor-pointer hover:bg-cyan-500/10"
+              >
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm checkbox-info"
+                  checked={memberIds.includes(contact._id)}
+                  onChange={() => toggleMember(contact._id)}
+                />
+                <img
+                  src={contact.profilePicture || "/avatar.png"}
+                  alt={contact.username}
+                  className="size-8 rounded-full object-cover"
+                />
+                <span className="text-slate-200 text-sm truncate">{contact.username}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <button className="auth-btn" type="submit" disabled={isCreating}>
+          {isCreating ? (
+            <LoaderIcon className="w-full h-5 animate-spin text-center" />
+          ) : (
+            "Create Group"
+          )}
+        </button>
+      </form>
+    </div>
+  );
+}
+export default CreateGroupModal;
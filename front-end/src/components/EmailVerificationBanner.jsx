@@ -0,0 +1,63 @@
+/**
+ * EmailVerificationBanner.jsx — "Please Verify Your Email" Notice
+ *
+ * Shown in the sidebar (under ProfileHeader) while authUser.emailVerified is
+ * false. Until the address is verified the server keeps the account read-only
+ * (UNVERIFIED_ACCOUNT_POLICY), so sending messages or creating groups fails.
+ *
+ * The "Resend email" button calls useAuthStore.resendVerification(). The
+ * server only allows one resend a minute; the button counts down to
+ * verificationResendAvailableAt in the meantime.
+ *
+ * The banner disappears by itself once the link is opened — on this device
+ * via VerifyEmailPage, on any other via the "emailVerified" socket event.
+ */
+import { useEffect, useState } from "react";
+import { LoaderIcon, MailWarningIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+function EmailVerificationBanner() {
+  const { authUser, resendVerification, isResendingVerification, verificationResendAvailableAt } =
+    useAuthStore();
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick once a second while a countdown is running
+  useEffect(() => {
+    if (verificationResendAvailableAt <= Date.now()) return;
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      if (verificationResendAvailableAt <= Date.now()) clearInterval(interval);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [verificationResendAvailableAt]);
+
+  if (!authUser || authUser.emailVerified) return null;
+
+  const secondsLeft = Math.ceil((verificationResendAvailableAt - now) / 1000);
+
+  return (
+    <div className="mx-4 mt-4 p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm">
+      <div className="flex gap-2 text-amber-200">
+        <MailWarningIcon className="size-4 shrink-0 mt-0.5" />
+        <p>
+          Verify your email to start sending messages. We sent a link to{" "}
+          <span className="font-medium break-all">{authUser.email}</span>.
+        </p>
+      </div>
+      <button
+        onClick={resendVerification}
+        disabled={isResendingVerification || secondsLeft > 0}
+        className="mt-2 ml-6 text-amber-300 hover:text-amber-100 disabled:text-slate-500 transition-colors"
+      >
+        {isResendingVerification ? (
+          <LoaderIcon className="size-4 animate-spin" />
+        ) : secondsLeft > 0 ? (
+          `Resend email in ${secondsLeft}s`
+        ) : (
+          "Resend email"
+        )}
+      </button>
+    </div>
+  );
+}
+export default EmailVerificationBanner;
@@ -0,0 +1,159 @@
+/**
+ * GroupInfoModal.jsx — Group Members & Settings Dialog
+ *
+ * Opened from ChatHeader when the open conversation is a group. Reads the
+ * group from `selectedUser` in useChatStore, so it re-renders live whenever
+ * a `groupUpdated` socket event (or one of our own actions) changes it.
+ *
+ * Displays:
+ *  - Every member with their avatar, username and role ("Admin" badge).
+ *  - For admins: per-member "Make admin" / "Remove admin" and remove buttons,
+ *    and an "Add members" picker listing contacts who aren't in the group yet.
+ *  - A "Leave group" button for everyone.
+ *
+ * Props:
+ *  onClose — called when the dialog should close.
+ */
+import { useEffect, useState } from "react";
+import { LogOutIcon, UserMinusIcon, UserPlusIcon, XIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+
+function GroupInfoModal({ onClose }) {
+  const {
+    selectedUser: group,
+    allContacts,
+    getAllContacts,
+    addGroupMembers,
+    removeGroupMember,
+    updateGroupMemberRole,
+    leaveGroup,
+  } = useChatStore();
+  const { authUser } = useAuthStore();
+
+  const [isAdding, setIsAdding] = useState(false); // is the "add members" picker open?
+
+  // The add-members picker needs the contacts list — fetch it if we don't have it yet
+  useEffect(() => {
+    if (allContacts.length === 0) getAllContacts();
+  }, [allContacts.length, getAllContacts]);
+
+  // The group can disappear while the dialog is open (we left, or were removed)
+  if (!group?.isGroup) return null;
+
+  const memberIds = group.members.map((member) => member.user._id);
+  const amAdmin = group.members.some(
+    (member) => member.user._id === authUser._id && member.role === "admin"
+  );
+  const addableContacts = allContacts.filter((contact) => !memberIds.includes(contact._id));
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-md bg-slate-800 border border-slate-700 rounded-2xl p-6 space-y-5"
+      >
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-slate-200">{group.name}</h3>
+            <p className="text-slate-400 text-sm">{group.members.length} members</p>
+          </div>
+          <button onClick={onClose}>
+            <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        {/* MEMBER LIST */}
+        <div className="max-h-64 overflow-y-auto space-y-1">
+          {group.members.map(({ user, role }) => (
+            <div key={user._id} className="flex items-center gap-3 p-2 rounded-lg">
+              <img
+                src={user.profilePicture || "/avatar.png"}
+                alt={user.username}
+                className="size-8 rounded-full object-cover"
+              />
+              <span className="flex-1 text-slate-200 text-sm truncate">
+                {user.username}
+                {user._id === authUser._id && <span className="text-slate-400"> (you)</span>}
+              </span>
+              {role === "admin" && <span className="auth-badge">Admin</span>}
+
+              {/* Admin controls — never shown on your own row (use "Leave group" instead) */}
+              {amAdmin && user._id !== authUser._id && (
+                <>
+                  <button
+                    onClick={() =>
+                      updateGroupMemberRole(group._id, user._id, role === "admin" ? "member" : "admin")
+                    }
+                    className="text-xs text-cyan-400 hover:text-cyan-300"
+                  >
+                    {role === "admin" ? "Remove admin" : "Make admin"}
+                  </button>
+                  <button
+                    onClick={() => removeGroupMember(group._id, user._id)}
+                    className="text-slate-400 hover:text-red-400 transition-colors"
+                    title="Remove from group"
+                  >
+                    <UserMinusIcon className="size-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* ADD MEMBERS — admins only */}
+        {amAdmin && (
+          <div>
+            <button
+              onClick={() => setIsAdding(!isAdding)}
+              className="flex items-center gap-2 text-sm text-cyan-400 hover:text-cyan-300"
+            >
+              <UserPlusIcon className="size-4" />
+              Add members
+            </button>
+
+            {isAdding && (
+              <div className="mt-2 max-h-40 overflow-y-auto space-y-1">
+                {addableContacts.length === 0 ? (
+                  <p className="text-slate-400 text-sm p-2">Everyone is already in this group</p>
+                ) : (
+                  addableContacts.map((contact) => (
+                    <button
+                      key={contact._id}
+                      onClick={() => addGroupMembers(group._id, [contact._id])}
+                      className="w-full flex items-center gap-3 p-2 rounded-lg hover:bg-cyan-500/10"
+                    >
+                      <img
+                        src={contact.profilePicture || "/avatar.png"}
+                        alt={contact.username}
+                        className="size-8 rounded-full object-cover"
+                      />
+                      <span className="text-slate-200 text-sm truncate">{contact.username}</span>
+                    </button>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* LEAVE GROUP */}
+        <button
+          onClick={async () => {
+            await leaveGroup(group._id);
+            onClose();
+          }}
+          className="w-full flex items-center justify-center gap-2 rounded-lg py-2.5 text-red-400 bg-red-500/10 hover:bg-red-500/20 transition-colors"
+        >
+          <LogOutIcon className="size-4" />
+          Leave group
+        </button>
+      </div>
+    </div>
+  );
+}
+export default GroupInfoModal;
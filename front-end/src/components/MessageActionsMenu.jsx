@@ -0,0 +1,95 @@
+/**
+ * MessageActionsMenu.jsx — Per-Message Context Menu
+ *
+ * Small popup anchored to a chat bubble in ChatContainer. Opened by
+ * right-clicking a bubble, long-pressing it on touch screens, or by the
+ * chevron button that appears on hover.
+ *
+ * Actions:
+ *  Reactions row       — Quick emoji reactions (ReactionPicker). Not shown on
+ *                        deleted messages or messages still being sent.
+ *  Reply               — Any message that isn't deleted. Shows the "Replying
+ *                        to…" banner in MessageInput (useChatStore.setReplyingTo).
+ *  Edit                — Own messages only. Puts MessageInput into edit mode
+ *                        (useChatStore.setEditingMessage). The server rejects
+ *                        edits once the edit window has passed.
+ *  Delete for me       — Any message. Hides it from the logged-in user only.
+ *  Delete for everyone — Own messages only. Leaves a "This message was
+ *                        deleted" tombstone for everybody.
+ *
+ * Props:
+ *  message — the message the menu acts on.
+ *  isMine  — whether the logged-in user sent it (controls Edit / Delete for
+ *            everyone, and which side the menu opens on).
+ *  onClose — called after an action, or on a click outside the menu.
+ */
+import { useRef } from "react";
+import { PencilIcon, ReplyIcon, Trash2Icon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import useClickOutside from "../hooks/useClickOutside";
+import ReactionPicker from "./ReactionPicker";
+
+function MessageActionsMenu({ message, isMine, onClose }) {
+  const { setEditingMessage, setReplyingTo, deleteMessage } = useChatStore();
+  const menuRef = useRef(null);
+
+  // Close on any click outside the menu
+  useClickOutside(menuRef, onClose);
+
+  // Run an action, then close the menu
+  const handle = (action) => () => {
+    action();
+    onClose();
+  };
+
+  const canChange = isMine && !message.isDeleted; // tombstones can't be edited or re-deleted
+
+  return (
+    <div
+      ref={menuRef}
+      className={`absolute top-full mt-1 z-20 w-60 py-1 rounded-lg bg-slate-800 border border-slate-700 shadow-lg text-sm text-slate-200 ${isMine ? "right-0" : "left-0"
+        }`}
+    >
+      {!message.isDeleted && (
+        <div className="border-b border-slate-700 mb-1">
+          <ReactionPicker message={message} onClose={onClose} />
+        </div>
+      )}
+      {!message.isDeleted && (
+        <button
+          onClick={handle(() => setReplyingTo(message))}
+          className="w-full flex items-center gap-2 px-3 py-2 hover:bg-slate-700"
+        >
+          <ReplyIcon className="size-4" />
+          Reply
+        </button>
+      )}
+      {canChange && (
+        <button
+          onClick={handle(() => setEditingMessage(message))}
+          className="w-full flex items-center gap-2 px-3 py-2 hover:bg-slate-700"
+        >
+          <PencilIcon className="size-4" />
+          Edit
+        </button>
+      )}
+      <button
+        onClick={handle(() => deleteMessage(message._id, "me"))}
+        className="w-full flex items-center gap-2 px-3 py-2 hover:bg-slate-700"
+      >
+        <Trash2Icon className="size-4" />
+        Delete for me
+      </button>
+      {canChange && (
+        <button
+          onClick={handle(() => deleteMessage(message._id, "everyone"))}
+          className="w-full flex items-center gap-2 px-3 py-2 text-red-400 hover:bg-slate-700"
+        >
+          <Trash2Icon className="size-4" />
+          Delete for everyone
+        </button>
+      )}
+    </div>
+  );
+}
+export default MessageActionsMenu;
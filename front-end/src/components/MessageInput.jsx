@@ -6,7 +6,8 @@
  *
  * Features:
  *  Text input    — Controlled input; plays a random keystroke sound on each
- *                  character when isSoundEnabled is true.
+ *                  character when isSoundEnabled is true. Keystrokes also
+ *                  drive the typing indicator (notifyTyping / stopTyping).
  *  Image picker  — Hidden file input triggered by the image icon button.
  *                  Accepts image/* files only (shows a toast error otherwise).
  *                  Selected image is read as a base64 DataURL and shown as a
@@ -14,14 +15,23 @@
  *  Send button   — Disabled when both text and image are empty. On submit,
  *                  calls useChatStore.sendMessage({ text, image }).
  *                  The backend uploads base64 images to Cloudinary.
+ *  Edit mode     — While useChatStore.editingMessage is set (chosen from a
+ *                  bubble's actions menu), the input is pre-filled with that
+ *                  message's text under an "Editing message" banner, the image
+ *                  picker is hidden, and submitting calls editMessage() instead.
+ *                  The × on the banner cancels the edit.
+ *  Reply banner  — While useChatStore.replyingTo is set, a "Replying to <name>"
+ *                  banner with an excerpt of the quoted message sits above the
+ *                  input; the next message sent quotes it. × cancels the reply.
  *
  * Note: The body size limit on the backend is 10MB to accommodate base64 images.
  */
-import { useRef, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import useKeyboardSound from "../hooks/useKeyboardSound";
 import { useChatStore } from "../store/useChatStore";
 import toast from "react-hot-toast";
-import { ImageIcon, SendIcon, XIcon } from "lucide-react";
+import { CheckIcon, ImageIcon, PencilIcon, ReplyIcon, SendIcon, XIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
 
 function MessageInput() {
   const { playRandomKeyStrokeSound } = useKeyboardSound();
@@ -32,19 +42,80 @@ function MessageInput() {
 
   // A ref to the hidden <input type="file"> so we can trigger it programmatically
   const fileInputRef = useRef(null);
+  const textInputRef = useRef(null);
 
-  const { sendMessage, isSoundEnabled } = useChatStore();
+  const {
+    sendMessage,
+    isSoundEnabled,
+    selectedUser,
+    notifyTyping,
+    stopTyping,
+    editingMessage,
+    setEditingMessage,
+    editMessage,
+    replyingTo,
+    setReplyingTo,
+  } = useChatStore();
+  const { authUser } = useAuthStore();
+
+  // Stop "typing…" (and drop any unfinished edit or reply) when we switch chats or close this one
+  useEffect(() => {
+    return () => {
+      stopTyping();
+      setEditingMessage(null);
+      setReplyingTo(null);
+    };
+  }, [selectedUser._id, stopTyping, setEditingMessage, setReplyingTo]);
+
+  // Who wrote the message we're replying to
+  const getReplyAuthor = () => {
+    if (replyingTo.senderId === authUser._id) return "yourself";
+    if (!selectedUser.isGroup) return selectedUser.username;
+    const member = selectedUser.members.find(({ user }) => user._id === replyingTo.senderId);
+    return member?.user.username || "Former member";
+  };
+
+  // Entering edit mode: load the message's text into the input.
+  // Leaving it (saved or cancelled): start again from an empty input.
+  // (Adjusted during render rather than in an effect, so there's no flash of the old text.)
+  const editingMessageId = editingMessage?._id ?? null;
+  const [loadedEditId, setLoadedEditId] = useState(null);
+  if (editingMessageId !== loadedEditId) {
+    setLoadedEditId(editingMessageId);
+    setText(editingMessage?.text || "");
+    setImagePreview(null);
+  }
+
+  // ...and put the cursor in the input, ready to type (same when starting a reply)
+  const replyingToId = replyingTo?._id;
+  useEffect(() => {
+    if (editingMessageId || replyingToId) textInputRef.current?.focus();
+  }, [editingMessageId, replyingToId]);
+
+  const cancelEditing = () => setEditingMessage(null);
 
   // Called when the form is submitted (Enter key or Send button click)
-  const handleSendMessage = (e) => {
+  const handleSendMessage = async (e) => {
     e.preventDefault(); // prevent the page from reloading on form submit
 
+    // Edit mode: save the new text instead of sending a new message.
+    // An image message may lose its caption; a text-only message needs text.
+    if (editingMessage) {
+      if (!text.trim() && !editingMessage.image) return;
+      const saved = await editMessage(editingMessage._id, text.trim());
+      if (saved) setEditingMessage(null);
+      return;
+    }
+
     // Don't send if both fields are empty
     if (!text.trim() && !imagePreview) return;
 
     // Play a sound on send if sound is enabled
     if (isSoundEnabled) playRandomKeyStrokeSound();
 
+    // The message itself replaces the typing indicator
+    stopTyping();
+
     // Call the store action to send the message (handles optimistic UI + API call)
     sendMessage({
       text: text.trim(),   // trimmed text (empty string if no text)
@@ -81,6 +152,39 @@ function MessageInput() {
 
   return (
     <div className="p-4 border-t border-slate-700/50">
+      {/* Reply banner — × cancels the reply */}
+      {replyingTo && (
+        <div className="max-w-3xl mx-auto mb-3 flex items-center gap-2 text-sm border-l-2 border-cyan-500 pl-3">
+          <ReplyIcon className="size-4 flex-shrink-0 text-cyan-400" />
+          <div className="flex-1 min-w-0">
+            <p className="text-cyan-400">Replying to {getReplyAuthor()}</p>
+            <p className="text-slate-400 truncate">{replyingTo.text || "📷 Photo"}</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => setReplyingTo(null)}
+            className="text-slate-400 hover:text-slate-200"
+          >
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Edit mode banner — × cancels the edit */}
+      {editingMessage && (
+        <div className="max-w-3xl mx-auto mb-3 flex items-center gap-2 text-sm text-cyan-400">
+          <PencilIcon className="size-4" />
+          <span className="flex-1">Editing message</span>
+          <button
+            type="button"
+            onClick={cancelEditing}
+            className="text-slate-400 hover:text-slate-200"
+          >
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
       {/* Image preview — shown above the input bar when an image is selected */}
       {imagePreview && (
         <div className="max-w-3xl mx-auto mb-3 flex items-center">
@@ -109,10 +213,18 @@ function MessageInput() {
       >
         {/* Text input field */}
         <input
+          ref={textInputRef}
           type="text"
           value={text}
+          maxLength={2000} // the server's limit per message
           onChange={(e) => {
             setText(e.target.value);
+            // Let the other side know we're typing (or that we've cleared the input) —
+            // editing an old message isn't typing a new one
+            if (!editingMessage) {
+              if (e.target.value) notifyTyping();
+              else stopTyping();
+            }
             // Play a keystroke sound on each character typed (if sounds are enabled)
             isSoundEnabled && playRandomKeyStrokeSound();
           }}
@@ -129,23 +241,25 @@ function MessageInput() {
           className="hidden"
         />
 
-        {/* Image picker button — clicks the hidden file input */}
-        <button
-          type="button"
-          onClick={() => fileInputRef.current?.click()} // programmatically open file picker
-          className={`bg-slate-800/50 text-slate-400 hover:text-slate-200 rounded-lg px-4 transition-colors ${imagePreview ? "text-cyan-500" : ""
-            }`}
-        >
-          <ImageIcon className="w-5 h-5" />
-        </button>
+        {/* Image picker button — clicks the hidden file input (not while editing) */}
+        {!editingMessage && (
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()} // programmatically open file picker
+            className={`bg-slate-800/50 text-slate-400 hover:text-slate-200 rounded-lg px-4 transition-colors ${imagePreview ? "text-cyan-500" : ""
+              }`}
+          >
+            <ImageIcon className="w-5 h-5" />
+          </button>
+        )}
 
-        {/* Send button — disabled if there's nothing to send */}
+        {/* Send (or save) button — disabled if there's nothing to send */}
         <button
           type="submit"
-          disabled={!text.trim() && !imagePreview}
+          disabled={!text.trim() && !imagePreview && !editingMessage?.image}
           className="bg-gradient-to-r from-cyan-500 to-cyan-600 text-white rounded-lg px-4 py-2 font-medium hover:from-cyan-600 hover:to-cyan-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
         >
-          <SendIcon className="w-5 h-5" />
+          {editingMessage ? <CheckIcon className="w-5 h-5" /> : <SendIcon className="w-5 h-5" />}
         </button>
       </form>
     </div>
@@ -11,29 +11,77 @@
  *                  via updateProfile(). Uses authUser.profilePicture for
  *                  display — falls back to "/avatar.png" if not set.
  *  Username      — Displays authUser.username.
+ *  New group     — Opens CreateGroupModal to name a group and pick its members.
+ *  Settings      — Goes to SettingsPage (/settings): username, bio, email, password.
+ *  Security      — Opens SecurityModal: two-factor authentication, and where
+ *                  the user is signed in, with buttons to log other devices out.
+ *  Read receipts — Eye / crossed-eye toggle for authUser.readReceiptsEnabled via
+ *                  useAuthStore.updatePrivacy(). When off, others never see "seen".
  *  Logout button — Calls useAuthStore.logout() (clears session & cookie).
  *  Sound toggle  — Plays a mouse-click sound and calls useChatStore.toggleSound()
  *                  to enable/disable keyboard typing sounds globally.
+ *  Desktop notifications — Bell button that asks the browser for permission to
+ *                  show notifications (messages arriving while you're in another
+ *                  tab or app). Crossed out until granted; hidden if the browser
+ *                  can't show them.
  *
  * Note: Profile picture field is `profilePicture` (matching the DB schema).
  */
 import { useState, useRef } from "react";
-import { LogOutIcon, VolumeOffIcon, Volume2Icon } from "lucide-react";
+import { Link } from "react-router";
+import toast from "react-hot-toast";
+import {
+  BellIcon,
+  BellOffIcon,
+  EyeIcon,
+  EyeOffIcon,
+  LogOutIcon,
+  SettingsIcon,
+  ShieldIcon,
+  UsersIcon,
+  VolumeOffIcon,
+  Volume2Icon,
+} from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
+import { getNotificationPermission, requestNotificationPermission } from "../lib/notifications";
+import CreateGroupModal from "./CreateGroupModal";
+import SecurityModal from "./SecurityModal";
 
 // Load the click sound once at module level (not inside the component)
 // This prevents creating a new Audio object on every render
 const mouseClickSound = new Audio("/sounds/mouse-click.mp3");
 
 function ProfileHeader() {
-  const { logout, authUser, updateProfile } = useAuthStore();
+  const { logout, authUser, updateProfile, updatePrivacy } = useAuthStore();
+
+  // Read receipts default to on — older sessions may not have the field yet
+  const readReceiptsEnabled = authUser.readReceiptsEnabled !== false;
   const { isSoundEnabled, toggleSound } = useChatStore();
 
+  // The browser's permission for desktop notifications (it can only be asked for on a click)
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+
+  const handleNotificationsClick = async () => {
+    if (notificationPermission === "default") {
+      setNotificationPermission(await requestNotificationPermission());
+    } else if (notificationPermission === "denied") {
+      toast.error("Notifications are blocked — allow them for this site in your browser settings");
+    } else {
+      toast("Desktop notifications are on. Mute a chat from its header to silence it.");
+    }
+  };
+
   // selectedImg holds the base64 string of the newly picked image for local preview.
   // Once uploaded, authUser.profilePicture in the store takes over.
   const [selectedImg, setSelectedImg] = useState(null);
 
+  // Whether the "New group" dialog is open
+  const [isCreateGroupOpen, setIsCreateGroupOpen] = useState(false);
+
+  // Whether the Security dialog (2FA + signed-in devices) is open
+  const [isSecurityOpen, setIsSecurityOpen] = useState(false);
+
   // A ref to the hidden <input type="file"> so we can trigger it by clicking the avatar
   const fileInputRef = useRef(null);
 
@@ -55,8 +103,8 @@ function ProfileHeader() {
 
   return (
     <div className="p-6 border-b border-slate-700/50">
-      <div className="flex items-center justify-between">
-        <div className="flex items-center gap-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3 min-w-0">
 
           {/* AVATAR — click to open file picker and change profile picture */}
           <div className="avatar online"> {/* "online" adds the green status dot */}
@@ -89,7 +137,7 @@ function ProfileHeader() {
           </div>
 
           {/* USERNAME & ONLINE STATUS */}
-          <div>
+          <div className="min-w-0">
             <h3 className="text-slate-200 font-medium text-base max-w-[180px] truncate">
               {authUser.username}
             </h3>
@@ -98,7 +146,43 @@ function ProfileHeader() {
         </div>
 
         {/* ACTION BUTTONS */}
-        <div className="flex gap-4 items-center">
+        <div className="flex gap-2.5 items-center shrink-0">
+          {/* NEW GROUP BUTTON — opens the create-group dialog */}
+          <button
+            className="text-slate-400 hover:text-slate-200 transition-colors"
+            onClick={() => setIsCreateGroupOpen(true)}
+            title="New group"
+          >
+            <UsersIcon className="size-5" />
+          </button>
+
+          {/* SETTINGS LINK — username, bio, email and password */}
+          <Link
+            to="/settings"
+            className="text-slate-400 hover:text-slate-200 transition-colors"
+            title="Account settings"
+          >
+            <SettingsIcon className="size-5" />
+          </Link>
+
+          {/* SECURITY BUTTON — two-factor authentication and signed-in devices */}
+          <button
+            className="text-slate-400 hover:text-slate-200 transition-colors"
+            onClick={() => setIsSecurityOpen(true)}
+            title="Security"
+          >
+            <ShieldIcon className="size-5" />
+          </button>
+
+          {/* READ RECEIPTS TOGGLE — controls whether others see when we've read their messages */}
+          <button
+            className="text-slate-400 hover:text-slate-200 transition-colors"
+            onClick={() => updatePrivacy({ readReceiptsEnabled: !readReceiptsEnabled })}
+            title={readReceiptsEnabled ? "Read receipts on" : "Read receipts off"}
+          >
+            {readReceiptsEnabled ? <EyeIcon className="size-5" /> : <EyeOffIcon className="size-5" />}
+          </button>
+
           {/* LOGOUT BUTTON — calls logout() which clears authUser and the JWT cookie */}
           <button
             className="text-slate-400 hover:text-slate-200 transition-colors"
@@ -126,8 +210,30 @@ function ProfileHeader() {
               <VolumeOffIcon className="size-5" /> // 🔇 sound OFF icon
             )}
           </button>
+
+          {/* DESKTOP NOTIFICATIONS — asks for the browser's permission */}
+          {notificationPermission !== "unsupported" && (
+            <button
+              className="text-slate-400 hover:text-slate-200 transition-colors"
+              onClick={handleNotificationsClick}
+              title={
+                notificationPermission === "granted"
+                  ? "Desktop notifications on"
+                  : "Turn on desktop notifications"
+              }
+            >
+              {notificationPermission === "granted" ? (
+                <BellIcon className="size-5" />
+              ) : (
+                <BellOffIcon className="size-5" />
+              )}
+            </button>
+          )}
         </div>
       </div>
+
+      {isCreateGroupOpen && <CreateGroupModal onClose={() => setIsCreateGroupOpen(false)} />}
+      {isSecurityOpen && <SecurityModal onClose={() => setIsSecurityOpen(false)} />}
     </div>
   );
 }
@@ -0,0 +1,59 @@
+/**
+ * RateLimitNotice.jsx — "Slow Down" Countdown
+ *
+ * Rendered once in App.jsx, on every page. When the server answers 429 (too
+ * many requests, or too many failed logins), the axios interceptor hands us
+ * how long to wait (see setRateLimitedHandler in lib/axios.js) and this shows
+ * a small notice at the top of the screen counting down to zero, then hides
+ * itself. A later 429 with a longer wait extends it.
+ *
+ * The request that was refused still shows its own error toast; this only
+ * tells the user when trying again will work.
+ */
+import { useEffect, useState } from "react";
+import { TimerIcon } from "lucide-react";
+import { setRateLimitedHandler } from "../lib/axios";
+
+// "42s" under a minute, "14:05" above
+const formatWait = (seconds) =>
+  seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+function RateLimitNotice() {
+  const [retryAt, setRetryAt] = useState(0); // ms timestamp requests are accepted again
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setRateLimitedHandler((retryAfter) => {
+      const until = Date.now() + retryAfter * 1000;
+      setNow(Date.now());
+      setRetryAt((current) => Math.max(current, until));
+    });
+    return () => setRateLimitedHandler(() => {});
+  }, []);
+
+  // Tick once a second while the countdown is running
+  useEffect(() => {
+    if (retryAt <= Date.now()) return;
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      if (retryAt <= Date.now()) clearInterval(interval);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
+  const secondsLeft = Math.ceil((retryAt - now) / 1000);
+  if (secondsLeft <= 0) return null;
+
+  return (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-2 px-4 py-2 rounded-full bg-slate-800/90 border border-amber-500/40 text-sm text-amber-200 shadow-lg">
+      <TimerIcon className="size-4" />
+      <span>
+        Slow down a little — you can try again in{" "}
+        <span className="font-medium tabular-nums">{formatWait(secondsLeft)}</span>
+      </span>
+    </div>
+  );
+}
+export default RateLimitNotice;
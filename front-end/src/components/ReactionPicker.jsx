@@ -0,0 +1,65 @@
+/**
+ * ReactionPicker.jsx — Quick Emoji Reaction Row
+ *
+ * A row of the most common reaction emojis. Clicking one toggles the
+ * logged-in user's reaction on the message (useChatStore.toggleReaction) —
+ * emojis they've already used are highlighted, and clicking those removes them.
+ *
+ * Used in two places:
+ *  - As a floating popup above a bubble, opened by the smiley button that
+ *    appears when hovering a message in ChatContainer (`floating`).
+ *  - As the first row of MessageActionsMenu (right-click / long-press).
+ *
+ * Props:
+ *  message  — the message to react to.
+ *  onClose  — called after a reaction is picked, or (floating only) on a
+ *             click outside the picker.
+ *  floating — render as a standalone popup anchored above the bubble.
+ *  alignRight — (floating only) anchor to the bubble's right edge instead of its left.
+ */
+import { useRef } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import useClickOutside from "../hooks/useClickOutside";
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+function ReactionPicker({ message, onClose, floating = false, alignRight = false }) {
+  const { toggleReaction } = useChatStore();
+  const { authUser } = useAuthStore();
+  const pickerRef = useRef(null);
+
+  // Inside MessageActionsMenu the menu handles outside clicks itself
+  useClickOutside(pickerRef, onClose, floating);
+
+  const pick = (emoji) => {
+    toggleReaction(message._id, emoji);
+    onClose();
+  };
+
+  return (
+    <div
+      ref={pickerRef}
+      className={
+        floating
+          ? `absolute bottom-full mb-1 z-20 flex gap-1 p-1 rounded-full bg-slate-800 border border-slate-700 shadow-lg ${alignRight ? "right-0" : "left-0"}`
+          : "flex justify-between px-2 py-1"
+      }
+    >
+      {QUICK_REACTIONS.map((emoji) => {
+        const isMine = message.reactions?.[emoji]?.includes(authUser._id);
+        return (
+          <button
+            key={emoji}
+            onClick={() => pick(emoji)}
+            className={`size-8 rounded-full text-lg leading-none hover:bg-slate-700 transition-colors ${isMine ? "bg-cyan-500/30" : ""
+              }`}
+          >
+            {emoji}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+export default ReactionPicker;
@@ -0,0 +1,28 @@
+/**
+ * ReconnectingBanner.jsx — "Reconnecting…" Notice
+ *
+ * Shown in the sidebar (under ProfileHeader) while the socket has dropped and
+ * socket.io is trying to get it back (useAuthStore.isReconnecting). Nothing
+ * arrives in real time meanwhile; messages you send wait in the outbox.
+ *
+ * Once the connection is back the banner disappears, and useChatStore catches
+ * up on what was missed (syncMissedMessages) and sends the outbox.
+ */
+import { LoaderIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+function ReconnectingBanner() {
+  const { isReconnecting } = useAuthStore();
+
+  if (!isReconnecting) return null;
+
+  return (
+    <div className="mx-4 mt-4 p-3 rounded-lg bg-slate-700/40 border border-slate-600/50 text-sm">
+      <div className="flex items-center gap-2 text-slate-300">
+        <LoaderIcon className="size-4 shrink-0 animate-spin" />
+        <p>Reconnecting… new messages will show up once you're back online.</p>
+      </div>
+    </div>
+  );
+}
+export default ReconnectingBanner;
@@ -0,0 +1,67 @@
+/**
+ * SearchBar.jsx — Sidebar Message Search Box
+ *
+ * Rendered between ProfileHeader and ActiveTabSwitch in the left sidebar of
+ * ChatPage. Typing searches the text of every message in every conversation
+ * the user is part of (useChatStore.searchMessages); while a search is active
+ * the sidebar shows <SearchResults> instead of the Chats/Contacts lists.
+ *
+ * The request is debounced (SEARCH_DEBOUNCE_MS) so it only fires once the
+ * user pauses typing, and needs at least MIN_SEARCH_LENGTH characters.
+ * Clearing the box — with the × button, Escape, or by deleting the text —
+ * leaves search mode straight away.
+ */
+import { useEffect, useState } from "react";
+import { SearchIcon, XIcon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_SEARCH_LENGTH = 2; // the server rejects shorter queries
+
+function SearchBar() {
+  const { searchMessages, clearSearch } = useChatStore();
+  const [text, setText] = useState("");
+
+  // Search once the user stops typing for a moment
+  useEffect(() => {
+    const query = text.trim();
+    if (query.length < MIN_SEARCH_LENGTH) return;
+    const timer = setTimeout(() => searchMessages(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer); // a new keystroke restarts the wait
+  }, [text, searchMessages]);
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    // too short to search — back to the tabs without waiting
+    if (e.target.value.trim().length < MIN_SEARCH_LENGTH) clearSearch();
+  };
+
+  const reset = () => {
+    setText("");
+    clearSearch();
+  };
+
+  return (
+    <div className="relative mx-4 mt-4">
+      <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 size-4 text-slate-400" />
+      <input
+        type="text"
+        value={text}
+        onChange={handleChange}
+        onKeyDown={(e) => e.key === "Escape" && reset()}
+        placeholder="Search messages"
+        className="w-full bg-slate-800/50 border border-slate-700/50 rounded-lg py-2 pl-9 pr-8 text-sm text-slate-200 placeholder-slate-400 focus:outline-none focus:border-cyan-500/50"
+      />
+      {text && (
+        <button
+          onClick={reset}
+          className="absolute right-2 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-200"
+          aria-label="Clear search"
+        >
+          <XIcon className="size-4" />
+        </button>
+      )}
+    </div>
+  );
+}
+export default SearchBar;
@@ -0,0 +1,121 @@
+/**
+ * SearchResults.jsx — Message Search Hits
+ *
+ * Replaces the Chats/Contacts list in the sidebar while a message search is
+ * active (see SearchBar). Each hit shows the chat it belongs to, when it was
+ * sent, and a snippet of the message with the matching words highlighted.
+ * Clicking a hit opens that chat and scrolls to the message
+ * (useChatStore.openSearchResult).
+ *
+ * Hits are newest first; "Load more" fetches the next page while the server
+ * reports one (searchCursor).
+ */
+import { Loader2Icon, SearchXIcon, UsersIcon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { formatChatTime } from "../lib/utils";
+
+// Renders a snippet with its [start, end) highlight ranges wrapped in <mark>
+function HighlightedSnippet({ snippet, highlights }) {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > position) parts.push(snippet.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-cyan-500/30 text-cyan-200 rounded-sm">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(snippet.slice(position));
+  return parts;
+}
+
+function SearchResults() {
+  const { searchResults, searchCursor, isSearching, loadMoreSearchResults, openSearchResult } =
+    useChatStore();
+  const { authUser } = useAuthStore();
+
+  // Who sent the hit — "You", or the sender's name in a group
+  const getSenderLabel = (result) => {
+    if (result.senderId === authUser._id) return "You: ";
+    if (!result.group) return "";
+    const sender = result.group.members.find((member) => member.user._id === result.senderId);
+    return `${sender?.user.username || "Former member"}: `;
+  };
+
+  // First page still loading
+  if (isSearching && searchResults.length === 0) {
+    return (
+      <div className="flex justify-center py-10">
+        <Loader2Icon className="size-6 text-cyan-400 animate-spin" />
+      </div>
+    );
+  }
+
+  if (searchResults.length === 0) {
+    return (
+      <div className="flex flex-col items-center py-10 text-center space-y-3">
+        <SearchXIcon className="size-8 text-slate-500" />
+        <p className="text-slate-400 text-sm px-6">No messages match your search</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {searchResults.map((result) => {
+        const chat = result.group || result.partner;
+        return (
+          <div
+            key={result.messageId}
+            className="bg-cyan-500/10 p-4 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
+            onClick={() => openSearchResult(result)}
+          >
+            <div className="flex items-center gap-3">
+              <div className="size-10 flex-shrink-0 rounded-full overflow-hidden bg-slate-700 flex items-center justify-center">
+                {result.group && !result.group.avatar ? (
+                  <UsersIcon className="size-5 text-slate-400" /> // groups without a picture
+                ) : (
+                  <img
+                    src={(result.group ? chat.avatar : chat.profilePicture) || "/avatar.png"}
+                    alt={result.group ? chat.name : chat.username}
+                    className="size-full object-cover"
+                  />
+                )}
+              </div>
+
+              <div className="min-w-0 flex-1">
+                <div className="flex items-baseline justify-between gap-2">
+                  <h4 className="text-slate-200 text-sm font-medium truncate">
+                    {result.group ? chat.name : chat.username}
+                  </h4>
+                  <span className="flex-shrink-0 text-slate-400 text-xs">
+                    {formatChatTime(result.createdAt)}
+                  </span>
+                </div>
+                <p className="text-slate-400 text-xs line-clamp-2 break-words">
+                  {getSenderLabel(result)}
+                  {result.hasImage && "📷 "}
+                  <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                </p>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      {searchCursor && (
+        <button
+          onClick={loadMoreSearchResults}
+          disabled={isSearching}
+          className="w-full py-2 text-sm text-cyan-400 rounded-lg hover:bg-cyan-500/10 transition-colors disabled:opacity-50"
+        >
+          {isSearching ? "Loading…" : "Load more"}
+        </button>
+      )}
+    </>
+  );
+}
+export default SearchResults;
@@ -0,0 +1,110 @@
+/**
+ * SecurityModal.jsx — Account Security Dialog
+ *
+ * Opened from the ProfileHeader's shield button. Two sections:
+ *
+ * Two-factor authentication — <TwoFactorSettings> (set up / turn off).
+ *
+ * Where you're signed in — every active login session
+ * (useAuthStore.fetchSessions → GET /api/auth/sessions): the browser and
+ * system (from the user agent), the IP address it logged in from, and when
+ * it was last used. The current device is marked "This device".
+ *
+ * Session actions:
+ *  Log out (per row)         — useAuthStore.revokeSession(id); not offered for
+ *                              this device (the regular logout button does that).
+ *  Log out all other devices — useAuthStore.revokeOtherSessions().
+ *
+ * Revoked devices are disconnected immediately and land on the login page.
+ *
+ * Props:
+ *  onClose — called on the × button or a click on the backdrop.
+ */
+import { useEffect } from "react";
+import { LoaderIcon, MonitorIcon, SmartphoneIcon, XIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { describeUserAgent, formatChatTime } from "../lib/utils";
+import TwoFactorSettings from "./TwoFactorSettings";
+
+const MOBILE_PATTERN = /Android|iPhone|iPad|Mobile/;
+
+function SecurityModal({ onClose }) {
+  const { sessions, isLoadingSessions, fetchSessions, revokeSession, revokeOtherSessions } =
+    useAuthStore();
+
+  // Always show a fresh list — other devices may have logged in since
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const hasOtherSessions = sessions.some((session) => !session.isCurrent);
+
+  return (
+    // Backdrop — clicking outside the dialog closes it
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()} // don't close when clicking inside the dialog
+        className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-slate-800 border border-slate-700 rounded-2xl p-6 space-y-5"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-slate-200">Security</h3>
+          <button type="button" onClick={onClose}>
+            <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        <TwoFactorSettings />
+
+        <h4 className="pt-4 border-t border-slate-700 text-slate-200 font-medium">
+          Where you're signed in
+        </h4>
+
+        {isLoadingSessions && sessions.length === 0 ? (
+          <LoaderIcon className="size-6 mx-auto animate-spin text-slate-400" />
+        ) : (
+          <ul className="max-h-80 overflow-y-auto space-y-2">
+            {sessions.map((session) => {
+              const DeviceIcon = MOBILE_PATTERN.test(session.userAgent) ? SmartphoneIcon : MonitorIcon;
+              return (
+                <li key={session._id} className="flex items-center gap-3 p-3 rounded-lg bg-slate-700/30">
+                  <DeviceIcon className="size-6 shrink-0 text-slate-400" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-slate-200 text-sm truncate">
+                      {describeUserAgent(session.userAgent)}
+                    </p>
+                    <p className="text-slate-400 text-xs truncate">
+                      {session.ip || "Unknown IP"} ·{" "}
+                      {session.isCurrent ? (
+                        <span className="text-cyan-400">This device</span>
+                      ) : (
+                        `Last active ${formatChatTime(session.lastSeenAt)}`
+                      )}
+                    </p>
+                  </div>
+                  {!session.isCurrent && (
+                    <button
+                      onClick={() => revokeSession(session._id)}
+                      className="text-xs text-red-400 hover:text-red-300 transition-colors"
+                    >
+                      Log out
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {hasOtherSessions && (
+          <button onClick={revokeOtherSessions} className="auth-btn">
+            Log out all other devices
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+export default SecurityModal;
@@ -0,0 +1,190 @@
+/**
+ * TwoFactorSettings.jsx — Turn Two-Factor Authentication On / Off
+ *
+ * A section of SecurityModal. What it shows depends on where the user is:
+ *
+ *  Off, idle       — short explanation + "Set up".
+ *  Password        — password re-entry, before setting up or turning off
+ *                    (useAuthStore.startTwoFactorSetup / disableTwoFactor).
+ *  Scan            — the otpauth URI as a QR code (plus the secret, for typing
+ *                    in by hand) and a field for the app's first code
+ *                    (useAuthStore.enableTwoFactor).
+ *  Backup codes    — the ten one-time backup codes, shown exactly once.
+ *  On, idle        — "On" badge + "Turn off".
+ *
+ * The setup secret and backup codes only live in this component's state —
+ * closing the dialog forgets them.
+ */
+import { useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { CopyIcon, LoaderIcon, LockIcon, ShieldCheckIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuthStore } from "../store/useAuthStore";
+
+function TwoFactorSettings() {
+  const { authUser, startTwoFactorSetup, enableTwoFactor, disableTwoFactor } = useAuthStore();
+
+  // "idle" | "password" | "scan" | "backup-codes"
+  const [step, setStep] = useState("idle");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [setup, setSetup] = useState(null);             // { secret, otpauthURI }
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const isEnabled = authUser.twoFactorEnabled;
+
+  const reset = () => {
+    setStep("idle");
+    setPassword("");
+    setCode("");
+    setSetup(null);
+    setBackupCodes(null);
+  };
+
+  // Runs an async store action with the buttons disabled
+  const run = async (action) => {
+    setIsWorking(true);
+    const result = await action();
+    setIsWorking(false);
+    return result;
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (isEnabled) {
+      if (await run(() => disableTwoFactor(password))) reset();
+      return;
+    }
+    const data = await run(() => startTwoFactorSetup(password));
+    if (data) {
+      setSetup(data);
+      setPassword("");
+      setStep("scan");
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    const codes = await run(() => enableTwoFactor(code.trim()));
+    if (codes) {
+      setBackupCodes(codes);
+      setStep("backup-codes");
+    }
+  };
+
+  const copyBackupCodes = async () => {
+    await navigator.clipboard.writeText(backupCodes.join("\n"));
+    toast.success("Backup codes copied");
+  };
+
+  const submitButton = (label) => (
+    <button className="auth-btn" type="submit" disabled={isWorking}>
+      {isWorking ? <LoaderIcon className="w-full h-5 animate-spin text-center" /> : label}
+    </button>
+  );
+
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-slate-200 font-medium">Two-factor authentication</h4>
+        {isEnabled && step !== "backup-codes" && (
+          <span className="flex items-center gap-1 text-xs text-cyan-400">
+            <ShieldCheckIcon className="size-4" /> On
+          </span>
+        )}
+      </div>
+
+      {step === "idle" && (
+        <>
+          <p className="text-slate-400 text-sm">
+            {isEnabled
+              ? "Logging in asks for a code from your authenticator app after your password."
+              : "Ask for a code from an authenticator app after your password, so a stolen password isn't enough to log in."}
+          </p>
+          <button
+            onClick={() => setStep("password")}
+            className={`text-sm transition-colors ${isEnabled ? "text-red-400 hover:text-red-300" : "text-cyan-400 hover:text-cyan-300"}`}
+          >
+            {isEnabled ? "Turn off" : "Set up"}
+          </button>
+        </>
+      )}
+
+      {step === "password" && (
+        <form onSubmit={handlePasswordSubmit} className="space-y-3">
+          <div>
+            <label className="auth-input-label">Confirm your password</label>
+            <div className="relative">
+              <LockIcon className="auth-input-icon" />
+              <input
+                type="password"
+                autoFocus
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input"
+                placeholder="Your password"
+              />
+            </div>
+          </div>
+          {submitButton(isEnabled ? "Turn Off Two-Factor" : "Continue")}
+          <button type="button" onClick={reset} className="w-full text-sm text-slate-400 hover:text-slate-200">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {step === "scan" && setup && (
+        <form onSubmit={handleCodeSubmit} className="space-y-3">
+          <p className="text-slate-400 text-sm">
+            Scan this with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <div className="w-fit mx-auto p-3 bg-white rounded-lg">
+            <QRCodeSVG value={setup.otpauthURI} size={160} />
+          </div>
+          <p className="text-slate-400 text-xs text-center break-all">
+            Can't scan it? Enter this key: <span className="font-mono text-slate-200">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-full bg-slate-800/50 border border-slate-700 rounded-lg py-2 px-4 text-center tracking-[0.5em] text-slate-200 placeholder-slate-400"
+            placeholder="123456"
+          />
+          {submitButton("Turn On Two-Factor")}
+          <button type="button" onClick={reset} className="w-full text-sm text-slate-400 hover:text-slate-200">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {step === "backup-codes" && backupCodes && (
+        <div className="space-y-3">
+          <p className="text-slate-400 text-sm">
+            Save these backup codes somewhere safe. Each one logs you in once if you lose your
+            phone. <span className="text-amber-300">You won't see them again.</span>
+          </p>
+          <ul className="grid grid-cols-2 gap-2 p-3 rounded-lg bg-slate-900/60 font-mono text-sm text-slate-200 text-center">
+            {backupCodes.map((backupCode) => (
+              <li key={backupCode}>{backupCode}</li>
+            ))}
+          </ul>
+          <button
+            onClick={copyBackupCodes}
+            className="flex items-center gap-2 mx-auto text-sm text-cyan-400 hover:text-cyan-300"
+          >
+            <CopyIcon className="size-4" /> Copy codes
+          </button>
+          <button onClick={reset} className="auth-btn">
+            I've saved them
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+export default TwoFactorSettings;
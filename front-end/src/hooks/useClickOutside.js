@@ -0,0 +1,41 @@
+/**
+ * useClickOutside.js — Close-On-Outside-Click Hook
+ *
+ * Calls `onOutsideClick` whenever the user presses the mouse (or touches the
+ * screen) anywhere outside the element `ref` points to. Used by the small
+ * popups anchored to chat bubbles (MessageActionsMenu, ReactionPicker) to
+ * close themselves.
+ *
+ * Listens to mousedown/touchstart rather than click, so the click that opened
+ * a popup can never immediately close it again.
+ *
+ * Pass `enabled = false` to switch the listeners off (e.g. when a parent
+ * popup already takes care of closing).
+ *
+ * Usage:
+ *  const ref = useRef(null);
+ *  useClickOutside(ref, onClose);
+ *  return <div ref={ref}>…</div>;
+ */
+import { useEffect } from "react";
+
+function useClickOutside(ref, onOutsideClick, enabled = true) {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handlePointerDown = (event) => {
+      if (!ref.current?.contains(event.target)) onOutsideClick();
+    };
+
+    window.addEventListener("mousedown", handlePointerDown);
+    window.addEventListener("touchstart", handlePointerDown);
+
+    // Cleanup: remove the listeners when the popup closes
+    return () => {
+      window.removeEventListener("mousedown", handlePointerDown);
+      window.removeEventListener("touchstart", handlePointerDown);
+    };
+  }, [ref, onOutsideClick, enabled]);
+}
+
+export default useClickOutside;
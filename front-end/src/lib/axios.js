@@ -11,6 +11,31 @@
  *  withCredentials — true: ensures the JWT cookie is sent with every request
  *                    (required for session authentication to work).
  *
+ * Token refresh:
+ *  The access token ("jwt" cookie) only lives a few minutes. When a request
+ *  fails with 401, the response interceptor calls refreshSession() — POST
+ *  /auth/refresh, which trades the httpOnly refresh cookie for new cookies —
+ *  and retries the request once. Concurrent 401s share a single refresh.
+ *  If the refresh itself fails the session is over: the handler registered
+ *  with setSessionExpiredHandler() (useAuthStore) signs the app out, and the
+ *  original error is passed on to the caller.
+ *
+ * Rate limits:
+ *  A 429 response (too many requests, or too many failed logins) is passed on
+ *  to the caller as usual, but first the handler registered with
+ *  setRateLimitedHandler() (RateLimitNotice) gets the number of seconds to
+ *  wait — from the body's `retryAfter`, or the Retry-After header — so it can
+ *  count down.
+ *
+ * Exports:
+ *  axiosInstance            — the configured client.
+ *  refreshSession()         — refreshes the tokens; resolves to true on success.
+ *                             Also used to re-authenticate the socket.
+ *  setSessionExpiredHandler(fn) — fn() runs when a refresh fails.
+ *  setRateLimitedHandler(fn) — fn(retryAfterSeconds) runs on every 429.
+ *  reportRateLimit(seconds) — starts the same countdown for a limit hit outside
+ *                             axios (a message sent over the socket).
+ *
  * Usage:
  *  import { axiosInstance } from "../lib/axios";
  *  const res = await axiosInstance.get("/auth/check");
@@ -28,3 +53,61 @@ export const axiosInstance = axios.create({
       : "/api",                     // same-origin in production (no CORS needed)
   withCredentials: true, // IMPORTANT: sends the JWT cookie with every request
 });
+
+// Set by useAuthStore — signs the app out once the session can't be refreshed
+let onSessionExpired = () => {};
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+// Set by RateLimitNotice — counts down until requests are accepted again
+let onRateLimited = () => {};
+export const setRateLimitedHandler = (handler) => {
+  onRateLimited = handler;
+};
+export const reportRateLimit = (retryAfter) => {
+  if (retryAfter > 0) onRateLimited(retryAfter);
+};
+
+// The refresh in flight, if any — every 401 that arrives meanwhile waits for it
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axiosInstance
+      .post("/auth/refresh", null, { skipAuthRefresh: true })
+      .then(
+        () => true,
+        () => {
+          onSessionExpired();
+          return false;
+        }
+      )
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// 429 → start the countdown; 401 → refresh the tokens once, then replay the original request
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (error.response?.status === 429) {
+      const retryAfter = Number(
+        error.response.data?.retryAfter ?? error.response.headers["retry-after"]
+      );
+      reportRateLimit(retryAfter);
+      throw error;
+    }
+
+    const request = error.config;
+    if (error.response?.status !== 401 || !request || request.skipAuthRefresh || request.isRetry) {
+      throw error;
+    }
+
+    if (!(await refreshSession())) throw error;
+    return axiosInstance({ ...request, isRetry: true });
+  }
+);
@@ -0,0 +1,107 @@
+/**
+ * notifications.js — Desktop Notifications & the Unread Badge
+ *
+ * The browser side of message notifications; useChatStore decides when to
+ * notify (notifyAboutMessage) and ChatPage keeps the badge up to date.
+ *
+ * getNotificationPermission():
+ *  - "granted", "denied", "default" (not asked yet) or "unsupported".
+ *
+ * requestNotificationPermission():
+ *  - Asks the user (must be called from a click) → the new permission.
+ *
+ * showDesktopNotification({ title, body, icon, tag, onClick }):
+ *  - A system notification, if permission was granted. Notifications with
+ *    the same `tag` (we use the chat ID) replace each other instead of piling
+ *    up. Clicking one focuses the tab and calls `onClick`.
+ *
+ * setUnreadBadge(count):
+ *  - "(3) Whisprr" in the tab title and a red dot with the count on the
+ *    favicon; 0 restores both.
+ */
+const BASE_TITLE = document.title;
+const FAVICON_SIZE = 64;
+
+export const getNotificationPermission = () =>
+  "Notification" in window ? Notification.permission : "unsupported";
+
+export const requestNotificationPermission = async () => {
+  if (!("Notification" in window)) return "unsupported";
+  return Notification.requestPermission();
+};
+
+export const showDesktopNotification = ({ title, body, icon, tag, onClick }) => {
+  if (getNotificationPermission() !== "granted") return;
+  try {
+    const notification = new Notification(title, { body, icon, tag });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+  } catch (error) {
+    // e.g. mobile Chrome only shows notifications from a service worker
+    console.log("Notification failed:", error?.message);
+  }
+};
+
+// --- Unread badge ---
+
+let faviconLink = null;
+let originalFaviconHref = null;
+let faviconImagePromise = null;
+let badgeCount = 0;
+
+// The favicon as an image we can draw on (loaded once)
+const loadFaviconImage = () => {
+  faviconImagePromise ??= new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = originalFaviconHref;
+  });
+  return faviconImagePromise;
+};
+
+const drawBadgedFavicon = async (count) => {
+  const image = await loadFaviconImage();
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = FAVICON_SIZE;
+  const context = canvas.getContext("2d");
+  context.drawImage(image, 0, 0, FAVICON_SIZE, FAVICON_SIZE);
+
+  // Red dot in the top-right corner with the count in it
+  const radius = FAVICON_SIZE * 0.3;
+  const center = FAVICON_SIZE - radius;
+  context.beginPath();
+  context.arc(center, radius, radius, 0, 2 * Math.PI);
+  context.fillStyle = "#ef4444";
+  context.fill();
+  context.fillStyle = "#ffffff";
+  context.font = `bold ${Math.round(radius * 1.3)}px sans-serif`;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillText(count > 9 ? "9+" : String(count), center, radius + 1);
+
+  return canvas.toDataURL("image/png");
+};
+
+export const setUnreadBadge = async (count) => {
+  badgeCount = count;
+  document.title = count > 0 ? `(${count > 99 ? "99+" : count}) ${BASE_TITLE}` : BASE_TITLE;
+
+  faviconLink ??= document.querySelector("link[rel~='icon']");
+  if (!faviconLink) return;
+  originalFaviconHref ??= faviconLink.href;
+
+  if (count === 0) {
+    faviconLink.href = originalFaviconHref;
+    return;
+  }
+  try {
+    const href = await drawBadgedFavicon(count);
+    if (badgeCount === count) faviconLink.href = href; // a newer count may have come in meanwhile
+  } catch (error) {
+    console.log("Favicon badge failed:", error?.message); // the title still shows the count
+  }
+};
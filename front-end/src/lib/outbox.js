@@ -0,0 +1,81 @@
+/**
+ * outbox.js — Unsent Messages, Kept In IndexedDB
+ *
+ * Every message we send goes into the outbox first and leaves it once the
+ * server has saved it (see sendMessage / flushOutbox in useChatStore). Keeping
+ * the outbox in IndexedDB means a message typed while offline survives a
+ * reload or a closed tab, and is sent once we're back.
+ *
+ * Item shape:
+ *  { clientMessageId, ownerId, chatId, target, payload, message, status, error?, attempts?, createdAt }
+ *   clientMessageId — The message's idempotency key; also the item's key.
+ *   ownerId         — Who wrote it. Several accounts can use the same browser;
+ *                     each only ever sees (and sends) their own items.
+ *   chatId          — The partner's user ID, or the group ID.
+ *   target          — { receiverId } or { groupId }, as sent to the server.
+ *   payload         — { text, image, replyTo, clientMessageId }, as sent to the server.
+ *   message         — The optimistic message shown in the chat meanwhile.
+ *   status          — "pending" (sending, waiting for a connection, or waiting
+ *                     to try again after a rate limit or server error) or
+ *                     "failed" (the server refused it — retry or discard).
+ *   error           — Why it failed, or — while pending — why it hasn't gone out
+ *                     yet (offline, rate limited, server error).
+ *   attempts        — Temporary failures (rate limit, server error) so far; after
+ *                     a few the item is marked failed. Reset by a retry.
+ *   createdAt       — When it was written; items are sent in this order.
+ *
+ * Exports (all async):
+ *  getOutboxItems(ownerId)    → the user's items, oldest first.
+ *  saveOutboxItem(item)       — Adds or updates an item.
+ *  deleteOutboxItem(clientMessageId)
+ *  clearOutbox(ownerId)       — Drops everything the user hasn't sent (on logout).
+ *
+ * If IndexedDB can't be opened (some private browsing modes), these reject;
+ * the store then keeps the outbox in memory only, for as long as the tab is open.
+ */
+const DB_NAME = "whisprr";
+const DB_VERSION = 1;
+const STORE_NAME = "outbox";
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  databasePromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: "clientMessageId" });
+      store.createIndex("ownerId", "ownerId");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      databasePromise = null; // try again next time
+      reject(request.error);
+    };
+  });
+  return databasePromise;
+};
+
+// Runs one request against the outbox store and resolves with its result
+const runRequest = async (mode, createRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = createRequest(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const getOutboxItems = async (ownerId) => {
+  const items = await runRequest("readonly", (store) => store.index("ownerId").getAll(ownerId));
+  return items.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const saveOutboxItem = (item) => runRequest("readwrite", (store) => store.put(item));
+
+export const deleteOutboxItem = (clientMessageId) =>
+  runRequest("readwrite", (store) => store.delete(clientMessageId));
+
+export const clearOutbox = async (ownerId) => {
+  const keys = await runRequest("readonly", (store) => store.index("ownerId").getAllKeys(ownerId));
+  await Promise.all(keys.map(deleteOutboxItem));
+};
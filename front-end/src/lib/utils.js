@@ -0,0 +1,72 @@
+/**
+ * utils.js — Shared Front-End Helpers
+ *
+ * formatChatTime(date):
+ *  - Short timestamp for sidebar rows (ChatsList, SearchResults):
+ *    "14:05" for today, "Mon" within the last week, "12/03/2025" before that.
+ *
+ * describeUserAgent(userAgent):
+ *  - A short device label for the sessions list (SecurityModal), e.g.
+ *    "Chrome on Windows". Only recognises the common browsers and systems;
+ *    anything else becomes "Unknown browser" / "unknown device".
+ *
+ * downloadBlob(blob, filename):
+ *  - Saves a Blob (e.g. the account data export) as a file download.
+ *
+ * createClientId():
+ *  - A random ID made on this device, e.g. the idempotency key of a message
+ *    being sent (`clientMessageId`).
+ */
+
+// "14:05" for today, "Mon" within the last week, "12/03/2025" before that
+export const formatChatTime = (date) => {
+  const sentAt = new Date(date);
+  const now = new Date();
+  if (sentAt.toDateString() === now.toDateString()) {
+    return sentAt.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+  const sixDaysAgo = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6);
+  if (sentAt >= sixDaysAgo) return sentAt.toLocaleDateString(undefined, { weekday: "short" });
+  return sentAt.toLocaleDateString();
+};
+
+// Checked in order — e.g. Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad/],
+  ["Windows", /Windows/],
+  ["macOS", /Macintosh/],
+  ["Linux", /Linux/],
+];
+
+// "Chrome on Windows", "Safari on iOS", …
+export const describeUserAgent = (userAgent = "") => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0] ?? "Unknown browser";
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0] ?? "unknown device";
+  return `${browser} on ${system}`;
+};
+
+// Saves a Blob as a file via a temporary object URL and <a download>
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// crypto.randomUUID() only exists on https:// and localhost — build one by hand elsewhere
+// (e.g. when testing on a phone over the LAN)
+export const createClientId = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+};
@@ -7,31 +7,143 @@
  * Layout:
  *  Left Panel  (w-80, fixed width):
  *    - <ProfileHeader> — user avatar, username, logout & sound toggle buttons.
+ *    - <EmailVerificationBanner> — only until the user verifies their email.
+ *    - <AccountDeletionBanner> — only while the account is scheduled for deletion.
+ *    - <ReconnectingBanner> — only while the socket is down and reconnecting.
+ *    - <SearchBar> — full-text search across all your conversations.
  *    - <ActiveTabSwitch> — toggles between "Chats" and "Contacts" tabs.
  *    - Tab content:
  *        "chats"    → <ChatsList>    (users you've previously messaged)
  *        "contacts" → <ContactList>  (all other registered users)
+ *      While a search is active (searchQuery set), <SearchResults> replaces the
+ *      tabs and their content.
  *
  *  Right Panel (flex-1, takes remaining width):
  *    - If a user is selected: <ChatContainer> (header + messages + input)
  *    - If no user selected:   <NoConversationPlaceholder>
  *
- * State is read from useChatStore (activeTab, selectedUser).
+ * State is read from useChatStore (activeTab, selectedUser, searchQuery).
  * No local state — all managed in the Zustand store.
+ *
+ * Side effects: subscribes to group socket events (groupUpdated / groupRemoved),
+ * incoming messages (sidebar previews + unread counts), edits and deletions
+ * (messageUpdated), read-receipt events (delivery acks + messageStatus),
+ * typing indicators and other users' profile changes and account deletions
+ * (userUpdated / userDeleted) for as long as the page is mounted, regardless
+ * of which conversation is open. Also sends the messages left in the outbox
+ * last time, and each time the socket reconnects catches up on the messages
+ * missed while it was down and sends whatever is queued in the outbox.
+ *
+ * Notifications: messages the user can't see (another chat, or the tab is
+ * hidden) raise a toast or desktop notification (notifyAboutMessage), and the
+ * unread total of all chats that aren't muted is shown in the tab title and as
+ * a badge on the favicon.
  */
+import { useEffect } from "react";
 import { useChatStore } from "../store/useChatStore";
+import { setUnreadBadge } from "../lib/notifications";
 
 import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
 import ProfileHeader from "../components/ProfileHeader";
+import EmailVerificationBanner from "../components/EmailVerificationBanner";
+import AccountDeletionBanner from "../components/AccountDeletionBanner";
+import ReconnectingBanner from "../components/ReconnectingBanner";
+import SearchBar from "../components/SearchBar";
 import ActiveTabSwitch from "../components/ActiveTabSwitch";
 import ChatsList from "../components/ChatsList";
 import ContactList from "../components/ContactList";
+import SearchResults from "../components/SearchResults";
 import ChatContainer from "../components/ChatContainer";
 import NoConversationPlaceholder from "../components/NoConversationPlaceholder";
 
 function ChatPage() {
   // Read which tab is active and which user (if any) is selected for chatting
-  const { activeTab, selectedUser } = useChatStore();
+  const {
+    activeTab,
+    selectedUser,
+    searchQuery,
+    subscribeToGroupEvents,
+    unsubscribeFromGroupEvents,
+    subscribeToMessageStatus,
+    unsubscribeFromMessageStatus,
+    subscribeToTyping,
+    unsubscribeFromTyping,
+    subscribeToChatPreviews,
+    unsubscribeFromChatPreviews,
+    subscribeToMessageUpdates,
+    unsubscribeFromMessageUpdates,
+    subscribeToUserUpdates,
+    unsubscribeFromUserUpdates,
+    restoreOutbox,
+    subscribeToReconnects,
+    unsubscribeFromReconnects,
+    subscribeToNotifications,
+    unsubscribeFromNotifications,
+  } = useChatStore();
+
+  // Unread messages in every chat that isn't muted — for the tab title and favicon
+  const unreadTotal = useChatStore(({ chats, mutedChats }) =>
+    chats.reduce(
+      (total, chat) => (mutedChats.includes(chat._id) ? total : total + (chat.unreadCount || 0)),
+      0
+    )
+  );
+
+  // Keep the sidebar's groups in sync with changes made by other members
+  useEffect(() => {
+    subscribeToGroupEvents();
+    return () => unsubscribeFromGroupEvents();
+  }, [subscribeToGroupEvents, unsubscribeFromGroupEvents]);
+
+  // Move chats with new messages to the top of the sidebar and count them as unread
+  useEffect(() => {
+    subscribeToChatPreviews();
+    return () => unsubscribeFromChatPreviews();
+  }, [subscribeToChatPreviews, unsubscribeFromChatPreviews]);
+
+  // Show the other side's edits and deletions as soon as they happen
+  useEffect(() => {
+    subscribeToMessageUpdates();
+    return () => unsubscribeFromMessageUpdates();
+  }, [subscribeToMessageUpdates, unsubscribeFromMessageUpdates]);
+
+  // Read receipts: acknowledge incoming messages and update our messages' ticks
+  useEffect(() => {
+    subscribeToMessageStatus();
+    return () => unsubscribeFromMessageStatus();
+  }, [subscribeToMessageStatus, unsubscribeFromMessageStatus]);
+
+  // Typing indicators in the header and the sidebar rows
+  useEffect(() => {
+    subscribeToTyping();
+    return () => unsubscribeFromTyping();
+  }, [subscribeToTyping, unsubscribeFromTyping]);
+
+  // New usernames, pictures and bios show up everywhere without a reload
+  useEffect(() => {
+    subscribeToUserUpdates();
+    return () => unsubscribeFromUserUpdates();
+  }, [subscribeToUserUpdates, unsubscribeFromUserUpdates]);
+
+  // Messages written offline (or before a reload) go out as soon as we're connected;
+  // after a reconnect, fetch what was missed meanwhile
+  useEffect(() => {
+    restoreOutbox();
+    subscribeToReconnects();
+    return () => unsubscribeFromReconnects();
+  }, [restoreOutbox, subscribeToReconnects, unsubscribeFromReconnects]);
+
+  // Toasts and desktop notifications for messages outside the open chat
+  useEffect(() => {
+    subscribeToNotifications();
+    return () => unsubscribeFromNotifications();
+  }, [subscribeToNotifications, unsubscribeFromNotifications]);
+
+  // "(3) Whisprr" and the favicon badge; cleared again when the page goes away (logout)
+  useEffect(() => {
+    setUnreadBadge(unreadTotal);
+  }, [unreadTotal]);
+  useEffect(() => () => setUnreadBadge(0), []);
 
   return (
     <div className="relative w-full max-w-6xl h-[800px]">
@@ -41,11 +153,21 @@ function ChatPage() {
         {/* LEFT PANEL — sidebar with profile info and user list */}
         <div className="w-80 bg-slate-800/50 backdrop-blur-sm flex flex-col">
           <ProfileHeader />   {/* avatar, username, logout, sound toggle */}
-          <ActiveTabSwitch /> {/* "Chats" | "Contacts" tab buttons */}
+          <EmailVerificationBanner /> {/* "verify your email" + resend, until verified */}
+          <AccountDeletionBanner />   {/* "will be deleted on …" + keep, while scheduled */}
+          <ReconnectingBanner />      {/* "reconnecting…" while the socket is down */}
+          <SearchBar />       {/* search messages in every conversation */}
+          {!searchQuery && <ActiveTabSwitch />} {/* "Chats" | "Contacts" tab buttons */}
 
-          {/* Scrollable list area — shows Chats or Contacts depending on the active tab */}
+          {/* Scrollable list area — search hits while searching, otherwise Chats or Contacts */}
           <div className="flex-1 overflow-y-auto p-4 space-y-2">
-            {activeTab === "chats" ? <ChatsList /> : <ContactList />}
+            {searchQuery ? (
+              <SearchResults />
+            ) : activeTab === "chats" ? (
+              <ChatsList />
+            ) : (
+              <ContactList />
+            )}
           </div>
         </div>
 
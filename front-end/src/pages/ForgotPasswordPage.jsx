@@ -0,0 +1,96 @@
+/**
+ * ForgotPasswordPage.jsx — Request a Password Reset Link
+ *
+ * Shown at /forgot-password (linked from LoginPage) to unauthenticated users.
+ * The user enters their email and useAuthStore.forgotPassword() POSTs it to
+ * /api/auth/forgot-password. The server emails a one-time reset link (valid
+ * for 30 minutes) if the address belongs to an account.
+ *
+ * The server's answer is deliberately the same for unknown emails, so after
+ * submitting the page always switches to a "check your inbox" message instead
+ * of telling the user whether the account exists.
+ */
+import { useState } from "react";
+import { Link } from "react-router";
+import { KeyRoundIcon, LoaderIcon, MailCheckIcon, MailIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [isSent, setIsSent] = useState(false); // switches to the "check your inbox" view
+  const { forgotPassword, isSendingResetLink } = useAuthStore();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await forgotPassword(email)) setIsSent(true);
+  };
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-md">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8">
+            {isSent ? (
+              <div className="text-center space-y-4">
+                <MailCheckIcon className="w-12 h-12 mx-auto text-cyan-400" />
+                <h2 className="text-2xl font-bold text-slate-200">Check your inbox</h2>
+                <p className="text-slate-400">
+                  If an account exists for <span className="text-slate-200">{email}</span>, we've
+                  sent it a link to reset the password. The link expires in 30 minutes.
+                </p>
+                <Link to="/login" className="auth-link">
+                  Back to login
+                </Link>
+              </div>
+            ) : (
+              <>
+                {/* HEADING TEXT */}
+                <div className="text-center mb-8">
+                  <KeyRoundIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                  <h2 className="text-2xl font-bold text-slate-200 mb-2">Forgot your password?</h2>
+                  <p className="text-slate-400">
+                    Enter your email and we'll send you a link to choose a new one
+                  </p>
+                </div>
+
+                {/* FORM */}
+                <form onSubmit={handleSubmit} className="space-y-6">
+                  <div>
+                    <label className="auth-input-label">Email</label>
+                    <div className="relative">
+                      <MailIcon className="auth-input-icon" />
+                      <input
+                        type="email"
+                        required
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="input"
+                        placeholder="johndoe@gmail.com"
+                      />
+                    </div>
+                  </div>
+
+                  <button className="auth-btn" type="submit" disabled={isSendingResetLink}>
+                    {isSendingResetLink ? (
+                      <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                    ) : (
+                      "Send Reset Link"
+                    )}
+                  </button>
+                </form>
+
+                <div className="mt-6 text-center">
+                  <Link to="/login" className="auth-link">
+                    Remembered it? Back to login
+                  </Link>
+                </div>
+              </>
+            )}
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default ForgotPasswordPage;
@@ -5,8 +5,9 @@
  * Redirected away automatically if the user is already logged in (App.jsx).
  *
  * Layout (two-column on md+ screens):
- *  Left  — Login form with email and password fields, a submit button that
- *           shows a spinner while isLoggingIn is true, and a "Sign Up" link.
+ *  Left  — Login form with email and password fields, a "Forgot password?"
+ *           link (→ /forgot-password), a submit button that shows a spinner
+ *           while isLoggingIn is true, and a "Sign Up" link.
  *  Right — Decorative illustration image (login.png) with feature badges.
  *
  * Form submission calls useAuthStore.login() which:
@@ -14,6 +15,11 @@
  *  2. Sets authUser in the store on success (App.jsx then routes to /).
  *  3. Shows a toast error on failure.
  *
+ * Two-factor step: if the account has 2FA on, login() sets
+ * twoFactorChallenge instead of authUser, and the form is replaced by a code
+ * field. verifyLoginCode() sends the authenticator code (or a backup code);
+ * "Back" returns to the password form.
+ *
  * Styling: Uses shared CSS utility classes (auth-input-label, auth-btn, etc.)
  * defined in index.css, inside the animated border container.
  */
@@ -25,18 +31,32 @@ import {
   MailIcon,
   LoaderIcon,
   LockIcon,
+  ShieldCheckIcon,
 } from "lucide-react";
 import { Link } from "react-router";
 
 function LoginPage() {
   const [formData, setFormData] = useState({ email: "", password: "" });
-  const { login, isLoggingIn } = useAuthStore();
+  const [code, setCode] = useState(""); // authenticator or backup code (2FA step)
+  const { login, isLoggingIn, twoFactorChallenge, verifyLoginCode, cancelTwoFactorLogin } =
+    useAuthStore();
 
   const handleSubmit = (e) => {
     e.preventDefault();
     login(formData);
   };
 
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    verifyLoginCode(code.trim());
+  };
+
+  const submitButton = (label) => (
+    <button className="auth-btn" type="submit" disabled={isLoggingIn}>
+      {isLoggingIn ? <LoaderIcon className="w-full h-5 animate-spin text-center" /> : label}
+    </button>
+  );
+
   return (
     <div className="w-full flex items-center justify-center p-4 bg-slate-900">
       <div className="relative w-full max-w-6xl md:h-[800px] h-[650px]">
@@ -45,74 +65,110 @@ function LoginPage() {
             {/* FORM CLOUMN - LEFT SIDE */}
             <div className="md:w-1/2 p-8 flex items-center justify-center md:border-r border-slate-600/30">
               <div className="w-full max-w-md">
-                {/* HEADING TEXT */}
-                <div className="text-center mb-8">
-                  <MessageCircleIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
-                  <h2 className="text-2xl font-bold text-slate-200 mb-2">
-                    Welcome Back
-                  </h2>
-                  <p className="text-slate-400">
-                    Login to access to your account
-                  </p>
-                </div>
-
-                {/* FORM */}
-                <form onSubmit={handleSubmit} className="space-y-6">
-                  {/* EMAIL INPUT */}
-                  <div>
-                    <label className="auth-input-label">Email</label>
-                    <div className="relative">
-                      <MailIcon className="auth-input-icon" />
+                {twoFactorChallenge ? (
+                  <>
+                    {/* TWO-FACTOR STEP */}
+                    <div className="text-center mb-8">
+                      <ShieldCheckIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                      <h2 className="text-2xl font-bold text-slate-200 mb-2">
+                        Two-factor authentication
+                      </h2>
+                      <p className="text-slate-400">
+                        Enter the 6-digit code from your authenticator app, or one of your backup codes
+                      </p>
+                    </div>
 
+                    <form onSubmit={handleCodeSubmit} className="space-y-6">
                       <input
-                        type="email"
-                        value={formData.email}
-                        onChange={(e) =>
-                          setFormData({ ...formData, email: e.target.value })
-                        }
-                        className="input"
-                        placeholder="johndoe@gmail.com"
+                        type="text"
+                        autoFocus
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        maxLength={11}
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        className="w-full bg-slate-800/50 border border-slate-700 rounded-lg py-3 px-4 text-center text-lg tracking-[0.4em] text-slate-200 placeholder-slate-500"
+                        placeholder="123456"
                       />
+                      {submitButton("Verify")}
+                    </form>
+
+                    <div className="mt-6 text-center">
+                      <button onClick={cancelTwoFactorLogin} className="auth-link">
+                        Back to login
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    {/* HEADING TEXT */}
+                    <div className="text-center mb-8">
+                      <MessageCircleIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                      <h2 className="text-2xl font-bold text-slate-200 mb-2">
+                        Welcome Back
+                      </h2>
+                      <p className="text-slate-400">
+                        Login to access to your account
+                      </p>
                     </div>
-                  </div>
 
-                  {/* PASSWORD INPUT */}
-                  <div>
-                    <label className="auth-input-label">Password</label>
-                    <div className="relative">
-                      <LockIcon className="auth-input-icon" />
+                    {/* FORM */}
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                      {/* EMAIL INPUT */}
+                      <div>
+                        <label className="auth-input-label">Email</label>
+                        <div className="relative">
+                          <MailIcon className="auth-input-icon" />
 
-                      <input
-                        type="password"
-                        value={formData.password}
-                        onChange={(e) =>
-                          setFormData({ ...formData, password: e.target.value })
-                        }
-                        className="input"
-                        placeholder="Enter your password"
-                      />
-                    </div>
-                  </div>
+                          <input
+                            type="email"
+                            value={formData.email}
+                            onChange={(e) =>
+                              setFormData({ ...formData, email: e.target.value })
+                            }
+                            className="input"
+                            placeholder="johndoe@gmail.com"
+                          />
+                        </div>
+                      </div>
 
-                  {/* SUBMIT BUTTON */}
-                  <button
-                    className="auth-btn"
-                    type="submit"
-                    disabled={isLoggingIn}
-                  >
-                    {isLoggingIn ? (
-                      <LoaderIcon className="w-full h-5 animate-spin text-center" />
-                    ) : (
-                      "Sign In"
-                    )}
-                  </button>
-                </form>
+                      {/* PASSWORD INPUT */}
+                      <div>
+                        <label className="auth-input-label">Password</label>
+                        <div className="relative">
+                          <LockIcon className="auth-input-icon" />
 
-                <div className="mt-6 text-center">
-                  <Link to="/signup" className="auth-link">
-                    Don't have an account? Sign Up
-                  </Link>
-                </div>
+                          <input
+                            type="password"
+                            value={formData.password}
+                            onChange={(e) =>
+                              setFormData({ ...formData, password: e.target.value })
+                            }
+                            className="input"
+                            placeholder="Enter your password"
+                          />
+                        </div>
+                        <div className="mt-2 text-right">
+                          <Link
+                            to="/forgot-password"
+                            className="text-sm text-slate-400 hover:text-cyan-400 transition-colors"
+                          >
+                            Forgot password?
+                          </Link>
+                        </div>
+                      </div>
+
+                      {/* SUBMIT BUTTON */}
+                      {submitButton("Sign In")}
+                    </form>
+
+                    <div className="mt-6 text-center">
+                      <Link to="/signup" className="auth-link">
+                        Don't have an account? Sign Up
+                      </Link>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
 
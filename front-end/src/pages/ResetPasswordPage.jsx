@@ -0,0 +1,102 @@
+/**
+ * ResetPasswordPage.jsx — Choose a New Password
+ *
+ * Opened from the link in the password reset email: /reset-password/:token.
+ * The user types a new password twice; useAuthStore.resetPassword() POSTs it
+ * with the token to /api/auth/reset-password.
+ *
+ * On success every session is signed out (this one included) and the user is
+ * sent to /login to sign in with the new password. An expired or already-used
+ * link shows the server's error as a toast, with a link to request a new one.
+ *
+ * Client-side validation: password min length 6, both fields must match.
+ */
+import { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import toast from "react-hot-toast";
+import { KeyRoundIcon, LoaderIcon, LockIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+
+function ResetPasswordPage() {
+  const { token } = useParams(); // from the emailed link
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const { resetPassword, isResettingPassword } = useAuthStore();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < 6) {
+      return toast.error("Password must be at least 6 characters");
+    }
+    if (formData.password !== formData.confirmPassword) {
+      return toast.error("Passwords don't match");
+    }
+
+    if (await resetPassword(token, formData.password)) navigate("/login");
+  };
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-md">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8">
+            {/* HEADING TEXT */}
+            <div className="text-center mb-8">
+              <KeyRoundIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+              <h2 className="text-2xl font-bold text-slate-200 mb-2">Choose a new password</h2>
+              <p className="text-slate-400">You'll be signed out on all your devices</p>
+            </div>
+
+            {/* FORM */}
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="auth-input-label">New password</label>
+                <div className="relative">
+                  <LockIcon className="auth-input-icon" />
+                  <input
+                    type="password"
+                    value={formData.password}
+                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                    className="input"
+                    placeholder="At least 6 characters"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="auth-input-label">Confirm new password</label>
+                <div className="relative">
+                  <LockIcon className="auth-input-icon" />
+                  <input
+                    type="password"
+                    value={formData.confirmPassword}
+                    onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                    className="input"
+                    placeholder="Type it again"
+                  />
+                </div>
+              </div>
+
+              <button className="auth-btn" type="submit" disabled={isResettingPassword}>
+                {isResettingPassword ? (
+                  <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                ) : (
+                  "Reset Password"
+                )}
+              </button>
+            </form>
+
+            <div className="mt-6 text-center">
+              <Link to="/forgot-password" className="auth-link">
+                Link expired? Request a new one
+              </Link>
+            </div>
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default ResetPasswordPage;
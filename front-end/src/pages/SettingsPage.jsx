@@ -0,0 +1,359 @@
+/**
+ * SettingsPage.jsx — Account Settings
+ *
+ * Shown at /settings (opened from the gear button in ProfileHeader) to
+ * logged-in users. Three independent forms, each saved on its own, followed
+ * by two account-wide sections:
+ *
+ *  Profile  — username and bio (useAuthStore.updateAccount). Everyone who has
+ *             this user in their sidebar sees the change live.
+ *  Email    — a new address plus the current password (useAuthStore.changeEmail).
+ *             The new address starts unverified: a verification link is sent
+ *             to it and the "verify your email" banner comes back until it's clicked.
+ *  Password — current password, new password and its confirmation
+ *             (useAuthStore.changePassword). Every other device is signed out.
+ *  Your data — downloads everything stored about the user as a JSON file
+ *             (useAuthStore.exportAccountData).
+ *  Delete account — asks for the password, then schedules the account for
+ *             deletion (useAuthStore.deleteAccount). AccountDeletionBanner in
+ *             the sidebar shows the date and lets the user change their mind.
+ *
+ * The profile picture is still changed by clicking the avatar in ProfileHeader.
+ */
+import { useState } from "react";
+import { Link } from "react-router";
+import {
+  ArrowLeftIcon,
+  DownloadIcon,
+  KeyRoundIcon,
+  LoaderIcon,
+  LockIcon,
+  MailIcon,
+  Trash2Icon,
+  UserIcon,
+} from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+
+const BIO_MAX_LENGTH = 160; // same limit as the server
+
+function SettingsPage() {
+  const {
+    authUser,
+    updateAccount,
+    changeEmail,
+    changePassword,
+    exportAccountData,
+    isExportingData,
+    deleteAccount,
+    isDeletingAccount,
+  } = useAuthStore();
+
+  const [profile, setProfile] = useState({
+    username: authUser.username,
+    bio: authUser.bio || "",
+  });
+  const [emailForm, setEmailForm] = useState({ email: "", password: "" });
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [deletePassword, setDeletePassword] = useState("");
+  const [savingForm, setSavingForm] = useState(null); // "profile" | "email" | "password" | null
+
+  // Runs an async store action with that form's button showing a spinner
+  const save = async (form, action) => {
+    setSavingForm(form);
+    const ok = await action();
+    setSavingForm(null);
+    return ok;
+  };
+
+  const isProfileChanged =
+    profile.username.trim() !== authUser.username || profile.bio.trim() !== (authUser.bio || "");
+
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    save("profile", () =>
+      updateAccount({ username: profile.username.trim(), bio: profile.bio.trim() })
+    );
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    if (await save("email", () => changeEmail(emailForm.email, emailForm.password))) {
+      setEmailForm({ email: "", password: "" });
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) return; // button is disabled anyway
+    const ok = await save("password", () =>
+      changePassword(passwordForm.currentPassword, passwordForm.newPassword)
+    );
+    if (ok) setPasswordForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  };
+
+  const handleDeleteSubmit = async (e) => {
+    e.preventDefault();
+    if (await deleteAccount(deletePassword)) setDeletePassword("");
+  };
+
+  const passwordsMismatch =
+    passwordForm.confirmPassword !== "" &&
+    passwordForm.newPassword !== passwordForm.confirmPassword;
+
+  const submitButton = (form, label, disabled = false) => (
+    <button className="auth-btn" type="submit" disabled={savingForm !== null || disabled}>
+      {savingForm === form ? <LoaderIcon className="w-full h-5 animate-spin text-center" /> : label}
+    </button>
+  );
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-2xl">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8 max-h-[90vh] overflow-y-auto space-y-8">
+            {/* HEADING */}
+            <div className="flex items-center gap-3">
+              <Link
+                to="/"
+                className="text-slate-400 hover:text-slate-200 transition-colors"
+                title="Back to chats"
+              >
+                <ArrowLeftIcon className="size-5" />
+              </Link>
+              <h2 className="text-2xl font-bold text-slate-200">Account settings</h2>
+            </div>
+
+            {/* PROFILE — username + bio */}
+            <form onSubmit={handleProfileSubmit} className="space-y-4">
+              <h3 className="text-lg font-medium text-slate-200">Profile</h3>
+              <div>
+                <label className="auth-input-label">Username</label>
+                <div className="relative">
+                  <UserIcon className="auth-input-icon" />
+                  <input
+                    type="text"
+                    required
+                    maxLength={30}
+                    value={profile.username}
+                    onChange={(e) => setProfile({ ...profile, username: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="auth-input-label">Bio</label>
+                <textarea
+                  rows={3}
+                  maxLength={BIO_MAX_LENGTH}
+                  value={profile.bio}
+                  onChange={(e) => setProfile({ ...profile, bio: e.target.value })}
+                  className="w-full bg-slate-800/50 border border-slate-700 rounded-lg py-2 px-4 text-slate-200 placeholder-slate-500 resize-none"
+                  placeholder="A few words about yourself"
+                />
+                <p className="text-xs text-slate-500 text-right">
+                  {profile.bio.length}/{BIO_MAX_LENGTH}
+                </p>
+              </div>
+              {submitButton("profile", "Save profile", !isProfileChanged)}
+            </form>
+
+            {/* EMAIL — new address + password */}
+            <form
+              onSubmit={handleEmailSubmit}
+              className="space-y-4 pt-8 border-t border-slate-700/50"
+            >
+              <div>
+                <h3 className="text-lg font-medium text-slate-200">Email</h3>
+                <p className="text-sm text-slate-400">
+                  Currently <span className="text-slate-200">{authUser.email}</span>
+                  {authUser.emailVerified ? " (verified)" : " (not verified yet)"}. We'll send a
+                  verification link to the new address.
+                </p>
+              </div>
+              <div>
+                <label className="auth-input-label">New email</label>
+                <div className="relative">
+                  <MailIcon className="auth-input-icon" />
+                  <input
+                    type="email"
+                    required
+                    value={emailForm.email}
+                    onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+                    className="input"
+                    placeholder="johndoe@gmail.com"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="auth-input-label">Password</label>
+                <div className="relative">
+                  <LockIcon className="auth-input-icon" />
+                  <input
+                    type="password"
+                    required
+                    autoComplete="current-password"
+                    value={emailForm.password}
+                    onChange={(e) => setEmailForm({ ...emailForm, password: e.target.value })}
+                    className="input"
+                    placeholder="Your current password"
+                  />
+                </div>
+              </div>
+              {submitButton("email", "Change email")}
+            </form>
+
+            {/* PASSWORD — current + new + confirmation */}
+            <form
+              onSubmit={handlePasswordSubmit}
+              className="space-y-4 pt-8 border-t border-slate-700/50"
+            >
+              <div>
+                <h3 className="text-lg font-medium text-slate-200">Password</h3>
+                <p className="text-sm text-slate-400">
+                  Changing it signs you out on every other device.
+                </p>
+              </div>
+              <div>
+                <label className="auth-input-label">Current password</label>
+                <div className="relative">
+                  <LockIcon className="auth-input-icon" />
+                  <input
+                    type="password"
+                    required
+                    autoComplete="current-password"
+                    value={passwordForm.currentPassword}
+                    onChange={(e) =>
+                      setPasswordForm({ ...passwordForm, currentPassword: e.target.value })
+                    }
+                    className="input"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="auth-input-label">New password</label>
+                <div className="relative">
+                  <KeyRoundIcon className="auth-input-icon" />
+                  <input
+                    type="password"
+                    required
+                    minLength={6}
+                    autoComplete="new-password"
+                    value={passwordForm.newPassword}
+                    onChange={(e) =>
+                      setPasswordForm({ ...passwordForm, newPassword: e.target.value })
+                    }
+                    className="input"
+                    placeholder="At least 6 characters"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="auth-input-label">Confirm new password</label>
+                <div className="relative">
+                  <KeyRoundIcon className="auth-input-icon" />
+                  <input
+                    type="password"
+                    required
+                    autoComplete="new-password"
+                    value={passwordForm.confirmPassword}
+                    onChange={(e) =>
+                      setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })
+                    }
+                    className="input"
+                  />
+                </div>
+                {passwordsMismatch && (
+                  <p className="mt-1 text-xs text-red-400">The passwords don't match</p>
+                )}
+              </div>
+              {submitButton("password", "Change password", passwordsMismatch)}
+            </form>
+
+            {/* YOUR DATA — JSON export */}
+            <div className="space-y-4 pt-8 border-t border-slate-700/50">
+              <div>
+                <h3 className="text-lg font-medium text-slate-200">Your data</h3>
+                <p className="text-sm text-slate-400">
+                  Download your profile, signed-in devices and every conversation you're part of
+                  as a JSON file.
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={exportAccountData}
+                disabled={isExportingData}
+                className="flex items-center gap-2 text-sm text-cyan-400 hover:text-cyan-300 disabled:text-slate-500 transition-colors"
+              >
+                {isExportingData ? (
+                  <LoaderIcon className="size-4 animate-spin" />
+                ) : (
+                  <DownloadIcon className="size-4" />
+                )}
+                Export my data
+              </button>
+            </div>
+
+            {/* DELETE ACCOUNT — password, then scheduled deletion */}
+            <form
+              onSubmit={handleDeleteSubmit}
+              className="space-y-4 pt-8 border-t border-slate-700/50"
+            >
+              <div>
+                <h3 className="text-lg font-medium text-red-400">Delete account</h3>
+                <p className="text-sm text-slate-400">
+                  Your profile, pictures and group memberships are deleted, and the messages you
+                  sent lose your name and images (or are removed). You can cancel until the
+                  deletion date.
+                </p>
+              </div>
+              {authUser.deletionScheduledAt ? (
+                <p className="text-sm text-red-300">
+                  Your account is already scheduled for deletion — see the notice in your
+                  chats to keep it.
+                </p>
+              ) : (
+                <>
+                  <div>
+                    <label className="auth-input-label">Password</label>
+                    <div className="relative">
+                      <LockIcon className="auth-input-icon" />
+                      <input
+                        type="password"
+                        required
+                        autoComplete="current-password"
+                        value={deletePassword}
+                        onChange={(e) => setDeletePassword(e.target.value)}
+                        className="input"
+                        placeholder="Your current password"
+                      />
+                    </div>
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={isDeletingAccount}
+                    className="w-full flex items-center justify-center gap-2 py-2 rounded-lg bg-red-500/20 border border-red-500/40 text-red-300 hover:bg-red-500/30 disabled:opacity-50 transition-colors"
+                  >
+                    {isDeletingAccount ? (
+                      <LoaderIcon className="size-5 animate-spin" />
+                    ) : (
+                      <>
+                        <Trash2Icon className="size-4" />
+                        Delete my account
+                      </>
+                    )}
+                  </button>
+                </>
+              )}
+            </form>
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default SettingsPage;
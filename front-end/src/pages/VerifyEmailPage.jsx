@@ -0,0 +1,71 @@
+/**
+ * VerifyEmailPage.jsx — Confirm an Email Address
+ *
+ * Opened from the link in the verification email: /verify-email/:token.
+ * On mount it calls useAuthStore.verifyEmail(token) (GET
+ * /api/auth/verify-email/:token) and shows the outcome:
+ *  verifying — spinner while the request is in flight.
+ *  success   — the account is verified; links on to the app (or to login,
+ *              if this browser isn't signed in — App.jsx redirects).
+ *  error     — the link is invalid, expired or was sent to an old address.
+ *              A new one can be requested from the banner in the app.
+ *
+ * Reachable whether or not the user is logged in, since the email may be
+ * opened on another device.
+ */
+import { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router";
+import { CircleCheckIcon, CircleXIcon, LoaderIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+
+function VerifyEmailPage() {
+  const { token } = useParams(); // from the emailed link
+  const { verifyEmail } = useAuthStore();
+  const [result, setResult] = useState(null); // { ok, message } once the server has answered
+  const requestedToken = useRef(null);
+
+  useEffect(() => {
+    // StrictMode runs effects twice in development — verify each token once
+    if (requestedToken.current === token) return;
+    requestedToken.current = token;
+    verifyEmail(token).then(setResult);
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-md">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8 text-center space-y-4">
+            {!result ? (
+              <>
+                <LoaderIcon className="w-12 h-12 mx-auto text-cyan-400 animate-spin" />
+                <h2 className="text-2xl font-bold text-slate-200">Verifying your email…</h2>
+              </>
+            ) : result.ok ? (
+              <>
+                <CircleCheckIcon className="w-12 h-12 mx-auto text-cyan-400" />
+                <h2 className="text-2xl font-bold text-slate-200">{result.message}</h2>
+                <Link to="/" className="auth-link">
+                  Continue to Whisprr
+                </Link>
+              </>
+            ) : (
+              <>
+                <CircleXIcon className="w-12 h-12 mx-auto text-red-400" />
+                <h2 className="text-2xl font-bold text-slate-200">Couldn't verify your email</h2>
+                <p className="text-slate-400">
+                  {result.message}. Log in and use "Resend email" to get a new link.
+                </p>
+                <Link to="/" className="auth-link">
+                  Back to Whisprr
+                </Link>
+              </>
+            )}
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default VerifyEmailPage;
@@ -11,35 +11,101 @@
  *                    App.jsx shows a PageLoader spinner until this is false.
  *  isSigningUp     — True while a signup request is in flight (disables form).
  *  isLoggingIn     — True while a login request is in flight (disables form).
+ *  twoFactorChallenge — Set after a correct password when the account has 2FA on:
+ *                    the token to send back with the code. LoginPage shows the
+ *                    code step while it's set.
+ *  isSendingResetLink  — True while a forgot-password request is in flight.
+ *  isResettingPassword — True while a reset-password request is in flight.
+ *  isResendingVerification — True while a resend-verification request is in flight.
+ *  isDeletingAccount — True while a delete-account request is in flight.
+ *  isExportingData — True while the data export is downloading.
+ *  verificationResendAvailableAt — Timestamp (ms) before which the server won't send
+ *                    another verification email; drives the banner's countdown.
+ *  sessions        — Devices the user is signed in on (GET /auth/sessions), for
+ *                    SecurityModal. Each has isCurrent = this device.
+ *  isLoadingSessions — True while the sessions list is being fetched.
  *  socket          — Active socket.io connection (or null).
+ *  isReconnecting  — True while the connection has dropped and socket.io is trying
+ *                    to get it back (not after we disconnected on purpose or were
+ *                    signed out). Drives the "Reconnecting…" banner.
  *  onlineUsers     — Array of user IDs currently connected via socket.io.
  *
  * Actions:
  *  checkAuth()      — Called on app mount. Hits GET /api/auth/check to restore
  *                     the session from the JWT cookie without re-logging in.
  *  signup(data)     — Creates a new account and sets authUser.
- *  login(data)      — Authenticates and sets authUser.
- *  logout()         — Clears authUser and the JWT cookie.
+ *  login(data)      — Authenticates and sets authUser — or, with 2FA on, sets
+ *                     twoFactorChallenge and waits for verifyLoginCode().
+ *  verifyLoginCode(code) — Second login step: authenticator or backup code.
+ *  cancelTwoFactorLogin() — Back from the code step to the password step.
+ *  startTwoFactorSetup(password) — Returns { secret, otpauthURI } for the QR code,
+ *                     or null on failure.
+ *  enableTwoFactor(code) — Confirms setup with a first code. Returns the one-time
+ *                     backup codes (shown once), or null on failure.
+ *  disableTwoFactor(password) — Turns 2FA off. Returns true on success.
+ *  logout()         — Clears authUser and the JWT cookie, and drops unsent messages
+ *                     (the outbox).
  *  updateProfile()  — Uploads a new profile picture and updates authUser.
- *  connectSocket()  — Opens a socket.io connection authenticated via cookie.
+ *  updatePrivacy()  — Saves privacy settings ({ readReceiptsEnabled }) and updates authUser.
+ *  updateAccount(data) — Saves { username?, bio? } (SettingsPage). Returns true on success.
+ *  changeEmail(email, password) — Moves the account to a new address, which then needs
+ *                     verifying. Returns true on success.
+ *  changePassword(currentPassword, newPassword) — Returns true on success; the server
+ *                     signs out every other session.
+ *  deleteAccount(password) — Schedules the account for deletion (authUser.deletionScheduledAt
+ *                     is then set and AccountDeletionBanner shows), or — if the server
+ *                     has no grace period — deletes it and signs out. Returns true on success.
+ *  cancelAccountDeletion() — Keeps the account after all.
+ *  exportAccountData() — Downloads everything stored about us as a JSON file.
+ *  forgotPassword(email) — Asks for a password reset link. Returns true once the
+ *                     request went through (the server never says if the email exists).
+ *  resetPassword(token, password) — Sets a new password from a reset link. Returns true
+ *                     on success; every session, including this one, is signed out.
+ *  verifyEmail(token) — Confirms the email address from the verification link.
+ *                     Returns { ok, message } for VerifyEmailPage to display.
+ *  resendVerification() — Emails a fresh verification link (rate-limited server-side).
+ *  fetchSessions()  — Loads the sessions list.
+ *  revokeSession(id) — Signs one other device out.
+ *  revokeOtherSessions() — "Log out all other devices".
+ *  connectSocket()  — Opens a socket.io connection authenticated via cookie. If the
+ *                     handshake is refused because the short-lived access token
+ *                     expired, it refreshes the tokens and connects again. If the
+ *                     server drops us for sending too many bad or rate-limited
+ *                     events, it reconnects after a pause instead of signing out.
  *  disconnectSocket() — Closes the socket.io connection on logout.
  */
 import { create } from "zustand";
-import { axiosInstance } from "../lib/axios";
+import { axiosInstance, refreshSession, setSessionExpiredHandler } from "../lib/axios";
 import toast from "react-hot-toast";
 import { io } from "socket.io-client"; // socket.io client for real-time communication
+import { downloadBlob } from "../lib/utils";
+import { clearOutbox } from "../lib/outbox";
 
 // In dev we connect to localhost:3000; in production the socket is on the same origin
 const BASE_URL =
   import.meta.env.MODE === "development" ? "http://localhost:3000" : "/";
 
+// How long to wait before reconnecting after the server dropped us for too many
+// rejected events (see socket.guard.middleware.js on the back end)
+const VIOLATION_RECONNECT_DELAY_MS = 10 * 1000;
+
 export const useAuthStore = create((set, get) => ({
   // --- State ---
   authUser: null,        // the logged-in user object (null = not logged in)
   isCheckingAuth: true,  // true while app boot auth check is running
   isSigningUp: false,    // true while signup API call is in progress
   isLoggingIn: false,    // true while login API call is in progress
+  twoFactorChallenge: null, // 2FA login: token from the password step, awaiting a code
+  isSendingResetLink: false,  // true while forgot-password API call is in progress
+  isResettingPassword: false, // true while reset-password API call is in progress
+  isResendingVerification: false, // true while resend-verification API call is in progress
+  verificationResendAvailableAt: 0, // ms timestamp — no resends before this
+  isDeletingAccount: false,   // true while delete-account API call is in progress
+  isExportingData: false,     // true while the data export is downloading
+  sessions: [],          // devices we're signed in on (SecurityModal)
+  isLoadingSessions: false,
   socket: null,          // active socket.io connection (null if not connected)
+  isReconnecting: false, // true while the connection is lost and being re-established
   onlineUsers: [],       // list of userIds who are currently online
 
   // --- Actions ---
@@ -82,6 +148,13 @@ export const useAuthStore = create((set, get) => ({
     set({ isLoggingIn: true }); // disable the submit button
     try {
       const res = await axiosInstance.post("/auth/login", data);
+
+      // Password was right, but the account wants an authenticator code too
+      if (res.data.twoFactorRequired) {
+        set({ twoFactorChallenge: res.data.challengeToken });
+        return;
+      }
+
       set({ authUser: res.data }); // save logged-in user
       toast.success("Logged in successfully");
       get().connectSocket();       // appear online right away
@@ -92,11 +165,35 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  // Second step of a 2FA login — finishes what login() started
+  verifyLoginCode: async (code) => {
+    set({ isLoggingIn: true });
+    try {
+      const res = await axiosInstance.post("/auth/login/2fa", {
+        challengeToken: get().twoFactorChallenge,
+        code,
+      });
+      set({ authUser: res.data, twoFactorChallenge: null });
+      toast.success("Logged in successfully");
+      get().connectSocket();
+    } catch (error) {
+      // Took too long — the password has to be entered again
+      if (error.response?.data?.code === "CHALLENGE_EXPIRED") set({ twoFactorChallenge: null });
+      toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      set({ isLoggingIn: false });
+    }
+  },
+
+  cancelTwoFactorLogin: () => set({ twoFactorChallenge: null }),
+
   // Logs out the user — clears the JWT cookie server-side and closes the socket.
+  // Messages still waiting in the outbox are dropped: this may be a shared computer.
   logout: async () => {
     try {
       await axiosInstance.post("/auth/logout");
-      set({ authUser: null });          // clear the user from state
+      clearOutbox(get().authUser._id).catch(() => {}); // nothing to clear without IndexedDB
+      set({ authUser: null, sessions: [] }); // clear the user from state
       toast.success("Logged out successfully");
       get().disconnectSocket();         // go offline
     } catch (error) {
@@ -119,10 +216,251 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  // Saves privacy settings — e.g. { readReceiptsEnabled: false } stops the
+  // server from telling others when we've read their messages.
+  updatePrivacy: async (data) => {
+    try {
+      const res = await axiosInstance.put("/auth/privacy", data);
+      set({ authUser: res.data }); // reflect the new setting in the UI
+      toast.success(
+        res.data.readReceiptsEnabled ? "Read receipts turned on" : "Read receipts turned off"
+      );
+    } catch (error) {
+      console.log("Error in update privacy:", error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Saves a new username and/or bio. Contacts see the change live (userUpdated).
+  updateAccount: async (data) => {
+    try {
+      const res = await axiosInstance.put("/auth/account", data);
+      set({ authUser: res.data });
+      toast.success("Profile saved");
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  },
+
+  // Moves the account to a new email — unverified until the emailed link is clicked
+  changeEmail: async (email, password) => {
+    try {
+      const res = await axiosInstance.put("/auth/email", { email, password });
+      set({ authUser: { ...get().authUser, ...res.data.user } });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  },
+
+  // The response carries a fresh access token cookie, so this tab stays logged in
+  changePassword: async (currentPassword, newPassword) => {
+    try {
+      const res = await axiosInstance.put("/auth/password", { currentPassword, newPassword });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  },
+
+  // Asks the server to delete the account. Normally that only happens after a
+  // grace period (the banner offers to cancel until then); with none configured
+  // the account is gone right away and the server disconnects us.
+  deleteAccount: async (password) => {
+    set({ isDeletingAccount: true });
+    try {
+      const res = await axiosInstance.delete("/auth/account", { data: { password } });
+      if (res.data.deleted) {
+        get().disconnectSocket();
+        set({ authUser: null, sessions: [] });
+      } else {
+        set({
+          authUser: { ...get().authUser, deletionScheduledAt: res.data.deletionScheduledAt },
+        });
+      }
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      set({ isDeletingAccount: false });
+    }
+  },
+
+  cancelAccountDeletion: async () => {
+    try {
+      const res = await axiosInstance.post("/auth/account/cancel-deletion");
+      set({ authUser: { ...get().authUser, deletionScheduledAt: null } });
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Fetches the export as a file and hands it to the browser as a download
+  exportAccountData: async () => {
+    set({ isExportingData: true });
+    try {
+      const res = await axiosInstance.get("/auth/export", { responseType: "blob" });
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(res.data, `whisprr-export-${get().authUser.username}-${date}.json`);
+    } catch (error) {
+      console.log("Error in export account data:", error);
+      toast.error("Couldn't export your data. Please try again.");
+    } finally {
+      set({ isExportingData: false });
+    }
+  },
+
+  // Requests a password reset email. The server answers the same way whether or
+  // not the address is registered, so we just pass its message along.
+  forgotPassword: async (email) => {
+    set({ isSendingResetLink: true });
+    try {
+      const res = await axiosInstance.post("/auth/forgot-password", { email });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      set({ isSendingResetLink: false });
+    }
+  },
+
+  // Sets a new password using the token from the emailed link.
+  // The server signs out every session, so we drop ours as well.
+  resetPassword: async (token, password) => {
+    set({ isResettingPassword: true });
+    try {
+      const res = await axiosInstance.post("/auth/reset-password", { token, password });
+      get().disconnectSocket();
+      set({ authUser: null });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      set({ isResettingPassword: false });
+    }
+  },
+
+  // Confirms our email address with the token from the verification link.
+  // The link may be opened while logged out (or as someone else), so the
+  // result is returned for the page to show rather than toasted.
+  verifyEmail: async (token) => {
+    try {
+      const res = await axiosInstance.get(`/auth/verify-email/${token}`);
+      const { authUser } = get();
+      if (authUser) set({ authUser: { ...authUser, emailVerified: true } });
+      return { ok: true, message: res.data.message };
+    } catch (error) {
+      return { ok: false, message: error.response?.data?.message || "Something went wrong" };
+    }
+  },
+
+  // Asks for another verification email. Either way the server tells us how
+  // long to wait before the next one, which the banner counts down.
+  resendVerification: async () => {
+    set({ isResendingVerification: true });
+    try {
+      const res = await axiosInstance.post("/auth/resend-verification");
+      set({ verificationResendAvailableAt: Date.now() + res.data.retryAfter * 1000 });
+      toast.success(res.data.message);
+    } catch (error) {
+      const retryAfter = error.response?.data?.retryAfter;
+      if (retryAfter) set({ verificationResendAvailableAt: Date.now() + retryAfter * 1000 });
+      toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      set({ isResendingVerification: false });
+    }
+  },
+
+  // 2FA enrollment, step 1: get a secret for the authenticator app (needs the password)
+  startTwoFactorSetup: async (password) => {
+    try {
+      const res = await axiosInstance.post("/auth/2fa/setup", { password });
+      return res.data; // { secret, otpauthURI }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return null;
+    }
+  },
+
+  // 2FA enrollment, step 2: prove the app has the secret with its first code
+  enableTwoFactor: async (code) => {
+    try {
+      const res = await axiosInstance.post("/auth/2fa/enable", { code });
+      set({ authUser: { ...get().authUser, twoFactorEnabled: true } });
+      toast.success(res.data.message);
+      return res.data.backupCodes;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return null;
+    }
+  },
+
+  disableTwoFactor: async (password) => {
+    try {
+      const res = await axiosInstance.post("/auth/2fa/disable", { password });
+      set({ authUser: { ...get().authUser, twoFactorEnabled: false } });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  },
+
+  // Loads the devices we're signed in on
+  fetchSessions: async () => {
+    set({ isLoadingSessions: true });
+    try {
+      const res = await axiosInstance.get("/auth/sessions");
+      set({ sessions: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      set({ isLoadingSessions: false });
+    }
+  },
+
+  // Signs one other device out — the server disconnects it right away
+  revokeSession: async (sessionId) => {
+    try {
+      const res = await axiosInstance.delete(`/auth/sessions/${sessionId}`);
+      set({ sessions: get().sessions.filter((session) => session._id !== sessionId) });
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Signs out every device except this one
+  revokeOtherSessions: async () => {
+    try {
+      const res = await axiosInstance.delete("/auth/sessions");
+      set({ sessions: get().sessions.filter((session) => session.isCurrent) });
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
   // Opens a socket.io connection to the backend using the JWT cookie for auth.
   // Guards against connecting twice (checks socket?.connected first).
   // Listens for the "getOnlineUsers" event and updates onlineUsers in state,
   // which drives the online/offline indicators in ChatsList and ContactList.
+  // While connected, every API request names this tab's socket (X-Socket-Id) so
+  // the server can echo our changes to our other tabs/devices but not back to us.
   connectSocket: () => {
     const { authUser } = get();
 
@@ -137,6 +475,80 @@ export const useAuthStore = create((set, get) => ({
 
     set({ socket }); // store the socket instance in state
 
+    // Whether we've already refreshed the tokens for the current connection attempt
+    let hasRetriedAuth = false;
+    // Whether the server is about to drop us for too many rejected events
+    let isBeingThrottled = false;
+
+    // socket.id changes on every (re)connect — keep the header current
+    socket.on("connect", () => {
+      hasRetriedAuth = false;
+      axiosInstance.defaults.headers.common["X-Socket-Id"] = socket.id;
+      set({ isReconnecting: false });
+    });
+
+    // A refused handshake usually just means the access token expired while we
+    // were disconnected. socket.io doesn't retry those by itself, so refresh the
+    // tokens and connect again with the new cookie. (If the refresh fails, the
+    // session-expired handler below signs us out.)
+    socket.on("connect_error", async (error) => {
+      if (!error.message.startsWith("Unauthorized") || hasRetriedAuth) return;
+      hasRetriedAuth = true;
+      if (await refreshSession()) socket.connect();
+    });
+    socket.on("disconnect", (reason) => {
+      delete axiosInstance.defaults.headers.common["X-Socket-Id"];
+
+      // Dropped for flooding the server with events, not signed out — back off, then reconnect
+      if (isBeingThrottled) {
+        isBeingThrottled = false;
+        toast.error("Connection paused — too many requests. Reconnecting shortly…");
+        set({ isReconnecting: true });
+        setTimeout(() => {
+          if (get().socket === socket) socket.connect();
+        }, VIOLATION_RECONNECT_DELAY_MS);
+        return;
+      }
+
+      // Anything but a disconnect we asked for (logout) is retried by socket.io itself
+      if (reason !== "io client disconnect" && reason !== "io server disconnect") {
+        set({ isReconnecting: true });
+      }
+
+      // The server closed the connection on purpose — our session was ended
+      // elsewhere (logged out in another tab, revoked from another device, or
+      // the password was reset), so this tab is signed out too
+      if (reason === "io server disconnect") {
+        set({ authUser: null, socket: null, onlineUsers: [], isReconnecting: false });
+        // resetting the password or deleting the account from this tab does this
+        // too — those actions say so themselves
+        const { isResettingPassword, isDeletingAccount } = get();
+        if (!isResettingPassword && !isDeletingAccount) {
+          toast.error("You've been signed out. Please log in again.");
+        }
+      }
+    });
+
+    // An event we emitted was rejected (rate limited, malformed…). Nothing to
+    // show for one-offs — typing indicators just skip a beat — but repeated
+    // violations are followed by a disconnect, handled above.
+    socket.on("socket:error", ({ code, event, message }) => {
+      if (code === "TOO_MANY_VIOLATIONS") isBeingThrottled = true;
+      else console.warn(`Socket event "${event}" rejected:`, message);
+    });
+
+    // The verification link was opened (on any device) — drop the banner
+    socket.on("emailVerified", () => {
+      const { authUser } = get();
+      if (authUser) set({ authUser: { ...authUser, emailVerified: true } });
+    });
+
+    // Our username, email, bio… were changed from another tab or device
+    socket.on("accountUpdated", (user) => {
+      const { authUser } = get();
+      if (authUser) set({ authUser: { ...authUser, ...user } });
+    });
+
     // when the server broadcasts the list of online user IDs, save them
     socket.on("getOnlineUsers", (userIds) => {
       set({ onlineUsers: userIds });
@@ -144,7 +556,19 @@ export const useAuthStore = create((set, get) => ({
   },
 
   // Closes the socket connection — called on logout so the user goes offline.
+  // Also stops socket.io's reconnection attempts if the connection had already dropped.
   disconnectSocket: () => {
-    if (get().socket?.connected) get().socket.disconnect();
+    get().socket?.disconnect();
+    set({ isReconnecting: false });
   },
 }));
+
+// The refresh token was rejected (expired, revoked or reused) — this tab is signed out
+setSessionExpiredHandler(() => {
+  const { authUser, disconnectSocket } = useAuthStore.getState();
+  if (!authUser) return; // e.g. the boot-time check of a visitor who isn't logged in
+
+  disconnectSocket();
+  useAuthStore.setState({ authUser: null, socket: null, onlineUsers: [], isReconnecting: false });
+  toast.error("Your session has expired. Please log in again.");
+});
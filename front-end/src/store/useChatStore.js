@@ -7,44 +7,337 @@
  *
  * State:
  *  allContacts      — Full list of all registered users (for the Contacts tab).
- *  chats            — List of users the logged-in user has messaged before (Chats tab).
- *  messages         — Full message history with the currently selectedUser.
+ *  chats            — Groups the user belongs to and users they have messaged before
+ *                     (Chats tab), most recent activity first. Group entries are tagged
+ *                     with `isGroup: true`. Every entry carries `lastMessage` (preview)
+ *                     and `unreadCount`, kept up to date by incoming `newMessage` events.
+ *  messages         — Loaded message history with the currently selectedUser, oldest first.
+ *                     Starts with the newest page; older pages are prepended on scroll.
+ *  outbox           — Messages we've sent that the server hasn't saved yet, in every chat,
+ *                     oldest first (see lib/outbox.js for the item shape). Mirrored to
+ *                     IndexedDB so they survive a reload; ChatContainer shows the open
+ *                     chat's items after `messages` as "sending" or "failed".
+ *  hasMoreMessages  — Whether the server has older messages than the first one in `messages`.
  *  activeTab        — "chats" | "contacts" — controls which sidebar list is shown.
- *  selectedUser     — The user whose conversation is currently open (or null).
+ *  selectedUser     — The conversation currently open (or null): either a user, or
+ *                     a group (`isGroup: true`, with `name`, `avatar` and `members`).
  *  isUsersLoading   — True while contacts/chats are being fetched (shows skeleton).
- *  isMessagesLoading— True while messages are being fetched (shows skeleton).
+ *  isMessagesLoading— True while the first page of messages is being fetched (shows skeleton).
+ *  isLoadingOlderMessages — True while an older page is being fetched (spinner at the top).
  *  isSoundEnabled   — Whether keystroke/notification sounds are on. Persisted to localStorage.
+ *  mutedChats       — IDs of the chats (partner or group) muted on this device: no sound,
+ *                     toast or desktop notification, and not counted in the tab's unread
+ *                     badge. Persisted to localStorage.
+ *  editingMessage   — The message being edited in MessageInput, or null.
+ *  replyingTo       — The message the next sent message will quote, or null.
+ *  highlightedMessageId — Message ChatContainer should scroll to and briefly highlight.
+ *  typingByChat     — { [chatId]: userIds } — who is typing to us right now. chatId is the
+ *                     partner's user ID for direct chats, or the group ID for groups.
+ *  searchQuery      — The message search typed in the sidebar ("" = not searching).
+ *  searchResults    — Hits for searchQuery, newest first: { messageId, chatId, senderId,
+ *                     createdAt, snippet, highlights, partner | group }.
+ *  searchCursor     — Cursor for the next page of search results (null = no more).
+ *  isSearching      — True while a page of search results is being fetched.
  *
  * Actions:
  *  getAllContacts()    — Fetches all users (excluding self) for the Contacts tab.
- *  getMyChatPartners()— Fetches only users you've chatted with for the Chats tab.
- *  getMessagesByUserId(userId) — Loads message history with a specific user.
- *  sendMessage(data)  — Sends { text, image } with optimistic UI update.
+ *  getMyChatPartners({ silent }?) — Fetches your groups and the users you've chatted with
+ *                     for the Chats tab (`silent` skips the loading skeleton).
+ *  getMessagesByUserId(userId, before?) — Loads the newest page of history with a user,
+ *                     or — given `before` (oldest loaded message ID) — prepends the page before it.
+ *  getGroupMessages(groupId, before?)   — Same, for a group.
+ *  loadOlderMessages()— Loads the page before the oldest message of the open chat, if any.
+ *  markMessagesAsSeen(userId) — Tells the server we've read userId's messages (unread count
+ *                     + read receipts).
+ *  markGroupAsRead(groupId)   — Tells the server we've read a group (unread count only).
+ *  sendMessage(data)  — Sends { text, image } to the open user or group with optimistic UI update,
+ *                     quoting `replyingTo` if set: the message goes into the outbox, which is
+ *                     then flushed. Goes over the socket (`message:send`, acknowledged by the
+ *                     server) while connected, otherwise over HTTP. Each message gets a
+ *                     `clientMessageId` (idempotency key), so sending it again can't post it
+ *                     twice, and the server's copy is matched to our outbox item by it.
+ *  restoreOutbox()    — Loads the messages left unsent last time from IndexedDB and sends them.
+ *  flushOutbox(chatId?) — Sends what's waiting in the outbox — one chat's, or every chat's —
+ *                     strictly in order per chat: a chat's queue stops at a failed message
+ *                     (until it's retried or discarded) or when we turn out to be offline
+ *                     (the message stays pending; the next socket connect sends it). A rate
+ *                     limit or server error isn't a failure at first: the message stays
+ *                     pending and the chat is flushed again after Retry-After, or with
+ *                     backoff — the fifth in a row marks it failed.
+ *  retryMessage(clientMessageId) / discardMessage(clientMessageId) — The "failed" bubble's
+ *                     actions: send it again, or drop it (letting the chat's queue move on).
+ *                     A message still waiting to be sent can be discarded too.
+ *  syncMissedMessages(since) — Catch-up after the socket was down: fetches every message sent
+ *                     or changed (edited, deleted, reacted to, ticks) since `since` (GET
+ *                     /messages/sync), merges the open chat's into `messages` (no duplicates,
+ *                     in order, the server's copy winning) and reloads the Chats tab so
+ *                     previews and unread counts include the rest.
+ *  subscribeToReconnects() — Every time the socket comes back after dropping, syncs what was
+ *                     missed and flushes the outbox.
+ *  setReplyingTo(message) — Quotes a message in the next one we send (null cancels).
+ *  jumpToMessage(messageId) — Loads older pages until the message is loaded, then
+ *                     highlights it (ChatContainer scrolls it into view).
+ *  searchMessages(query) — Full-text search across all our conversations (replaces the
+ *                     results). loadMoreSearchResults() appends the next page.
+ *  clearSearch()      — Leaves search mode.
+ *  openSearchResult(result) — Opens the hit's chat and jumps to the matching message
+ *                     once the chat's first page has loaded.
+ *  createGroup(), addGroupMembers(), removeGroupMember(), updateGroupMemberRole(),
+ *  leaveGroup()       — Group management; each keeps `chats` and `selectedUser` in sync.
+ *  subscribeToGroupEvents() — Listens for `groupUpdated` / `groupRemoved` socket events.
+ *  applyUserUpdate(user) — Swaps a user's new public profile ({ _id, username,
+ *                     profilePicture, bio }) into contacts, chats, group member lists,
+ *                     search hits and the open conversation.
+ *  applyUserDeleted(userId) — Someone deleted their account: drops them from contacts
+ *                     and shows their chats as a "Deleted user" (isDeletedAccount), whose
+ *                     messages are then reloaded — the server has anonymized or removed them.
+ *  subscribeToUserUpdates() — Applies `userUpdated` (someone changed their name, picture
+ *                     or bio) and `userDeleted` socket events.
+ *  setEditingMessage(message) — Puts MessageInput into edit mode for one of our messages
+ *                     (null leaves it). Editing and replying exclude each other.
+ *  editMessage(messageId, text) — Saves an edit (PATCH /messages/:messageId).
+ *  deleteMessage(messageId, scope) — Deletes a message "for me" (hidden from us only)
+ *                     or "for everyone" (replaced by a tombstone).
+ *  replaceMessage(message) — Swaps in the server's copy of a message (after an edit or
+ *                     delete) in `messages` and in its chat's sidebar preview.
+ *  toggleReaction(messageId, emoji) — Adds our reaction, or removes it if we already
+ *                     reacted with that emoji. Applied optimistically.
+ *  applyReactions({ messageId, reactions }) — Sets a message's reactions ({ emoji: userIds }).
+ *  subscribeToMessageUpdates() — Applies `messageUpdated` (the other side edited or
+ *                     deleted a message) and `messageReaction` (someone reacted) socket events.
+ *  applyMessageToChats(message) — Moves the message's chat to the top of `chats` with the
+ *                     message as its preview, counting it as unread unless the chat is open
+ *                     and the tab visible.
+ *  markOpenChatAsRead() — Marks the open chat read (seen / group read) — but not while the tab
+ *                     is hidden; coming back to the tab does it then.
+ *  subscribeToChatPreviews() — Applies every incoming `newMessage` to `chats`.
+ *  notifyAboutMessage(message) — Tells the user about a message they can't see: one for a chat
+ *                     that isn't open, or any while the tab is hidden. A sound (if
+ *                     isSoundEnabled), then a desktop notification (sender's picture and the
+ *                     text; clicking it opens the chat) if they're away from the tab and allowed
+ *                     them, otherwise a toast. Nothing for our own messages or muted chats.
+ *  subscribeToNotifications() — Runs notifyAboutMessage for every incoming `newMessage`, and
+ *                     marks the open chat read when the user comes back to a hidden tab.
+ *  openChat(chatId)   — Opens a chat from the Chats tab by ID (e.g. from a notification).
+ *  subscribeToMessageStatus() — Acknowledges every incoming message (→ "delivered") and
+ *                     applies `messageStatus` updates (delivered / seen) to our sent messages.
+ *  notifyTyping() / stopTyping() — Called by MessageInput: emits throttled `typing:start`
+ *                     while the user types in the open chat, and `typing:stop` after a pause,
+ *                     on send, or when the chat is closed.
+ *  subscribeToTyping() — Listens for the partner's `typing:start` / `typing:stop` events.
  *  setSelectedUser()  — Sets which user's chat is open.
  *  setActiveTab()     — Switches sidebar between "chats" and "contacts".
  *  toggleSound()      — Toggles sound on/off and persists the preference.
+ *  toggleMuteChat(chatId) — Mutes or unmutes a chat's notifications and persists the choice.
  */
 import { create } from "zustand";
-import { axiosInstance } from "../lib/axios";
+import { axiosInstance, reportRateLimit } from "../lib/axios";
+import { createClientId } from "../lib/utils";
+import { deleteOutboxItem, getOutboxItems, saveOutboxItem } from "../lib/outbox";
+import { getNotificationPermission, showDesktopNotification } from "../lib/notifications";
 import toast from "react-hot-toast";
 import { useAuthStore } from "./useAuthStore";
 
+// Groups share the Chats tab (and selectedUser) with users — the flag tells them apart
+const toGroupChat = (group) => ({ ...group, isGroup: true });
+
+// Chats tab order: most recent message first (a group with no messages yet counts from its creation)
+const lastActivity = (chat) => new Date(chat.lastMessage?.createdAt || chat.createdAt);
+const sortByActivity = (chats) => [...chats].sort((a, b) => lastActivity(b) - lastActivity(a));
+
+const MESSAGE_PAGE_SIZE = 30; // messages per request (the server caps this at 100)
+
+// Message statuses only ever move forward — events can arrive out of order,
+// so a late "delivered" must not overwrite "seen"
+const STATUS_RANK = { sent: 0, delivered: 1, seen: 2 };
+
+// How long to wait for the server to acknowledge a message:send before trying HTTP instead
+const SEND_ACK_TIMEOUT_MS = 10000;
+
+// Sends a message to { receiverId } or { groupId }: over the socket while connected, or
+// over HTTP if it isn't — or if the socket never answered, in which case the message may
+// or may not have been saved; resending it with the same clientMessageId is safe either way.
+// Resolves to { message } (the saved message), { error, code? } if the server refused it,
+// { error, temporary: true, retryAfter? } if it's worth trying again by itself (rate limited,
+// or the server failed — `retryAfter` in seconds when the server said how long to wait),
+// or { error, offline: true } if the server couldn't be reached at all.
+const sendToServer = async (target, payload) => {
+  const { socket } = useAuthStore.getState();
+  if (socket?.connected) {
+    const response = await socket
+      .timeout(SEND_ACK_TIMEOUT_MS)
+      .emitWithAck("message:send", { ...target, ...payload })
+      .catch(() => null); // no ack in time
+    if (response?.code === "RATE_LIMITED") {
+      reportRateLimit(response.retryAfter);
+      return { ...response, temporary: true };
+    }
+    if (response?.code === "SERVER_ERROR") return { ...response, temporary: true };
+    if (response) return response;
+  }
+
+  try {
+    const url = target.groupId
+      ? `/groups/${target.groupId}/messages`
+      : `/messages/send/${target.receiverId}`;
+    const res = await axiosInstance.post(url, payload);
+    return { message: res.data };
+  } catch (error) {
+    const { response } = error;
+    if (!response) return { error: "You're offline", offline: true };
+    const message = response.data?.message || "Something went wrong";
+    if (response.status === 429) {
+      const retryAfter = Number(response.data?.retryAfter ?? response.headers["retry-after"]);
+      return { error: message, temporary: true, retryAfter: retryAfter || undefined };
+    }
+    if (response.status >= 500) return { error: message, temporary: true };
+    return { error: message };
+  }
+};
+
+// Whether a message belongs to a conversation: a group message posted in that group,
+// or a direct message between us and that user
+const isInChat = (message, chat, myId) =>
+  chat.isGroup
+    ? message.groupId === chat._id
+    : !message.groupId &&
+      (message.senderId === myId ? message.receiverId === chat._id : message.senderId === chat._id);
+
+// Reconnect sync: ask for a little more than strictly needed — the client's newest message
+// and one created on another server instance in the same moment may be in either order.
+// Whatever we already have is merged away.
+const SYNC_OVERLAP_MS = 5000;
+const SYNC_PAGE_SIZE = 100;
+const SYNC_MAX_PAGES = 10; // beyond that, reloading the open chat is cheaper than merging
+
+// Newest createdAt (server time) among the messages we know about — where a sync starts from
+const newestKnownMessageTime = ({ chats, messages }) =>
+  Math.max(
+    0,
+    ...chats.map((chat) => new Date(chat.lastMessage?.createdAt || 0).getTime()),
+    ...messages.map((message) => new Date(message.createdAt).getTime())
+  );
+
+// Outbox items are mirrored to IndexedDB — if that's unavailable they just live in memory
+const persistOutbox = (promise) =>
+  promise.catch((error) => console.log("Outbox not saved:", error?.message));
+
+// Chats whose outbox is being sent right now — one sender per chat keeps them in order
+const flushingChats = new Set();
+
+// Rate limited or a server error: the chat's queue tries again by itself — after the
+// server's Retry-After, otherwise 2s, 4s, 8s… up to a minute. An error that keeps coming
+// back probably won't go away: after MAX_TEMPORARY_FAILURES the message counts as failed.
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+const MAX_TEMPORARY_FAILURES = 5;
+const retryTimers = new Map(); // chatId → timer of the next attempt
+
+// `attempts` — how many temporary failures the chat's first item has had so far
+const scheduleOutboxRetry = (chatId, attempts, retryAfter) => {
+  const delay = retryAfter
+    ? retryAfter * 1000
+    : Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+  clearTimeout(retryTimers.get(chatId));
+  retryTimers.set(
+    chatId,
+    setTimeout(() => {
+      retryTimers.delete(chatId);
+      useChatStore.getState().flushOutbox(chatId);
+    }, delay)
+  );
+};
+
+// Reconnect handling (subscribeToReconnects): where the sync starts is taken when the
+// connection drops, before anything else can arrive
+let missedSince = null; // ms timestamp, or null while connected
+const onSocketDisconnect = () => {
+  missedSince ??= newestKnownMessageTime(useChatStore.getState()) || Date.now();
+};
+const onSocketConnect = async () => {
+  const { syncMissedMessages, flushOutbox } = useChatStore.getState();
+  if (missedSince !== null) {
+    const since = missedSince;
+    missedSince = null;
+    await syncMissedMessages(since);
+  }
+  flushOutbox();
+};
+
+// Socket listeners are removed by reference so that closing a chat only drops
+// that chat's "newMessage" listener, not the global delivery acknowledgement
+let openChatMessageListener = null;
+const acknowledgeMessage = (_message, ack) => ack?.(); // server marks it "delivered"
+let chatPreviewListener = null;
+let notificationListener = null;
+
+// Back to the tab: what arrived in the open chat while it was hidden has now been read
+const onVisibilityChange = () => {
+  if (document.hidden) return;
+  const { selectedUser, chats, markOpenChatAsRead } = useChatStore.getState();
+  if (chats.find((chat) => chat._id === selectedUser?._id)?.unreadCount > 0) markOpenChatAsRead();
+};
+
+// Fresh Audio each time so rapid messages each play from the start
+const playNotificationSound = () => {
+  new Audio("/sounds/notification.mp3")
+    .play()
+    .catch((e) => console.log("Audio play failed:", e));
+};
+
+// A notification's body: the text, cut short, or a photo marker
+const NOTIFICATION_TEXT_LENGTH = 100;
+const describeMessage = (message) =>
+  !message.text
+    ? "📷 Photo"
+    : message.text.length > NOTIFICATION_TEXT_LENGTH
+      ? `${message.text.slice(0, NOTIFICATION_TEXT_LENGTH)}…`
+      : message.text;
+
+// Typing indicators: re-send typing:start at most every 2s while keys are pressed
+// (the server relays at the same rate), and send typing:stop after 3s of silence
+const TYPING_START_INTERVAL_MS = 2000;
+const TYPING_IDLE_MS = 3000;
+let typingTarget = null;   // { receiverId } or { groupId } we last told we're typing to
+let lastTypingStartAt = 0;
+let typingIdleTimer = null;
+
+// Set by openSearchResult: { chatId, messageId } to jump to once that chat's first page is in
+let pendingJump = null;
+
 export const useChatStore = create((set, get) => ({
   // --- State ---
   allContacts: [],          // list of all users (Contacts tab)
-  chats: [],                // list of users you've chatted with (Chats tab)
-  messages: [],             // messages with the currently open user
+  chats: [],                // your groups + users you've chatted with, most recent first (Chats tab)
+  messages: [],             // messages with the currently open user (oldest first)
+  outbox: [],               // our messages the server hasn't saved yet, every chat (oldest first)
+  hasMoreMessages: false,   // true if older messages can still be loaded
   activeTab: "chats",       // "chats" or "contacts" — which sidebar tab is visible
-  selectedUser: null,       // the user whose chat is currently open (null = no chat open)
+  selectedUser: null,       // the user or group whose chat is currently open (null = no chat open)
   isUsersLoading: false,    // true while loading contacts/chats (shows skeleton)
   isMessagesLoading: false, // true while loading messages (shows skeleton)
+  isLoadingOlderMessages: false, // true while loading an older page (top spinner)
+  editingMessage: null,     // our message currently being edited in MessageInput (null = composing)
+  replyingTo: null,         // the message our next message will quote (null = not a reply)
+  highlightedMessageId: null, // message to scroll to and flash (set by jumpToMessage)
+  typingByChat: {},         // { chatId: [userId, ...] } — who is typing to us, per chat
+  searchQuery: "",          // sidebar message search ("" = show the Chats/Contacts tabs)
+  searchResults: [],        // hits for searchQuery, newest first
+  searchCursor: null,       // `before` cursor for the next page of hits (null = no more)
+  isSearching: false,       // true while a page of hits is loading
 
   // Read sound preference from localStorage on startup — default to false if not set
   isSoundEnabled: JSON.parse(localStorage.getItem("isSoundEnabled")) === true,
+  // Chats muted on this device — empty if never set
+  mutedChats: JSON.parse(localStorage.getItem("mutedChats")) || [],
 
   // --- Simple setters ---
   setActiveTab: (tab) => set({ activeTab: tab }), // switch between "chats" and "contacts"
-  setSelectedUser: (selectedUser) => set({ selectedUser }), // open a user's chat
+  setSelectedUser: (selectedUser) => {
+    pendingJump = null; // a chat opened by hand shouldn't jump to an old search hit
+    set({ selectedUser }); // open a user's chat
+  },
 
   // Toggle the typing sound on/off and save the preference to localStorage
   toggleSound: () => {
@@ -52,6 +345,16 @@ export const useChatStore = create((set, get) => ({
     set({ isSoundEnabled: !get().isSoundEnabled });                 // update in-memory state
   },
 
+  // Mute or unmute one chat's notifications and save the list to localStorage
+  toggleMuteChat: (chatId) => {
+    const { mutedChats } = get();
+    const updated = mutedChats.includes(chatId)
+      ? mutedChats.filter((id) => id !== chatId)
+      : [...mutedChats, chatId];
+    localStorage.setItem("mutedChats", JSON.stringify(updated));
+    set({ mutedChats: updated });
+  },
+
   // --- API calls ---
 
   // Fetch all users except the logged-in user (for the Contacts tab)
@@ -67,67 +370,567 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
-  // Fetch only users you have previously chatted with (for the Chats tab)
-  getMyChatPartners: async () => {
-    set({ isUsersLoading: true }); // show skeleton while loading
+  // Fetch your groups and the users you have previously chatted with (for the Chats tab).
+  // `silent` refreshes the list in the background without the loading skeleton.
+  getMyChatPartners: async ({ silent = false } = {}) => {
+    if (!silent) set({ isUsersLoading: true }); // show skeleton while loading
     try {
-      const res = await axiosInstance.get("/messages/chats");
-      set({ chats: res.data }); // store the chat partners list
+      const [partnersRes, groupsRes] = await Promise.all([
+        axiosInstance.get("/messages/chats"),
+        axiosInstance.get("/groups"),
+      ]);
+      // groups and direct chats mixed together, most recent activity first
+      set({ chats: sortByActivity([...groupsRes.data.map(toGroupChat), ...partnersRes.data]) });
     } catch (error) {
-      toast.error(error.response.data.message);
+      toast.error(error.response?.data?.message || "Something went wrong");
     } finally {
-      set({ isUsersLoading: false }); // hide skeleton either way
+      if (!silent) set({ isUsersLoading: false }); // hide skeleton either way
     }
   },
 
-  // Fetch all messages between the logged-in user and userId
-  getMessagesByUserId: async (userId) => {
-    set({ isMessagesLoading: true }); // show skeleton while loading
+  // Shared by getMessagesByUserId and getGroupMessages: fetch one page from `url`.
+  // Without `before` it loads the newest page and replaces `messages`;
+  // with `before` it loads the page before that message and prepends it.
+  fetchMessagePage: async (chatId, url, before) => {
+    const loadingKey = before ? "isLoadingOlderMessages" : "isMessagesLoading";
+    set({ [loadingKey]: true }); // skeleton for the first page, top spinner for older ones
     try {
-      const res = await axiosInstance.get(`/messages/${userId}`);
-      set({ messages: res.data }); // store the message history
+      const res = await axiosInstance.get(url, {
+        params: { before, limit: MESSAGE_PAGE_SIZE },
+      });
+
+      // The user may have opened another chat while we were waiting — drop stale pages
+      if (get().selectedUser?._id !== chatId) return;
+
+      const { messages, hasMore } = res.data;
+      set({
+        messages: before ? [...messages, ...get().messages] : messages,
+        hasMoreMessages: hasMore,
+      });
     } catch (error) {
       toast.error(error.response?.data?.message || "Something went wrong");
     } finally {
-      set({ isMessagesLoading: false }); // hide skeleton either way
+      set({ [loadingKey]: false }); // hide the loading state either way
+    }
+  },
+
+  // Fetch the newest page of messages between the logged-in user and userId,
+  // or the page before message `before` when scrolling up.
+  // Opening the chat (first page) also counts as reading it — once the tab is visible.
+  getMessagesByUserId: async (userId, before) => {
+    await get().fetchMessagePage(userId, `/messages/${userId}`, before);
+    if (!before) {
+      if (!document.hidden) get().markMessagesAsSeen(userId);
+      get().jumpToPendingMessage(userId);
+    }
+  },
+
+  // Clears userId's unread badge and, for read receipts, marks everything they sent
+  // us as "seen". The server skips the receipts when ours are turned off.
+  // Failures are silent — the messages simply stay "delivered" for the sender.
+  markMessagesAsSeen: async (userId) => {
+    get().clearUnreadCount(userId);
+    try {
+      await axiosInstance.put(`/messages/${userId}/seen`);
+    } catch (error) {
+      console.log("Error marking messages as seen:", error);
+    }
+  },
+
+  // Same as getMessagesByUserId, for messages posted in a group
+  getGroupMessages: async (groupId, before) => {
+    await get().fetchMessagePage(groupId, `/groups/${groupId}/messages`, before);
+    if (!before) {
+      if (!document.hidden) get().markGroupAsRead(groupId);
+      get().jumpToPendingMessage(groupId);
+    }
+  },
+
+  // Reads whatever arrived in the open chat. Not while the tab is hidden: the messages
+  // stay unread (the tab title counts them, the sender sees no "seen") until the user
+  // comes back to the tab — see onVisibilityChange.
+  markOpenChatAsRead: () => {
+    const { selectedUser } = get();
+    if (!selectedUser || document.hidden) return;
+    if (selectedUser.isGroup) get().markGroupAsRead(selectedUser._id);
+    else get().markMessagesAsSeen(selectedUser._id);
+  },
+
+  // Clears a group's unread badge (groups have no per-member read receipts)
+  markGroupAsRead: async (groupId) => {
+    get().clearUnreadCount(groupId);
+    try {
+      await axiosInstance.put(`/groups/${groupId}/read`);
+    } catch (error) {
+      console.log("Error marking group as read:", error);
     }
   },
 
-  // Send a message to the currently selected user.
+  // Reset the unread badge of a chat in the sidebar
+  clearUnreadCount: (chatId) =>
+    set({
+      chats: get().chats.map((chat) => (chat._id === chatId ? { ...chat, unreadCount: 0 } : chat)),
+    }),
+
+  // Called by ChatContainer when the user scrolls to the top of the message list
+  loadOlderMessages: async () => {
+    const { selectedUser, messages, hasMoreMessages, isMessagesLoading, isLoadingOlderMessages } =
+      get();
+    if (!selectedUser || !hasMoreMessages || messages.length === 0) return;
+    if (isMessagesLoading || isLoadingOlderMessages) return; // a page is already on its way
+
+    const before = messages[0]._id; // the oldest message we have is the cursor
+    if (selectedUser.isGroup) await get().getGroupMessages(selectedUser._id, before);
+    else await get().getMessagesByUserId(selectedUser._id, before);
+  },
+
+  // Send a message to the currently selected user or group.
   // Uses OPTIMISTIC UI: the message appears in the chat immediately (before the server responds),
-  // giving a fast, responsive feel. If the server call fails, we roll back.
+  // giving a fast, responsive feel. It waits in the outbox until the server has saved it — if
+  // we're offline it's sent when we reconnect, and if it's refused it stays, marked as failed.
   sendMessage: async (messageData) => {
-    const { selectedUser, messages } = get();
+    const { selectedUser, replyingTo } = get();
     const { authUser } = useAuthStore.getState(); // get the logged-in user
 
-    // Create a fake "pending" message to display right now (before the API call)
-    const tempId = `temp-${Date.now()}`; // temporary unique ID for this optimistic message
-    const optimisticMessage = {
-      _id: tempId,
-      senderId: authUser._id,
-      receiverId: selectedUser._id,
-      text: messageData.text,
-      image: messageData.image,
-      createdAt: new Date().toISOString(),
-      isOptimistic: true, // custom flag to identify this as a not-yet-confirmed message
+    // Quoting a message? Send its ID; the server answers with a snapshot of it
+    if (replyingTo) {
+      messageData = { ...messageData, replyTo: replyingTo._id };
+      set({ replyingTo: null }); // the banner goes away as soon as we hit send
+    }
+
+    // group messages carry groupId instead of receiverId (same as on the server)
+    const target = selectedUser.isGroup
+      ? { groupId: selectedUser._id }
+      : { receiverId: selectedUser._id };
+
+    // The idempotency key — the server saves the message once however often it's sent,
+    // and its copy carries the key back so we know which outbox item it was
+    const clientMessageId = createClientId();
+
+    const item = {
+      clientMessageId,
+      ownerId: authUser._id,
+      chatId: selectedUser._id,
+      target,
+      payload: { ...messageData, clientMessageId },
+      // A fake message to display right now, until the server's copy replaces it
+      message: {
+        _id: `temp-${clientMessageId}`, // temporary unique ID for this optimistic message
+        clientMessageId,
+        senderId: authUser._id,
+        ...target,
+        text: messageData.text,
+        image: messageData.image,
+        // same shape as the server's reply snapshot, so the quote renders right away
+        replyTo: replyingTo && {
+          _id: replyingTo._id,
+          senderId: replyingTo.senderId,
+          text: replyingTo.text,
+          image: replyingTo.image,
+          isDeleted: replyingTo.isDeleted,
+        },
+        createdAt: new Date().toISOString(),
+        isOptimistic: true, // custom flag to identify this as a not-yet-confirmed message
+      },
+      status: "pending",
+      createdAt: Date.now(),
     };
 
-    // Add the fake message to the UI immediately so the user sees it right away
-    set({ messages: [...messages, optimisticMessage] });
+    // Show it right away, and keep it should the tab close before it's sent
+    set((state) => ({ outbox: [...state.outbox, item] }));
+    await persistOutbox(saveOutboxItem(item));
 
+    await get().flushOutbox(selectedUser._id);
+  },
+
+  // --- Outbox ---
+
+  restoreOutbox: async () => {
+    const { authUser } = useAuthStore.getState();
+    let items;
     try {
-      // Actually send the message to the backend
-      const res = await axiosInstance.post(
-        `/messages/send/${selectedUser._id}`,
-        messageData,
-      );
-      // Replace the optimistic message with the real one from the server
-      set({ messages: messages.concat(res.data) });
+      items = await getOutboxItems(authUser._id);
+    } catch (error) {
+      console.log("Outbox not loaded:", error?.message);
+      return;
+    }
+    // keep anything added since (sendMessage can run before this resolves) — but only
+    // ours: whoever was logged in before us in this tab mustn't send as us
+    set((state) => {
+      const added = state.outbox.filter((o) => o.ownerId === authUser._id);
+      const isAdded = (item) => added.some((o) => o.clientMessageId === item.clientMessageId);
+      return { outbox: [...items.filter((item) => !isAdded(item)), ...added] };
+    });
+    await get().flushOutbox();
+  },
+
+  flushOutbox: async (chatId) => {
+    if (!chatId) {
+      const chatIds = new Set(get().outbox.map((item) => item.chatId));
+      await Promise.all([...chatIds].map((id) => get().flushOutbox(id)));
+      return;
+    }
+    if (flushingChats.has(chatId)) return; // already sending — it'll get to any new items
+    flushingChats.add(chatId);
+
+    // Saves a changed item — unless it was discarded while we were waiting for the server
+    const updateItem = async (updated) => {
+      if (!get().outbox.some((o) => o.clientMessageId === updated.clientMessageId)) return;
+      set((state) => ({
+        outbox: state.outbox.map((o) => (o.clientMessageId === updated.clientMessageId ? updated : o)),
+      }));
+      await persistOutbox(saveOutboxItem(updated));
+    };
+
+    try {
+      // Re-read the outbox every time round: items may be added, retried or discarded meanwhile
+      for (;;) {
+        const { authUser } = useAuthStore.getState();
+        const item = get().outbox.find((o) => o.chatId === chatId && o.ownerId === authUser?._id);
+        if (!item || item.status === "failed") return; // nothing left, or stuck until retry/discard
+
+        const { message: sent, error, offline, temporary, retryAfter } = await sendToServer(
+          item.target,
+          item.payload
+        );
+        // stays pending — sent when the socket connects again
+        if (offline) {
+          if (item.error !== error) await updateItem({ ...item, error });
+          return;
+        }
+
+        // stays pending and is tried again by itself — unless it's failed too often already
+        const attempts = (item.attempts || 0) + 1;
+        if (temporary && attempts < MAX_TEMPORARY_FAILURES) {
+          await updateItem({ ...item, attempts, error });
+          scheduleOutboxRetry(chatId, attempts, retryAfter);
+          return;
+        }
+
+        if (error) {
+          await updateItem({ ...item, status: "failed", attempts, error });
+          toast.error(error);
+          return;
+        }
+
+        // Saved — the server's copy takes the outbox item's place in the open chat
+        set((state) => ({
+          outbox: state.outbox.filter((o) => o.clientMessageId !== item.clientMessageId),
+          messages:
+            state.selectedUser?._id === chatId && !state.messages.some((m) => m._id === sent._id)
+              ? [...state.messages, sent]
+              : state.messages,
+        }));
+        await persistOutbox(deleteOutboxItem(item.clientMessageId));
+        get().applyMessageToChats(sent); // our message is now this chat's preview
+      }
+    } finally {
+      flushingChats.delete(chatId);
+    }
+  },
+
+  retryMessage: async (clientMessageId) => {
+    const item = get().outbox.find((o) => o.clientMessageId === clientMessageId);
+    if (!item) return;
+    const pending = { ...item, status: "pending", attempts: 0, error: undefined };
+    set((state) => ({
+      outbox: state.outbox.map((o) => (o.clientMessageId === clientMessageId ? pending : o)),
+    }));
+    await persistOutbox(saveOutboxItem(pending));
+    await get().flushOutbox(item.chatId);
+  },
+
+  discardMessage: async (clientMessageId) => {
+    const item = get().outbox.find((o) => o.clientMessageId === clientMessageId);
+    if (!item) return;
+    set((state) => ({ outbox: state.outbox.filter((o) => o.clientMessageId !== clientMessageId) }));
+    await persistOutbox(deleteOutboxItem(clientMessageId));
+    await get().flushOutbox(item.chatId); // whatever was queued behind it can go now
+  },
+
+  // --- Reconnects ---
+
+  syncMissedMessages: async (since) => {
+    const { authUser } = useAuthStore.getState();
+    const params = { since: new Date(since - SYNC_OVERLAP_MS).toISOString(), limit: SYNC_PAGE_SIZE };
+
+    const missed = [];
+    let hasMore = true;
+    try {
+      for (let page = 0; page < SYNC_MAX_PAGES && hasMore; page++) {
+        const res = await axiosInstance.get("/messages/sync", { params });
+        missed.push(...res.data.messages);
+        hasMore = res.data.hasMore;
+        // the next page starts after the last change we got
+        const last = missed[missed.length - 1];
+        if (last) Object.assign(params, { since: last.updatedAt, after: last._id });
+      }
+    } catch (error) {
+      console.log("Error syncing missed messages:", error);
+      hasMore = true; // we don't know what we missed — reload instead
+    }
+
+    // Previews and unread counts straight from the server — nothing counted twice
+    get().getMyChatPartners({ silent: true });
+
+    const { selectedUser } = get();
+    if (!selectedUser) return;
+
+    // Too much (or unknown) to merge — start the open chat over from its newest page
+    if (hasMore) {
+      if (selectedUser.isGroup) get().getGroupMessages(selectedUser._id);
+      else get().getMessagesByUserId(selectedUser._id);
+      return;
+    }
+
+    // New messages, and changes (edits, deletions, reactions, ticks) to loaded ones.
+    // A change to a message older than the loaded pages waits until that page is loaded.
+    const oldestLoadedId = get().messages[0]?._id;
+    const byId = new Map(get().messages.map((message) => [message._id, message]));
+    const forOpenChat = missed.filter(
+      (message) =>
+        isInChat(message, selectedUser, authUser._id) &&
+        (byId.has(message._id) || !oldestLoadedId || message._id > oldestLoadedId)
+    );
+    if (forOpenChat.length === 0) return;
+    const arrived = forOpenChat.filter((message) => !byId.has(message._id));
+
+    // Merge by _id (the synced copy is the newer one), then back into send order.
+    // ObjectIds start with their creation time in hex, so they sort as strings.
+    // Messages still in our outbox show there until flushOutbox moves them over.
+    const outboxIds = new Set(get().outbox.map((item) => item.clientMessageId));
+    forOpenChat
+      .filter((message) => !outboxIds.has(message.clientMessageId))
+      .forEach((message) => byId.set(message._id, message));
+    const messages = [...byId.values()].sort((a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0));
+    set({ messages });
+
+    // The chat is open, so whatever they sent meanwhile has just been read
+    if (arrived.some((message) => message.senderId !== authUser._id)) {
+      get().markOpenChatAsRead();
+    }
+  },
+
+  // Called once from ChatPage
+  subscribeToReconnects: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+    socket.on("disconnect", onSocketDisconnect);
+    socket.on("connect", onSocketConnect);
+  },
+
+  unsubscribeFromReconnects: () => {
+    const socket = useAuthStore.getState().socket;
+    if (socket) {
+      socket.off("disconnect", onSocketDisconnect);
+      socket.off("connect", onSocketConnect);
+    }
+    missedSince = null;
+  },
+
+  // --- Editing & deleting ---
+
+  setEditingMessage: (editingMessage) =>
+    set(editingMessage ? { editingMessage, replyingTo: null } : { editingMessage }),
+
+  // --- Replies ---
+
+  setReplyingTo: (replyingTo) =>
+    set(replyingTo ? { replyingTo, editingMessage: null } : { replyingTo }),
+
+  setHighlightedMessageId: (highlightedMessageId) => set({ highlightedMessageId }),
+
+  // Bring a message of the open chat into view — used when clicking a quote or a search hit.
+  // Older pages are loaded one by one until the message is among `messages`.
+  jumpToMessage: async (messageId) => {
+    const isLoaded = () => get().messages.some((message) => message._id === messageId);
+
+    while (!isLoaded() && get().hasMoreMessages) {
+      const loadedCount = get().messages.length;
+      await get().loadOlderMessages();
+      if (get().messages.length === loadedCount) break; // request failed (or another is running)
+    }
+
+    if (!isLoaded()) {
+      toast.error("That message is no longer available");
+      return;
+    }
+    set({ highlightedMessageId: messageId });
+  },
+
+  // Runs the jump openSearchResult queued for chatId, once its first page has loaded
+  jumpToPendingMessage: (chatId) => {
+    if (pendingJump?.chatId !== chatId) return;
+    const { messageId } = pendingJump;
+    pendingJump = null;
+    get().jumpToMessage(messageId);
+  },
+
+  // --- Message search ---
+
+  // Fetch one page of hits for `query`; `before` appends the next page
+  fetchSearchPage: async (query, before) => {
+    set({ isSearching: true });
+    try {
+      const res = await axiosInstance.get("/messages/search", {
+        params: { q: query, before },
+      });
+
+      // The user kept typing while we were waiting — drop results for the old query
+      if (get().searchQuery !== query) return;
+
+      const { results, nextCursor } = res.data;
+      set({
+        searchResults: before ? [...get().searchResults, ...results] : results,
+        searchCursor: nextCursor,
+      });
     } catch (error) {
-      // If the send fails, remove the optimistic message so the UI reflects the failure
-      set({ messages: messages }); // restore to original list (without the optimistic one)
       toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      if (get().searchQuery === query) set({ isSearching: false });
+    }
+  },
+
+  // Start a new search (called by SearchBar, debounced)
+  searchMessages: async (query) => {
+    set({ searchQuery: query, searchResults: [], searchCursor: null });
+    await get().fetchSearchPage(query);
+  },
+
+  // Called by the "Load more" button under the results
+  loadMoreSearchResults: async () => {
+    const { searchQuery, searchCursor, isSearching } = get();
+    if (!searchCursor || isSearching) return;
+    await get().fetchSearchPage(searchQuery, searchCursor);
+  },
+
+  clearSearch: () =>
+    set({ searchQuery: "", searchResults: [], searchCursor: null, isSearching: false }),
+
+  // Open the chat a search hit belongs to and scroll to the message
+  openSearchResult: (result) => {
+    const { chats, selectedUser } = get();
+
+    // Already open — the history is loaded, jump straight away
+    if (selectedUser?._id === result.chatId) {
+      get().jumpToMessage(result.messageId);
+      return;
     }
+
+    // Prefer the sidebar's copy (it carries lastMessage/unreadCount); the hit's own copy
+    // covers chats that aren't listed yet
+    const chat =
+      chats.find((c) => c._id === result.chatId) ||
+      (result.group ? toGroupChat(result.group) : result.partner);
+    get().setSelectedUser(chat);
+    pendingJump = { chatId: result.chatId, messageId: result.messageId }; // ChatContainer loads the first page
+  },
+
+  // Save a new text for one of our messages. Returns true on success.
+  // The server enforces the edit window and tells the other side (messageUpdated).
+  editMessage: async (messageId, text) => {
+    try {
+      const res = await axiosInstance.patch(`/messages/${messageId}`, { text });
+      get().replaceMessage(res.data);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  },
+
+  // scope "me"       — hide the message from us only
+  // scope "everyone" — our own messages only; everybody sees "This message was deleted"
+  deleteMessage: async (messageId, scope) => {
+    try {
+      const res = await axiosInstance.delete(`/messages/${messageId}`, { params: { scope } });
+
+      if (get().editingMessage?._id === messageId) set({ editingMessage: null });
+
+      if (scope === "everyone") {
+        get().replaceMessage(res.data);
+        return;
+      }
+
+      set({ messages: get().messages.filter((message) => message._id !== messageId) });
+      // if it was a chat's preview, the previous message takes its place — ask the server
+      if (get().chats.some((chat) => chat.lastMessage?._id === messageId)) {
+        get().getMyChatPartners({ silent: true });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Swap in the latest copy of a message wherever we show it
+  replaceMessage: (updatedMessage) => {
+    set({
+      messages: get().messages.map((message) =>
+        message._id === updatedMessage._id ? updatedMessage : message
+      ),
+      chats: get().chats.map((chat) =>
+        chat.lastMessage?._id === updatedMessage._id
+          ? { ...chat, lastMessage: updatedMessage }
+          : chat
+      ),
+    });
+  },
+
+  // --- Reactions ---
+
+  // React to a message with an emoji, or take the reaction back if we already used it.
+  // The bar updates immediately; the server's answer (or the old state on failure) wins.
+  toggleReaction: async (messageId, emoji) => {
+    const message = get().messages.find((m) => m._id === messageId);
+    if (!message) return;
+
+    const { authUser } = useAuthStore.getState();
+    const previousReactions = message.reactions || {};
+    const users = previousReactions[emoji] || [];
+    const hasReacted = users.includes(authUser._id);
+
+    // Optimistic update — emojis nobody uses any more disappear, like on the server
+    const { [emoji]: _removed, ...otherReactions } = previousReactions;
+    const nextUsers = hasReacted ? users.filter((id) => id !== authUser._id) : [...users, authUser._id];
+    get().applyReactions({
+      messageId,
+      reactions: nextUsers.length > 0 ? { ...otherReactions, [emoji]: nextUsers } : otherReactions,
+    });
+
+    try {
+      const url = `/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`;
+      const res = hasReacted ? await axiosInstance.delete(url) : await axiosInstance.put(url);
+      get().applyReactions(res.data);
+    } catch (error) {
+      get().applyReactions({ messageId, reactions: previousReactions }); // roll back
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Replace a loaded message's reactions (from our own request or a messageReaction event)
+  applyReactions: ({ messageId, reactions }) => {
+    set({
+      messages: get().messages.map((message) =>
+        message._id === messageId ? { ...message, reactions } : message
+      ),
+    });
+  },
+
+  // Called once from ChatPage: the other side edited, deleted or reacted to a message
+  subscribeToMessageUpdates: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("messageUpdated", (message) => get().replaceMessage(message));
+    socket.on("messageReaction", (update) => get().applyReactions(update));
+  },
+
+  unsubscribeFromMessageUpdates: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.off("messageUpdated");
+    socket.off("messageReaction");
   },
 
   // --- Socket.io real-time listeners ---
@@ -140,31 +943,409 @@ export const useChatStore = create((set, get) => ({
     if (!socket) return; // socket not connected yet
 
     // Listen for "newMessage" events from the backend
-    socket.on("newMessage", (newMessage) => {
-      // Only add the message if it was sent by the currently open user
-      const isFromSelectedUser = newMessage.senderId === selectedUser._id;
-      if (!isFromSelectedUser) return;
+    openChatMessageListener = (newMessage) => {
+      const { authUser } = useAuthStore.getState();
+      const fromMe = newMessage.senderId === authUser._id; // sent from our other tab/device
+
+      // Only add the message if it belongs to the currently open conversation
+      if (!isInChat(newMessage, selectedUser, authUser._id)) return;
+      if (get().messages.some((message) => message._id === newMessage._id)) return; // already shown
+
+      // One of ours that this tab is still sending — flushOutbox puts it in place
+      if (fromMe && get().outbox.some((item) => item.clientMessageId === newMessage.clientMessageId)) {
+        return;
+      }
 
       // Add the new message to the chat
       set({ messages: [...get().messages, newMessage] });
+      if (fromMe) return; // nothing new to read or be notified about
+
+      // The chat is open, so we've just read it (if we're looking)
+      get().markOpenChatAsRead();
 
-      // Play notification sound if sounds are enabled.
+      // Play notification sound if sounds are enabled and the chat isn't muted.
       // IMPORTANT: use get().isSoundEnabled here, NOT a local variable —
       // this is a socket callback (not a React render), so we must read
       // the latest state directly from the Zustand store via get().
-      if (get().isSoundEnabled) {
-        const notificationSound = new Audio("/sounds/notification.mp3");
-        notificationSound.currentTime = 0; // reset so rapid messages each play from start
-        notificationSound
-          .play()
-          .catch((e) => console.log("Audio play failed:", e));
+      if (get().isSoundEnabled && !get().mutedChats.includes(selectedUser._id)) {
+        playNotificationSound();
       }
-    });
+    };
+    socket.on("newMessage", openChatMessageListener);
   },
 
   // Called when closing a chat to stop listening for messages
   unsubscribeFromMessages: () => {
     const socket = useAuthStore.getState().socket;
-    if (socket) socket.off("newMessage"); // remove the event listener
+    if (socket && openChatMessageListener) {
+      socket.off("newMessage", openChatMessageListener); // remove only this chat's listener
+    }
+    openChatMessageListener = null;
+  },
+
+  // --- Chat previews & unread counts ---
+
+  // Makes `message` the preview of its chat and moves that chat to the top.
+  // Messages from others count as unread unless their chat is open right now.
+  applyMessageToChats: (message) => {
+    const { chats, selectedUser } = get();
+    const { authUser } = useAuthStore.getState();
+
+    const fromMe = message.senderId === authUser._id;
+    const chatId = message.groupId || (fromMe ? message.receiverId : message.senderId);
+
+    // A brand-new conversation: our first message to a contact is sent from the open
+    // chat, but a first message from someone else needs their profile — refetch the list
+    const chat =
+      chats.find((c) => c._id === chatId) || (selectedUser?._id === chatId ? selectedUser : null);
+    if (!chat) {
+      get().getMyChatPartners({ silent: true });
+      return;
+    }
+
+    // the open chat only counts as read while the tab is visible
+    const isRead = fromMe || (selectedUser?._id === chatId && !document.hidden);
+    const unreadCount = isRead ? chat.unreadCount || 0 : (chat.unreadCount || 0) + 1;
+
+    set({
+      chats: [
+        { ...chat, lastMessage: message, unreadCount },
+        ...chats.filter((c) => c._id !== chatId),
+      ],
+    });
+  },
+
+  // Called once from ChatPage: every incoming message updates its chat's row,
+  // whether or not that chat is open
+  subscribeToChatPreviews: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    chatPreviewListener = (newMessage) => get().applyMessageToChats(newMessage);
+    socket.on("newMessage", chatPreviewListener);
+  },
+
+  unsubscribeFromChatPreviews: () => {
+    const socket = useAuthStore.getState().socket;
+    if (socket && chatPreviewListener) socket.off("newMessage", chatPreviewListener);
+    chatPreviewListener = null;
+  },
+
+  // --- Notifications ---
+
+  // The open chat's listener shows (and sounds) its messages; this covers the rest
+  notifyAboutMessage: (message) => {
+    const { authUser } = useAuthStore.getState();
+    if (message.senderId === authUser._id) return; // ours, from another tab/device
+
+    const { chats, allContacts, selectedUser, mutedChats, isSoundEnabled } = get();
+    const chatId = message.groupId || message.senderId;
+    const isOpen = selectedUser?._id === chatId;
+    if (isOpen && !document.hidden) return; // they're looking at it
+    if (mutedChats.includes(chatId)) return;
+
+    if (isSoundEnabled && !isOpen) playNotificationSound();
+
+    // Who sent it — a brand-new chat may not be listed yet (applyMessageToChats refetches)
+    const chat = chats.find((c) => c._id === chatId);
+    const sender = message.groupId
+      ? chat?.members.find((member) => member.user._id === message.senderId)?.user
+      : chat || allContacts.find((user) => user._id === message.senderId);
+    const senderName = sender?.username || "Someone";
+    const title = message.groupId ? `${senderName} in ${chat?.name || "a group"}` : senderName;
+    const body = describeMessage(message);
+
+    // Away from the tab: a desktop notification, if we may. Otherwise a toast
+    // (one per chat — a newer message replaces the older toast).
+    if ((document.hidden || !document.hasFocus()) && getNotificationPermission() === "granted") {
+      showDesktopNotification({
+        title,
+        body,
+        icon: sender?.profilePicture || "/avatar.png",
+        tag: chatId,
+        onClick: () => get().openChat(chatId),
+      });
+    } else {
+      toast(`${title}: ${body}`, { id: `newMessage:${chatId}`, icon: "💬" });
+    }
+  },
+
+  // Called once from ChatPage
+  subscribeToNotifications: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    notificationListener = (newMessage) => get().notifyAboutMessage(newMessage);
+    socket.on("newMessage", notificationListener);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+  },
+
+  unsubscribeFromNotifications: () => {
+    const socket = useAuthStore.getState().socket;
+    if (socket && notificationListener) socket.off("newMessage", notificationListener);
+    notificationListener = null;
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  },
+
+  // Opens a chat by ID, switching the sidebar to the Chats tab
+  openChat: async (chatId) => {
+    if (!get().chats.some((c) => c._id === chatId)) {
+      await get().getMyChatPartners({ silent: true }); // a chat that started a moment ago
+    }
+    const chat = get().chats.find((c) => c._id === chatId);
+    if (!chat) return;
+
+    get().clearSearch();
+    set({ activeTab: "chats" });
+    if (get().selectedUser?._id !== chatId) get().setSelectedUser(chat);
+  },
+
+  // --- Read receipts ---
+  // Called once from ChatPage, independent of which chat is open.
+  subscribeToMessageStatus: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    // Acknowledge every incoming message, even for chats that aren't open
+    socket.on("newMessage", acknowledgeMessage);
+
+    // A recipient received or read some of our messages — update their ticks
+    socket.on("messageStatus", ({ messageIds, status, at }) => {
+      set({
+        messages: get().messages.map((message) =>
+          messageIds.includes(message._id) &&
+          STATUS_RANK[status] > STATUS_RANK[message.status || "sent"]
+            ? { ...message, status, [`${status}At`]: at } // deliveredAt / seenAt
+            : message
+        ),
+      });
+    });
+  },
+
+  unsubscribeFromMessageStatus: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.off("newMessage", acknowledgeMessage);
+    socket.off("messageStatus");
+  },
+
+  // --- Typing indicators ---
+
+  // Called by MessageInput on every keystroke in the open chat
+  notifyTyping: () => {
+    const { selectedUser } = get();
+    const socket = useAuthStore.getState().socket;
+    if (!selectedUser || !socket) return;
+
+    const target = selectedUser.isGroup
+      ? { groupId: selectedUser._id }
+      : { receiverId: selectedUser._id };
+
+    const now = Date.now();
+    if (!typingTarget || now - lastTypingStartAt >= TYPING_START_INTERVAL_MS) {
+      socket.emit("typing:start", target);
+      typingTarget = target;
+      lastTypingStartAt = now;
+    }
+
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = setTimeout(() => get().stopTyping(), TYPING_IDLE_MS);
+  },
+
+  // Called after a pause, on send, when the input is cleared, and when the chat closes
+  stopTyping: () => {
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = null;
+    if (!typingTarget) return; // we never said we were typing
+
+    useAuthStore.getState().socket?.emit("typing:stop", typingTarget);
+    typingTarget = null;
+    lastTypingStartAt = 0;
+  },
+
+  // Add or remove userId from the typists of chatId
+  setTyping: (chatId, userId, isTyping) => {
+    const typists = (get().typingByChat[chatId] || []).filter((id) => id !== userId);
+    if (isTyping) typists.push(userId);
+    set({ typingByChat: { ...get().typingByChat, [chatId]: typists } });
+  },
+
+  // Called once from ChatPage — the sidebar shows typing for every chat, not just the open one
+  subscribeToTyping: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    // direct chats are keyed by the typist, group chats by the group
+    socket.on("typing:start", ({ userId, groupId }) =>
+      get().setTyping(groupId || userId, userId, true)
+    );
+    socket.on("typing:stop", ({ userId, groupId }) =>
+      get().setTyping(groupId || userId, userId, false)
+    );
+  },
+
+  unsubscribeFromTyping: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.off("typing:start");
+    socket.off("typing:stop");
+    set({ typingByChat: {} });
+  },
+
+  // --- Groups ---
+
+  // Replace a group in `chats` (or add it to the top) and refresh selectedUser if it's open
+  upsertGroup: (group) => {
+    const { chats, selectedUser } = get();
+    const existing = chats.find((chat) => chat._id === group._id);
+    // group events don't carry lastMessage / unreadCount — keep the ones we have
+    const groupChat = toGroupChat({ ...existing, ...group });
+    set({
+      chats: existing
+        ? chats.map((chat) => (chat._id === group._id ? groupChat : chat))
+        : [groupChat, ...chats],
+      selectedUser: selectedUser?._id === group._id ? groupChat : selectedUser,
+    });
+  },
+
+  // Drop a group from `chats` and close it if it's the open conversation
+  removeGroup: (groupId) => {
+    const { chats, selectedUser } = get();
+    set({
+      chats: chats.filter((chat) => chat._id !== groupId),
+      selectedUser: selectedUser?._id === groupId ? null : selectedUser,
+    });
+  },
+
+  // Create a group from { name, memberIds, avatar? } and open it. Returns true on success.
+  createGroup: async (data) => {
+    try {
+      const res = await axiosInstance.post("/groups", data);
+      get().upsertGroup(res.data);
+      set({ activeTab: "chats", selectedUser: toGroupChat(res.data) });
+      toast.success("Group created");
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  },
+
+  // Admins only: add one or more users to a group
+  addGroupMembers: async (groupId, memberIds) => {
+    try {
+      const res = await axiosInstance.post(`/groups/${groupId}/members`, { memberIds });
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Admins only: remove a member from a group
+  removeGroupMember: async (groupId, userId) => {
+    try {
+      const res = await axiosInstance.delete(`/groups/${groupId}/members/${userId}`);
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Admins only: make a member an "admin" or a regular "member"
+  updateGroupMemberRole: async (groupId, userId, role) => {
+    try {
+      const res = await axiosInstance.patch(`/groups/${groupId}/members/${userId}`, { role });
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Leave a group — it disappears from the sidebar and is closed if open
+  leaveGroup: async (groupId) => {
+    try {
+      await axiosInstance.post(`/groups/${groupId}/leave`);
+      get().removeGroup(groupId);
+      toast.success("You left the group");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  // Keep groups in sync when someone else changes them (new group, members, roles).
+  // Called once from ChatPage, independent of which chat is open.
+  subscribeToGroupEvents: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("groupUpdated", (group) => get().upsertGroup(group));
+    socket.on("groupRemoved", ({ groupId }) => get().removeGroup(groupId));
+  },
+
+  unsubscribeFromGroupEvents: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.off("groupUpdated");
+    socket.off("groupRemoved");
+  },
+
+  // --- Profiles ---
+
+  // Someone changed their username, picture or bio — update every place we show them
+  applyUserUpdate: (user) => {
+    const patchUser = (entry) => (entry?._id === user._id ? { ...entry, ...user } : entry);
+    const patchMembers = (group) => ({
+      ...group,
+      members: group.members.map((member) => ({ ...member, user: patchUser(member.user) })),
+    });
+    const patchChat = (chat) => (chat?.isGroup ? patchMembers(chat) : patchUser(chat));
+
+    const { allContacts, chats, selectedUser, searchResults } = get();
+    set({
+      allContacts: allContacts.map(patchUser),
+      chats: chats.map(patchChat),
+      selectedUser: patchChat(selectedUser),
+      searchResults: searchResults.map((result) =>
+        result.group
+          ? { ...result, group: patchMembers(result.group) }
+          : { ...result, partner: patchUser(result.partner) }
+      ),
+    });
+  },
+
+  applyUserDeleted: (userId) => {
+    // Same placeholder the server sends for chats with deleted accounts
+    get().applyUserUpdate({
+      _id: userId,
+      username: "Deleted user",
+      profilePicture: "",
+      bio: "",
+      isDeletedAccount: true,
+    });
+    set({ allContacts: get().allContacts.filter((contact) => contact._id !== userId) });
+
+    // Their messages changed server-side — refresh the previews and the open chat
+    get().getMyChatPartners({ silent: true });
+    if (get().selectedUser?._id === userId) get().fetchMessagePage(userId, `/messages/${userId}`);
+  },
+
+  // Called once from ChatPage — profiles can change whichever chat is open
+  subscribeToUserUpdates: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("userUpdated", (user) => get().applyUserUpdate(user));
+    socket.on("userDeleted", ({ userId }) => get().applyUserDeleted(userId));
+  },
+
+  unsubscribeFromUserUpdates: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.off("userUpdated");
+    socket.off("userDeleted");
   },
 }));